@@ -0,0 +1,242 @@
+import React, { useState } from 'react';
+import { Alert } from "@patternfly/react-core/dist/esm/components/Alert";
+import { Button } from "@patternfly/react-core/dist/esm/components/Button";
+import { FileUpload } from "@patternfly/react-core/dist/esm/components/FileUpload";
+import { Form, FormGroup } from "@patternfly/react-core/dist/esm/components/Form";
+import { List, ListItem } from "@patternfly/react-core/dist/esm/components/List";
+import { Modal } from "@patternfly/react-core/dist/esm/components/Modal";
+import { Stack, StackItem } from "@patternfly/react-core/dist/esm/layouts/Stack";
+import { TextInput } from "@patternfly/react-core/dist/esm/components/TextInput";
+import cockpit from 'cockpit';
+
+import { FormHelper } from 'cockpit-components-form-helper.jsx';
+import { ListingTable } from "cockpit-components-table.jsx";
+import { useDialogs } from "dialogs.jsx";
+import * as compose from './compose.js';
+import { ErrorNotification, dockerErrorDetail } from './Notification.jsx';
+import StepStatus from './StepStatus.jsx';
+
+const _ = cockpit.gettext;
+
+const kindLabels = {
+    network: _("Network"),
+    volume: _("Volume"),
+    service: _("Service"),
+};
+
+const actionText = (kind, item) => {
+    if (item.action === "missing")
+        return _("Missing");
+    if (kind === "service") {
+        if (item.action === "exists")
+            return cockpit.format(_("Start the existing container $0"), item.containerName);
+        return item.pull
+            ? cockpit.format(_("Pull $0, create and start $1"), item.image, item.containerName)
+            : cockpit.format(_("Create and start $0"), item.containerName);
+    }
+    return item.action === "exists" ? _("Use existing") : _("Create");
+};
+
+const ComposeDeployModal = ({ onAddNotification }) => {
+    const Dialogs = useDialogs();
+
+    const [projectName, setProjectName] = useState("");
+    const [text, setText] = useState("");
+    const [filename, setFilename] = useState("");
+    const [isReading, setIsReading] = useState(false);
+
+    // "edit" the file, review the "plan", then "deploy"
+    const [step, setStep] = useState("edit");
+    const [plan, setPlan] = useState(null);
+    const [progress, setProgress] = useState({});
+    const [isBusy, setIsBusy] = useState(false);
+
+    const [dialogError, setDialogError] = useState("");
+    const [dialogErrorDetail, setDialogErrorDetail] = useState("");
+
+    const onFileChanged = (_event, file) => {
+        setFilename(file.name);
+        // like docker compose, the project is named after the directory, here the file
+        if (!projectName)
+            setProjectName(compose.normalizeProjectName(file.name.replace(/\.ya?ml$/, "").replace(/^(docker-)?compose$/, "")));
+    };
+
+    const handleReview = () => {
+        setDialogError("");
+        let model;
+        try {
+            model = compose.parseCompose(text, projectName);
+        } catch (ex) {
+            setDialogError(_("The compose file cannot be deployed"));
+            setDialogErrorDetail(ex.message);
+            return;
+        }
+
+        setIsBusy(true);
+        compose.planDeployment(model)
+                .then(plan => {
+                    setPlan(plan);
+                    setProjectName(plan.project);
+                    setStep("plan");
+                })
+                .catch(ex => {
+                    setDialogError(_("Failed to check the existing objects"));
+                    setDialogErrorDetail(dockerErrorDetail(ex));
+                })
+                .finally(() => setIsBusy(false));
+    };
+
+    const handleDeploy = () => {
+        setStep("deploy");
+        setIsBusy(true);
+        compose.deploy(plan, (kind, name, status, detail) => {
+            setProgress(prev => ({ ...prev, [kind + ":" + name]: { status, detail } }));
+        })
+                .then(failures => {
+                    failures.forEach(({ service, error }) => {
+                        onAddNotification({
+                            type: 'danger',
+                            error: cockpit.format(_("Failed to deploy service $0 of project $1"), service, plan.project),
+                            errorDetail: dockerErrorDetail(error),
+                        });
+                    });
+                })
+                .finally(() => setIsBusy(false));
+    };
+
+    const planRows = () => {
+        const row = (kind, name, item, extra) => ({
+            columns: [
+                { title: kindLabels[kind] },
+                { title: <>{name}{extra && <small className="ct-grey-text"> {extra}</small>}</>, header: true },
+                { title: actionText(kind, item) },
+                ...step === "deploy"
+                    ? [{ title: item.action === "create" || kind === "service" ? <StepStatus progress={progress[kind + ":" + name]} /> : null }]
+                    : [],
+            ],
+            props: { key: kind + ":" + name, "data-row-id": kind + "-" + name },
+        });
+
+        return [
+            ...plan.networks.map(network => row("network", network.name, network)),
+            ...plan.volumes.map(volume => row("volume", volume.name, volume)),
+            ...plan.services.map(service => {
+                const deps = Object.keys(service.dependsOn);
+                return row("service", service.name, service,
+                           deps.length > 0 ? cockpit.format(_("after $0"), deps.join(", ")) : null);
+            }),
+        ];
+    };
+
+    let content;
+    if (step === "edit") {
+        content = (
+            <Form isHorizontal>
+                {dialogError && <ErrorNotification errorMessage={dialogError} errorDetail={dialogErrorDetail} onDismiss={() => setDialogError("")} />}
+                <FormGroup fieldId="deploy-stack-dialog-file" label={_("Compose file")}>
+                    <FileUpload id="deploy-stack-dialog-file"
+                                type="text"
+                                value={text}
+                                filename={filename}
+                                filenamePlaceholder={_("Drag a file here, browse, or paste it below")}
+                                browseButtonText={_("Upload")}
+                                allowEditingUploadedText
+                                isLoading={isReading}
+                                onFileInputChange={onFileChanged}
+                                onDataChange={(_event, data) => setText(data)}
+                                onTextChange={(_event, value) => setText(value)}
+                                onReadStarted={() => setIsReading(true)}
+                                onReadFinished={() => setIsReading(false)}
+                                onClearClick={() => { setText(""); setFilename("") }}
+                                dropzoneProps={{ accept: { "text/yaml": [".yml", ".yaml"] } }} />
+                </FormGroup>
+                <FormGroup fieldId="deploy-stack-dialog-project" label={_("Project name")}>
+                    <TextInput id="deploy-stack-dialog-project"
+                               placeholder={_("From the \"name\" of the file if empty")}
+                               value={projectName}
+                               onChange={(_event, value) => setProjectName(value)} />
+                    <FormHelper fieldId="deploy-stack-dialog-project"
+                                helperText={_("All networks, volumes and containers get labeled with the project name.")} />
+                </FormGroup>
+            </Form>
+        );
+    } else {
+        content = (
+            <Stack hasGutter>
+                {plan.problems.length > 0 &&
+                <StackItem>
+                    <Alert isInline variant="danger" title={_("The project cannot be deployed")}>
+                        <List>{plan.problems.map(problem => <ListItem key={problem}>{problem}</ListItem>)}</List>
+                    </Alert>
+                </StackItem>}
+                {plan.warnings.length > 0 &&
+                <StackItem>
+                    <Alert isInline isExpandable variant="warning" title={_("Parts of the file are not supported and will be ignored")}>
+                        <List>{plan.warnings.map(warning => <ListItem key={warning}>{warning}</ListItem>)}</List>
+                    </Alert>
+                </StackItem>}
+                <StackItem>
+                    <ListingTable id="deploy-stack-plan"
+                                  aria-label={_("Deployment plan")}
+                                  variant="compact"
+                                  columns={[_("Type"), _("Name"), _("Action"), ...step === "deploy" ? [_("Status")] : []]}
+                                  rows={planRows()} />
+                </StackItem>
+            </Stack>
+        );
+    }
+
+    let footer;
+    if (step === "edit") {
+        footer = (
+            <>
+                <Button variant="primary" id="deploy-stack-review-btn"
+                        isLoading={isBusy} isDisabled={isBusy || !text.trim()}
+                        onClick={handleReview}>
+                    {_("Review")}
+                </Button>
+                <Button variant="link" onClick={Dialogs.close}>{_("Cancel")}</Button>
+            </>
+        );
+    } else if (step === "plan") {
+        footer = (
+            <>
+                <Button variant="primary" id="deploy-stack-deploy-btn"
+                        isDisabled={plan.problems.length > 0}
+                        onClick={handleDeploy}>
+                    {_("Deploy")}
+                </Button>
+                <Button variant="secondary" onClick={() => setStep("edit")}>{_("Back")}</Button>
+                <Button variant="link" onClick={Dialogs.close}>{_("Cancel")}</Button>
+            </>
+        );
+    } else {
+        footer = (
+            <Button variant="primary" id="deploy-stack-close-btn"
+                    isLoading={isBusy} isDisabled={isBusy}
+                    onClick={Dialogs.close}>
+                {isBusy ? _("Deploying") : _("Close")}
+            </Button>
+        );
+    }
+
+    const titles = {
+        edit: _("Deploy stack"),
+        plan: cockpit.format(_("Deploy project $0"), plan?.project),
+        deploy: cockpit.format(_("Deploying project $0"), plan?.project),
+    };
+
+    return (
+        <Modal isOpen
+               position="top" variant="large"
+               // closing while deploying would lose the progress, but not stop it
+               onClose={isBusy && step === "deploy" ? undefined : Dialogs.close}
+               title={titles[step]}
+               footer={footer}
+        >
+            {content}
+        </Modal>
+    );
+};
+
+export default ComposeDeployModal;
@@ -0,0 +1,92 @@
+import React, { useState } from 'react';
+import { Button } from "@patternfly/react-core/dist/esm/components/Button";
+import { Checkbox } from "@patternfly/react-core/dist/esm/components/Checkbox";
+import { Form, FormGroup } from "@patternfly/react-core/dist/esm/components/Form";
+import { List, ListItem } from "@patternfly/react-core/dist/esm/components/List";
+import { Modal } from "@patternfly/react-core/dist/esm/components/Modal";
+import { TextInput } from "@patternfly/react-core/dist/esm/components/TextInput";
+import cockpit from 'cockpit';
+
+import { FormHelper } from 'cockpit-components-form-helper.jsx';
+import { useDialogs } from "dialogs.jsx";
+
+const _ = cockpit.gettext;
+
+// image repositories are lower case, container names need not be, and docker reports them with a leading slash
+export const commitImageName = (prefix, container) => prefix + container.Name.replace(/^\//, "").toLowerCase();
+
+const ContainerBulkCommitModal = ({ containers, handleCommit }) => {
+    const Dialogs = useDialogs();
+
+    const [prefix, setPrefix] = useState("");
+    const [tag, setTag] = useState("");
+    const [pause, setPause] = useState(false);
+    const [validationFailed, setValidationFailed] = useState({});
+
+    // "backup/" puts the images into a namespace, "backup" makes "backup-<container>"
+    const namePrefix = prefix && !prefix.endsWith("/") ? prefix + "-" : prefix;
+
+    const onCommit = () => {
+        const errors = {};
+        if (prefix && !/^[a-z0-9]+([._-][a-z0-9]+)*(\/[a-z0-9]+([._-][a-z0-9]+)*)*\/?$/.test(prefix))
+            errors.prefix = _("Only lower case letters, digits, separators and slashes are allowed");
+        if (tag && !/^[a-zA-Z0-9_][a-zA-Z0-9_.-]{0,127}$/.test(tag))
+            errors.tag = _("Not a valid tag");
+        setValidationFailed(errors);
+        if (Object.keys(errors).length > 0)
+            return;
+
+        Dialogs.close();
+        handleCommit({ prefix: namePrefix, tag: tag || "latest", pause });
+    };
+
+    return (
+        <Modal isOpen
+               position="top" variant="medium"
+               onClose={Dialogs.close}
+               title={cockpit.format(cockpit.ngettext("Commit $0 container", "Commit $0 containers", containers.length), containers.length)}
+               footer={<>
+                   <Button variant="primary" className="btn-bulk-commit" onClick={onCommit}>
+                       {_("Commit")}
+                   </Button>{' '}
+                   <Button variant="link" onClick={Dialogs.close}>{_("Cancel")}</Button>
+               </>}
+        >
+            <Form isHorizontal>
+                <FormGroup fieldId="bulk-commit-dialog-prefix" label={_("Name prefix")}>
+                    <TextInput id="bulk-commit-dialog-prefix"
+                               placeholder={_("None")}
+                               value={prefix}
+                               validated={validationFailed.prefix ? "error" : "default"}
+                               onChange={(_event, value) => setPrefix(value)} />
+                    <FormHelper fieldId="bulk-commit-dialog-prefix"
+                                helperText={_("Each image is named after its container, after this prefix")}
+                                helperTextInvalid={validationFailed.prefix} />
+                </FormGroup>
+                <FormGroup fieldId="bulk-commit-dialog-tag" label={_("Tag")}>
+                    <TextInput id="bulk-commit-dialog-tag"
+                               placeholder="latest" // Do not translate
+                               value={tag}
+                               validated={validationFailed.tag ? "error" : "default"}
+                               onChange={(_event, value) => setTag(value)} />
+                    <FormHelper fieldId="bulk-commit-dialog-tag" helperTextInvalid={validationFailed.tag} />
+                </FormGroup>
+                <FormGroup fieldId="bulk-commit-dialog-pause" label={_("Options")} isStack hasNoPaddingTop>
+                    <Checkbox id="bulk-commit-dialog-pause"
+                              isChecked={pause}
+                              onChange={(_event, value) => setPause(value)}
+                              label={_("Pause containers when creating images")} />
+                </FormGroup>
+                <FormGroup label={_("Images")} hasNoPaddingTop>
+                    <List isPlain id="bulk-commit-dialog-images">
+                        {containers.map(container =>
+                            <ListItem key={container.Id}>{commitImageName(namePrefix, container) + ":" + (tag || "latest")}</ListItem>
+                        )}
+                    </List>
+                </FormGroup>
+            </Form>
+        </Modal>
+    );
+};
+
+export default ContainerBulkCommitModal;
@@ -0,0 +1,42 @@
+import React from 'react';
+import { Button } from "@patternfly/react-core/dist/esm/components/Button";
+import { List, ListItem } from "@patternfly/react-core/dist/esm/components/List";
+import { Modal } from "@patternfly/react-core/dist/esm/components/Modal";
+import { Stack, StackItem } from "@patternfly/react-core/dist/esm/layouts/Stack";
+import { useDialogs } from "dialogs.jsx";
+import cockpit from 'cockpit';
+
+const _ = cockpit.gettext;
+
+const ContainerBulkDeleteModal = ({ containers, handleDelete }) => {
+    const Dialogs = useDialogs();
+    const anyRunning = containers.some(container => container.State?.Status !== "exited" && container.State?.Status !== "created");
+
+    return (
+        <Modal isOpen
+               position="top" variant="medium"
+               titleIconVariant="warning"
+               onClose={Dialogs.close}
+               title={cockpit.format(cockpit.ngettext("Delete $0 container?", "Delete $0 containers?", containers.length), containers.length)}
+               footer={<>
+                   <Button variant="danger" className="btn-bulk-delete"
+                           onClick={() => { Dialogs.close(); handleDelete() }}>
+                       {_("Delete")}
+                   </Button>{' '}
+                   <Button variant="link" onClick={Dialogs.close}>{_("Cancel")}</Button>
+               </>}
+        >
+            <Stack hasGutter>
+                <StackItem>{_("These containers will be deleted, with all data in them:")}</StackItem>
+                <StackItem>
+                    <List>
+                        {containers.map(container => <ListItem key={container.Id}>{container.Name}</ListItem>)}
+                    </List>
+                </StackItem>
+                {anyRunning && <StackItem>{_("Running containers are stopped first.")}</StackItem>}
+            </Stack>
+        </Modal>
+    );
+};
+
+export default ContainerBulkDeleteModal;
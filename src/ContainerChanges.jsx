@@ -0,0 +1,174 @@
+import React, { useEffect, useState } from 'react';
+import { Button } from "@patternfly/react-core/dist/esm/components/Button";
+import { DescriptionList, DescriptionListDescription, DescriptionListGroup, DescriptionListTerm } from "@patternfly/react-core/dist/esm/components/DescriptionList";
+import { Flex, FlexItem } from "@patternfly/react-core/dist/esm/layouts/Flex";
+import { Label } from "@patternfly/react-core/dist/esm/components/Label";
+import { SearchInput } from "@patternfly/react-core/dist/esm/components/SearchInput";
+import { Stack } from "@patternfly/react-core/dist/esm/layouts/Stack";
+import { ToggleGroup, ToggleGroupItem } from "@patternfly/react-core/dist/esm/components/ToggleGroup";
+import { TreeView } from "@patternfly/react-core/dist/esm/components/TreeView";
+import { ExclamationCircleIcon, RedoIcon } from '@patternfly/react-icons';
+import cockpit from 'cockpit';
+
+import { EmptyStatePanel } from "cockpit-components-empty-state.jsx";
+import * as client from './client.js';
+import { dockerErrorDetail } from './Notification.jsx';
+
+const _ = cockpit.gettext;
+
+// the "Kind" of docker's changes
+const kinds = {
+    0: { name: "modified", label: _("Modified"), color: "blue" },
+    1: { name: "added", label: _("Added"), color: "green" },
+    2: { name: "deleted", label: _("Deleted"), color: "red" },
+};
+
+/*
+ * Turn the flat list of changed paths into a tree. Docker lists the parent directories
+ * of changes as modified themselves, but not always, so missing ones get added without a kind.
+ */
+export function changesTree(changes) {
+    const root = { children: new Map() };
+    for (const change of changes) {
+        let node = root;
+        const parts = change.Path.split("/").filter(Boolean);
+        parts.forEach((part, idx) => {
+            if (!node.children.has(part))
+                node.children.set(part, { name: part, path: "/" + parts.slice(0, idx + 1).join("/"), children: new Map() });
+            node = node.children.get(part);
+        });
+        node.kind = change.Kind;
+    }
+    return root;
+}
+
+/* The TreeView items of "node", with only the changes "matches" accepts, and the directories leading to them */
+function treeItems(node, matches) {
+    const items = [];
+    for (const child of [...node.children.values()].sort((a, b) => a.name.localeCompare(b.name))) {
+        const children = treeItems(child, matches);
+        if (children.length === 0 && !(child.kind !== undefined && matches(child)))
+            continue;
+
+        const kind = kinds[child.kind];
+        items.push({
+            id: child.path,
+            name: (
+                <Flex spaceItems={{ default: 'spaceItemsSm' }} className="container-changes-entry" data-path={child.path}>
+                    <span>{child.name}</span>
+                    {kind && <Label isCompact color={kind.color} className={"container-changes-" + kind.name}>{kind.label}</Label>}
+                </Flex>
+            ),
+            ...children.length > 0 && { children },
+        });
+    }
+    return items;
+}
+
+const ContainerSize = ({ container }) => {
+    const [size, setSize] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    const calculate = () => {
+        setLoading(true);
+        setError(null);
+        client.inspectContainer(container.Id, true)
+                .then(details => setSize({ rw: details.SizeRw, rootFs: details.SizeRootFs }))
+                .catch(ex => setError(dockerErrorDetail(ex)))
+                .finally(() => setLoading(false));
+    };
+
+    return (
+        <Flex alignItems={{ default: 'alignItemsCenter' }}>
+            {size &&
+            <DescriptionList isHorizontal isCompact className="container-changes-size">
+                <DescriptionListGroup>
+                    <DescriptionListTerm>{_("Written by the container")}</DescriptionListTerm>
+                    <DescriptionListDescription>{cockpit.format_bytes(size.rw || 0)}</DescriptionListDescription>
+                </DescriptionListGroup>
+                <DescriptionListGroup>
+                    <DescriptionListTerm>{_("Total with the image")}</DescriptionListTerm>
+                    <DescriptionListDescription>{cockpit.format_bytes(size.rootFs || 0)}</DescriptionListDescription>
+                </DescriptionListGroup>
+            </DescriptionList>}
+            {error && <span className="pf-v5-u-danger-color-100">{error}</span>}
+            <FlexItem>
+                <Button variant="secondary" size="sm"
+                        className="container-changes-size-button"
+                        isLoading={loading} isDisabled={loading}
+                        onClick={calculate}>
+                    {size ? _("Recalculate disk usage") : _("Calculate disk usage")}
+                </Button>
+            </FlexItem>
+        </Flex>
+    );
+};
+
+const ContainerChanges = ({ container }) => {
+    const [changes, setChanges] = useState(null);
+    const [error, setError] = useState(null);
+    const [reloads, setReloads] = useState(0);
+    const [filter, setFilter] = useState("");
+    const [shownKinds, setShownKinds] = useState({ 0: true, 1: true, 2: true });
+
+    useEffect(() => {
+        setError(null);
+        client.containerChanges(container.Id)
+                .then(result => setChanges(result || []))
+                .catch(ex => setError(dockerErrorDetail(ex)));
+    }, [container.Id, reloads]);
+
+    let content;
+    if (error) {
+        content = <EmptyStatePanel icon={ExclamationCircleIcon} title={_("Failed to load the changes")} paragraph={error} />;
+    } else if (changes === null) {
+        content = <EmptyStatePanel title={_("Loading...")} loading />;
+    } else if (changes.length === 0) {
+        content = <EmptyStatePanel title={_("The container did not change any files of its image")} />;
+    } else {
+        const text = filter.toLowerCase();
+        const items = treeItems(changesTree(changes),
+                                node => shownKinds[node.kind] && node.path.toLowerCase().includes(text));
+        // expand everything matching a search, but start with the top level only
+        content = items.length > 0
+            ? <TreeView data={items} hasGuides className="container-changes-tree" allExpanded={filter ? true : undefined} />
+            : <EmptyStatePanel title={_("No changes match the filter")} />;
+    }
+
+    const counts = Object.fromEntries(Object.keys(kinds).map(kind => [kind, (changes || []).filter(change => change.Kind === Number(kind)).length]));
+
+    return (
+        <Stack hasGutter className="container-changes">
+            <ContainerSize container={container} />
+            <Flex alignItems={{ default: 'alignItemsCenter' }}>
+                <FlexItem grow={{ default: 'grow' }}>
+                    <SearchInput className="container-changes-filter"
+                                 placeholder={_("Filter by path")}
+                                 value={filter}
+                                 onChange={(_event, value) => setFilter(value)}
+                                 onClear={() => setFilter("")} />
+                </FlexItem>
+                <FlexItem>
+                    <ToggleGroup aria-label={_("Kinds of changes")}>
+                        {Object.entries(kinds).map(([kind, { name, label }]) =>
+                            <ToggleGroupItem key={kind}
+                                             className={"container-changes-toggle-" + name}
+                                             text={cockpit.format("$0 ($1)", label, counts[kind])}
+                                             isSelected={shownKinds[kind]}
+                                             onChange={(_event, selected) => setShownKinds(prev => ({ ...prev, [kind]: selected }))} />
+                        )}
+                    </ToggleGroup>
+                </FlexItem>
+                <FlexItem>
+                    <Button variant="plain" aria-label={_("Reload")} onClick={() => setReloads(count => count + 1)}>
+                        <RedoIcon />
+                    </Button>
+                </FlexItem>
+            </Flex>
+            {content}
+        </Stack>
+    );
+};
+
+export default ContainerChanges;
@@ -7,6 +7,7 @@ import { useDialogs } from "dialogs.jsx";
 import cockpit from 'cockpit';
 
 import * as client from './client.js';
+import { dockerErrorDetail } from './Notification.jsx';
 
 const _ = cockpit.gettext;
 
@@ -26,7 +27,7 @@ const ContainerCheckpointModal = ({ containerWillCheckpoint, onAddNotification }
         })
                 .catch(ex => {
                     const error = cockpit.format(_("Failed to checkpoint container $0"), containerWillCheckpoint.Name); // not-covered: OS error
-                    onAddNotification({ type: 'danger', error, errorDetail: ex.message });
+                    onAddNotification({ type: 'danger', error, errorDetail: dockerErrorDetail(ex) });
                     setProgress(false);
                 })
                 .finally(() => {
@@ -9,7 +9,7 @@ import cockpit from 'cockpit';
 import { FormHelper } from 'cockpit-components-form-helper.jsx';
 import * as utils from './util.js';
 import * as client from './client.js';
-import { ErrorNotification } from './Notification.jsx';
+import { ErrorNotification, dockerErrorDetail } from './Notification.jsx';
 import { fmt_to_fragments } from 'utils.jsx';
 import { useDialogs } from "dialogs.jsx";
 
@@ -76,7 +76,7 @@ const ContainerCommitModal = ({ container, localImages }) => {
                 .then(() => Dialogs.close())
                 .catch(ex => {
                     setDialogError(cockpit.format(_("Failed to commit container $0"), container.Name));
-                    setDialogErrorDetail(cockpit.format("$0: $1", ex.message, ex.reason));
+                    setDialogErrorDetail(dockerErrorDetail(ex));
                     setCommitInProgress(false);
                 });
     };
@@ -5,6 +5,7 @@ import { useDialogs } from "dialogs.jsx";
 import cockpit from 'cockpit';
 
 import * as client from './client.js';
+import { dockerErrorDetail } from './Notification.jsx';
 
 const _ = cockpit.gettext;
 
@@ -19,7 +20,7 @@ const ContainerDeleteModal = ({ containerWillDelete, onAddNotification }) => {
         client.delContainer(id, false)
                 .catch(ex => {
                     const error = cockpit.format(_("Failed to remove container $0"), container.Name); // not-covered: OS error
-                    onAddNotification({ type: 'danger', error, errorDetail: ex.message });
+                    onAddNotification({ type: 'danger', error, errorDetail: dockerErrorDetail(ex) });
                 });
     };
 
@@ -2,8 +2,17 @@ import React from 'react';
 import cockpit from 'cockpit';
 import * as utils from './util.js';
 
+import { Button } from "@patternfly/react-core/dist/esm/components/Button";
 import { DescriptionList, DescriptionListDescription, DescriptionListGroup, DescriptionListTerm } from "@patternfly/react-core/dist/esm/components/DescriptionList";
 import { Flex, FlexItem } from "@patternfly/react-core/dist/esm/layouts/Flex";
+import { Stack } from "@patternfly/react-core/dist/esm/layouts/Stack";
+import { Title } from "@patternfly/react-core/dist/esm/components/Title";
+import { ListingTable } from "cockpit-components-table.jsx";
+import { useDialogs } from "dialogs.jsx";
+
+import ContainerNetworkConnectModal from './ContainerNetworkConnectModal.jsx';
+import ContainerNetworkDisconnectModal from './ContainerNetworkDisconnectModal.jsx';
+import { cpuLimit, restartPolicyLabels } from './ContainerResourcesModal.jsx';
 
 const _ = cockpit.gettext;
 
@@ -14,66 +23,145 @@ const render_container_state = (container) => {
     return cockpit.format(_("Exited"));
 };
 
-const ContainerDetails = ({ container }) => {
-    const networkOptions = (
-        [
-            container.NetworkSettings?.IPAddress,
-            container.NetworkSettings?.Gateway,
-            container.NetworkSettings?.MacAddress,
-        ].some(itm => !!itm)
+const render_restart_policy = (policy) => {
+    const label = restartPolicyLabels[policy?.Name || "no"] || policy.Name;
+    if (policy?.Name === "on-failure" && policy.MaximumRetryCount)
+        return cockpit.format(_("$0, up to $1 times"), label, policy.MaximumRetryCount);
+    return label;
+};
+
+// limits which are set, as [term, value]
+const resourceLimits = (hostConfig) => {
+    const limits = [];
+    if (hostConfig.Memory > 0)
+        limits.push([_("Memory limit"), cockpit.format_bytes(hostConfig.Memory, 1024)]);
+    if (hostConfig.MemorySwap > 0)
+        limits.push([_("Memory and swap limit"), cockpit.format_bytes(hostConfig.MemorySwap, 1024)]);
+    if (cpuLimit(hostConfig) > 0)
+        limits.push([_("CPUs"), String(cpuLimit(hostConfig))]);
+    if (hostConfig.CpuShares > 0)
+        limits.push([_("CPU shares"), String(hostConfig.CpuShares)]);
+    if (hostConfig.CpusetCpus)
+        limits.push([_("Allowed CPUs"), hostConfig.CpusetCpus]);
+    if (hostConfig.PidsLimit > 0)
+        limits.push([_("Process limit"), String(hostConfig.PidsLimit)]);
+    return limits;
+};
+
+// network modes which share another network stack, and cannot be connected to networks
+const sharesNetworkStack = mode => ["host", "none"].includes(mode) || mode?.startsWith("container:");
+
+const ContainerNetworks = ({ container, onAddNotification }) => {
+    const Dialogs = useDialogs();
+    const networks = Object.entries(container.NetworkSettings?.Networks || {})
+            .sort(([a], [b]) => a.localeCompare(b));
+    const fixedNetworks = sharesNetworkStack(container.HostConfig?.NetworkMode);
+
+    const rows = networks.map(([name, endpoint]) => {
+        const actions = !fixedNetworks && (
+            <Button variant="secondary"
+                    size="sm"
+                    className="btn-network-disconnect"
+                    onClick={() => Dialogs.show(<ContainerNetworkDisconnectModal container={container}
+                                                                                 networkName={name}
+                                                                                 networkId={endpoint.NetworkID}
+                                                                                 onAddNotification={onAddNotification} />)}>
+                {_("Disconnect")}
+            </Button>
+        );
+
+        return {
+            columns: [
+                { title: name, header: true },
+                { title: [endpoint.IPAddress, endpoint.GlobalIPv6Address].filter(Boolean).join(", ") },
+                { title: endpoint.Gateway },
+                { title: endpoint.MacAddress },
+                { title: (endpoint.Aliases || []).join(", ") },
+                { title: actions, props: { className: "pf-v5-c-table__action" } },
+            ],
+            props: { key: name, "data-row-id": name },
+        };
+    });
+
+    return (
+        <>
+            <Flex alignItems={{ default: 'alignItemsCenter' }}>
+                <FlexItem grow={{ default: 'grow' }}>
+                    <Title headingLevel="h4">{_("Networks")}</Title>
+                </FlexItem>
+                {!fixedNetworks &&
+                <FlexItem>
+                    <Button variant="secondary"
+                            size="sm"
+                            id="container-details-connect-network"
+                            onClick={() => Dialogs.show(<ContainerNetworkConnectModal container={container} />)}>
+                        {_("Connect to network")}
+                    </Button>
+                </FlexItem>}
+            </Flex>
+            <ListingTable aria-label={_("Networks")}
+                          className="container-details-networking"
+                          variant="compact"
+                          emptyCaption={_("Not connected to any network")}
+                          columns={[_("Network"), _("IP address"), _("Gateway"), _("MAC address"), _("Aliases"), ""]}
+                          rows={rows} />
+        </>
     );
+};
 
+const ContainerDetails = ({ container, onAddNotification }) => {
     return (
-        <Flex>
-            <FlexItem>
-                <DescriptionList className='container-details-basic'>
-                    <DescriptionListGroup>
-                        <DescriptionListTerm>{_("ID")}</DescriptionListTerm>
-                        <DescriptionListDescription>{utils.truncate_id(container.Id)}</DescriptionListDescription>
-                    </DescriptionListGroup>
-                    <DescriptionListGroup>
-                        <DescriptionListTerm>{_("Image")}</DescriptionListTerm>
-                        <DescriptionListDescription>{container.Config.Image}</DescriptionListDescription>
-                    </DescriptionListGroup>
-                    <DescriptionListGroup>
-                        <DescriptionListTerm>{_("Command")}</DescriptionListTerm>
-                        <DescriptionListDescription>{utils.quote_cmdline(container.Config?.Cmd)}</DescriptionListDescription>
-                    </DescriptionListGroup>
-                </DescriptionList>
-            </FlexItem>
-            <FlexItem>
-                {networkOptions && <DescriptionList columnModifier={{ default: '2Col' }} className='container-details-networking'>
-                    {container.NetworkSettings?.IPAddress && <DescriptionListGroup>
-                        <DescriptionListTerm>{_("IP address")}</DescriptionListTerm>
-                        <DescriptionListDescription>{container.NetworkSettings.IPAddress}</DescriptionListDescription>
-                    </DescriptionListGroup>}
-                    {container.NetworkSettings?.Gateway && <DescriptionListGroup>
-                        <DescriptionListTerm>{_("Gateway")}</DescriptionListTerm>
-                        <DescriptionListDescription>{container.NetworkSettings.Gateway}</DescriptionListDescription>
-                    </DescriptionListGroup>}
-                    {container.NetworkSettings?.MacAddress && <DescriptionListGroup>
-                        <DescriptionListTerm>{_("MAC address")}</DescriptionListTerm>
-                        <DescriptionListDescription>{container.NetworkSettings.MacAddress}</DescriptionListDescription>
-                    </DescriptionListGroup>}
-                </DescriptionList>}
-            </FlexItem>
-            <FlexItem>
-                <DescriptionList className='container-details-state'>
-                    <DescriptionListGroup>
-                        <DescriptionListTerm>{_("Created")}</DescriptionListTerm>
-                        <DescriptionListDescription>{utils.localize_time(new Date(container.Created) / 1000)}</DescriptionListDescription>
-                    </DescriptionListGroup>
-                    <DescriptionListGroup>
-                        <DescriptionListTerm>{_("State")}</DescriptionListTerm>
-                        <DescriptionListDescription>{render_container_state(container)}</DescriptionListDescription>
-                    </DescriptionListGroup>
-                    {container.State?.Checkpointed && <DescriptionListGroup>
-                        <DescriptionListTerm>{_("Latest checkpoint")}</DescriptionListTerm>
-                        <DescriptionListDescription>{utils.localize_time(Date.parse(container.State.CheckpointedAt) / 1000)}</DescriptionListDescription>
-                    </DescriptionListGroup>}
-                </DescriptionList>
-            </FlexItem>
-        </Flex>
+        <Stack hasGutter>
+            <Flex>
+                <FlexItem>
+                    <DescriptionList className='container-details-basic'>
+                        <DescriptionListGroup>
+                            <DescriptionListTerm>{_("ID")}</DescriptionListTerm>
+                            <DescriptionListDescription>{utils.truncate_id(container.Id)}</DescriptionListDescription>
+                        </DescriptionListGroup>
+                        <DescriptionListGroup>
+                            <DescriptionListTerm>{_("Image")}</DescriptionListTerm>
+                            <DescriptionListDescription>{container.Config.Image}</DescriptionListDescription>
+                        </DescriptionListGroup>
+                        <DescriptionListGroup>
+                            <DescriptionListTerm>{_("Command")}</DescriptionListTerm>
+                            <DescriptionListDescription>{utils.quote_cmdline(container.Config?.Cmd)}</DescriptionListDescription>
+                        </DescriptionListGroup>
+                    </DescriptionList>
+                </FlexItem>
+                <FlexItem>
+                    <DescriptionList className='container-details-state'>
+                        <DescriptionListGroup>
+                            <DescriptionListTerm>{_("Created")}</DescriptionListTerm>
+                            <DescriptionListDescription>{utils.localize_time(new Date(container.Created) / 1000)}</DescriptionListDescription>
+                        </DescriptionListGroup>
+                        <DescriptionListGroup>
+                            <DescriptionListTerm>{_("State")}</DescriptionListTerm>
+                            <DescriptionListDescription>{render_container_state(container)}</DescriptionListDescription>
+                        </DescriptionListGroup>
+                        {container.State?.Checkpointed && <DescriptionListGroup>
+                            <DescriptionListTerm>{_("Latest checkpoint")}</DescriptionListTerm>
+                            <DescriptionListDescription>{utils.localize_time(Date.parse(container.State.CheckpointedAt) / 1000)}</DescriptionListDescription>
+                        </DescriptionListGroup>}
+                    </DescriptionList>
+                </FlexItem>
+                <FlexItem>
+                    <DescriptionList className='container-details-resources'>
+                        {resourceLimits(container.HostConfig || {}).map(([term, value]) =>
+                            <DescriptionListGroup key={term}>
+                                <DescriptionListTerm>{term}</DescriptionListTerm>
+                                <DescriptionListDescription>{value}</DescriptionListDescription>
+                            </DescriptionListGroup>
+                        )}
+                        <DescriptionListGroup>
+                            <DescriptionListTerm>{_("Restart policy")}</DescriptionListTerm>
+                            <DescriptionListDescription>{render_restart_policy(container.HostConfig?.RestartPolicy)}</DescriptionListDescription>
+                        </DescriptionListGroup>
+                    </DescriptionList>
+                </FlexItem>
+            </Flex>
+            <ContainerNetworks container={container} onAddNotification={onAddNotification} />
+        </Stack>
     );
 };
 
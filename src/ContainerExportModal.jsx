@@ -0,0 +1,182 @@
+import React, { useRef, useState } from 'react';
+import { Button } from "@patternfly/react-core/dist/esm/components/Button";
+import { Form, FormGroup } from "@patternfly/react-core/dist/esm/components/Form";
+import { Modal } from "@patternfly/react-core/dist/esm/components/Modal";
+import { Progress, ProgressMeasureLocation } from "@patternfly/react-core/dist/esm/components/Progress";
+import { Radio } from "@patternfly/react-core/dist/esm/components/Radio";
+import cockpit from 'cockpit';
+
+import { FileAutoComplete } from 'cockpit-components-file-autocomplete.jsx';
+import { FormHelper } from 'cockpit-components-form-helper.jsx';
+import { useDialogs } from "dialogs.jsx";
+import * as client from './client.js';
+import { ErrorNotification, dockerErrorDetail } from './Notification.jsx';
+import * as utils from './util.js';
+
+const _ = cockpit.gettext;
+
+// milliseconds between updates of the progress
+const PROGRESS_INTERVAL = 200;
+
+/*
+ * Write a file on the host in chunks. It only replaces "path" once finish() is called,
+ * so a cancelled or failed export leaves nothing behind.
+ */
+function hostFileWriter(path) {
+    const channel = cockpit.channel({ payload: "fsreplace1", path, binary: true, superuser: "try" });
+    const closed = new Promise((resolve, reject) => {
+        channel.addEventListener("close", (_event, options) => {
+            if (options.problem)
+                reject(new Error(options.message || options.problem));
+            else
+                resolve();
+        });
+    });
+
+    return {
+        write: chunk => channel.send(chunk),
+        finish: () => {
+            channel.control({ command: "done" });
+            return closed;
+        },
+        abort: () => {
+            channel.close("cancelled");
+            closed.catch(() => {});
+        },
+    };
+}
+
+const ContainerExportModal = ({ container, onAddNotification }) => {
+    const Dialogs = useDialogs();
+    const name = container.Name.replace(/^\//, "");
+
+    const [target, setTarget] = useState("download");
+    const [path, setPath] = useState("");
+    const [pathError, setPathError] = useState(null);
+    const [progress, setProgress] = useState(null);
+    const [dialogError, setDialogError] = useState(null);
+    const [dialogErrorDetail, setDialogErrorDetail] = useState(null);
+    const controller = useRef(null);
+
+    // a directory gets the file named after the container
+    const hostPath = path.endsWith("/") ? path + name + ".tar" : path;
+
+    const handleExport = async () => {
+        // the browser shows the progress of its downloads itself
+        if (target === "download") {
+            utils.downloadUrl(client.exportUrl(container.Id, name + ".tar"));
+            Dialogs.close();
+            return;
+        }
+
+        if (!path.startsWith("/")) {
+            setPathError(_("An absolute path is required"));
+            return;
+        }
+
+        controller.current = new AbortController();
+        setDialogError(null);
+        setProgress({ received: 0, total: 0 });
+
+        let writer = null;
+        try {
+            // the size is only an estimate, as the file system can change meanwhile
+            const total = (await client.inspectContainer(container.Id, true)).SizeRootFs || 0;
+            setProgress({ received: 0, total });
+
+            let received = 0;
+            let shown = 0;
+            writer = hostFileWriter(hostPath);
+            await client.exportContainer(container.Id, chunk => {
+                received += chunk.length;
+                writer.write(chunk);
+                // chunks come in fast, rendering each of them would slow down the export
+                if (Date.now() - shown > PROGRESS_INTERVAL) {
+                    shown = Date.now();
+                    setProgress({ received, total });
+                }
+            }, { signal: controller.current.signal });
+
+            await writer.finish();
+            onAddNotification({ type: 'success', error: cockpit.format(_("Exported container $0 to $1"), name, hostPath) });
+            Dialogs.close();
+        } catch (ex) {
+            writer?.abort();
+            setProgress(null);
+            if (!ex.cancelled) {
+                setDialogError(cockpit.format(_("Failed to export container $0"), name));
+                setDialogErrorDetail(dockerErrorDetail(ex));
+            }
+        }
+    };
+
+    let progressBar = null;
+    if (progress) {
+        const { received, total } = progress;
+        // the export can get larger than the estimate, so do not claim to be done early
+        const value = total ? Math.min(received / total * 100, 99) : 0;
+        progressBar = (
+            <Progress id="export-dialog-progress"
+                      aria-label={_("Export progress")}
+                      value={value}
+                      measureLocation={ProgressMeasureLocation.outside}
+                      label={total
+                          ? cockpit.format(_("$0 of about $1"), cockpit.format_bytes(received), cockpit.format_bytes(total))
+                          : cockpit.format_bytes(received)} />
+        );
+    }
+
+    return (
+        <Modal isOpen
+               position="top" variant="medium"
+               onClose={progress ? undefined : Dialogs.close}
+               title={cockpit.format(_("Export container $0"), name)}
+               footer={progress
+                   ? <Button variant="secondary" id="export-dialog-cancel" onClick={() => controller.current.abort()}>
+                       {_("Cancel")}
+                   </Button>
+                   : <>
+                       <Button variant="primary" id="export-dialog-start" onClick={handleExport}>
+                           {_("Export")}
+                       </Button>
+                       <Button variant="link" onClick={Dialogs.close}>{_("Cancel")}</Button>
+                   </>}
+        >
+            {dialogError && <ErrorNotification errorMessage={dialogError} errorDetail={dialogErrorDetail} onDismiss={() => setDialogError(null)} />}
+            <Form isHorizontal>
+                <FormGroup fieldId="export-dialog-target" label={_("Save to")} isStack hasNoPaddingTop>
+                    <Radio id="export-dialog-download"
+                           name="export-dialog-target"
+                           label={_("A download in the browser")}
+                           isChecked={target === "download"}
+                           isDisabled={!!progress}
+                           onChange={() => setTarget("download")} />
+                    <Radio id="export-dialog-host"
+                           name="export-dialog-target"
+                           label={_("A file on the host")}
+                           isChecked={target === "host"}
+                           isDisabled={!!progress}
+                           onChange={() => setTarget("host")} />
+                </FormGroup>
+                {target === "host" &&
+                <FormGroup fieldId="export-dialog-path" label={_("Path")}>
+                    <FileAutoComplete id="export-dialog-path"
+                                      superuser="try"
+                                      isOptionCreatable
+                                      placeholder={_("Path on the host")}
+                                      value={path}
+                                      onChange={value => {
+                                          setPath(value || "");
+                                          setPathError(null);
+                                      }} />
+                    <FormHelper fieldId="export-dialog-path"
+                                helperText={path.endsWith("/") ? cockpit.format(_("Saved as $0"), hostPath) : _("Existing files get replaced")}
+                                helperTextInvalid={pathError} />
+                </FormGroup>}
+                {progressBar}
+            </Form>
+        </Modal>
+    );
+};
+
+export default ContainerExportModal;
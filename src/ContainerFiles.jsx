@@ -0,0 +1,408 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Breadcrumb, BreadcrumbItem } from "@patternfly/react-core/dist/esm/components/Breadcrumb";
+import { Button } from "@patternfly/react-core/dist/esm/components/Button";
+import { Flex, FlexItem } from "@patternfly/react-core/dist/esm/layouts/Flex";
+import { Modal } from "@patternfly/react-core/dist/esm/components/Modal";
+import { TextInput } from "@patternfly/react-core/dist/esm/components/TextInput";
+import { DownloadIcon, ExclamationCircleIcon, FileIcon, FolderIcon, RedoIcon, UploadIcon } from '@patternfly/react-icons';
+import cockpit from 'cockpit';
+
+import { EmptyStatePanel } from "cockpit-components-empty-state.jsx";
+import { ListingTable } from "cockpit-components-table.jsx";
+import { useDialogs } from "dialogs.jsx";
+import * as client from './client.js';
+import { dockerErrorDetail } from './Notification.jsx';
+import { createTar, createTarReader } from './tar.js';
+import * as utils from './util.js';
+
+const _ = cockpit.gettext;
+
+// larger files are only offered for download
+const PREVIEW_LIMIT = 1000000;
+
+// os.ModeDir of the "mode" in docker's stat of a path
+const GO_MODE_DIR = 2 ** 31;
+
+/* Resolve ".", ".." and repeated slashes of an absolute path */
+export function normalizePath(path) {
+    const parts = [];
+    for (const part of path.split("/")) {
+        if (part === "..")
+            parts.pop();
+        else if (part && part !== ".")
+            parts.push(part);
+    }
+    return "/" + parts.join("/");
+}
+
+const joinPath = (dir, name) => normalizePath(dir + "/" + name);
+const baseName = path => path.substring(path.lastIndexOf("/") + 1);
+
+const typeChars = { directory: "d", symlink: "l", char: "c", block: "b", fifo: "p" };
+
+const modeString = entry => (typeChars[entry.type] || "-") +
+    [6, 3, 0].map(shift => {
+        const bits = (entry.mode >> shift) & 7;
+        return (bits & 4 ? "r" : "-") + (bits & 2 ? "w" : "-") + (bits & 1 ? "x" : "-");
+    }).join("");
+
+/*
+ * The entries of directory "path" of a stopped container. Docker sends the whole tree
+ * below it, of which only the names of the first level are kept. It walks the tree depth
+ * first, so the first level is only complete at the end of the stream.
+ * A trailing slash makes docker follow a symlink.
+ */
+function listArchive(id, path, signal) {
+    const entries = [];
+    // the first entry is the directory itself, with the name the others are below of
+    let root = path === "/" ? "" : null;
+    const reader = createTarReader(entry => {
+        const name = entry.name.replace(/^(\.?\/)+/, "").replace(/\/+$/, "");
+        if (root === null) {
+            root = name;
+            return;
+        }
+        const rel = root ? name.substring(root.length + 1) : name;
+        if (rel && !rel.includes("/"))
+            entries.push({ ...entry, name: rel });
+    });
+
+    return client.getArchive(id, path === "/" ? "/" : path + "/", chunk => reader.write(chunk), { signal })
+            .then(() => {
+                reader.end();
+                return entries;
+            });
+}
+
+// "stat" of busybox and coreutils alike, with the targets of symlinks after an empty line
+const LIST_SCRIPT = `
+cd -- "$1" && shift || exit 1
+for name in .[!.]* ..?* *; do
+    if [ -e "$name" ] || [ -L "$name" ]; then set -- "$@" "$name"; fi
+done
+[ $# -eq 0 ] || stat -c '%f %s %Y %n' -- "$@" || exit 1
+echo
+for name; do
+    if [ -L "$name" ]; then printf '%s\\n' "$name"; readlink -- "$name"; fi
+done
+`;
+
+const fileTypes = {
+    0o040000: "directory",
+    0o100000: "file",
+    0o120000: "symlink",
+    0o020000: "char",
+    0o060000: "block",
+    0o010000: "fifo",
+};
+
+// the entries in the output of LIST_SCRIPT, or null if it cannot be read
+function parseListing(output) {
+    const lines = output.split(/\r?\n/);
+    const separator = lines.indexOf("");
+    const entries = new Map();
+    for (const line of lines.slice(0, separator)) {
+        const match = line.match(/^([0-9a-f]+) (\d+) (\d+) (.+)$/);
+        if (!match)
+            return null;
+        const mode = parseInt(match[1], 16);
+        entries.set(match[4], {
+            name: match[4],
+            type: fileTypes[mode & 0o170000] || "other",
+            size: parseInt(match[2]),
+            mode: mode & 0o7777,
+            mtime: parseInt(match[3]),
+            linkTarget: "",
+        });
+    }
+    const links = lines.slice(separator + 1);
+    for (let i = 0; i + 1 < links.length; i += 2) {
+        if (entries.has(links[i]))
+            entries.get(links[i]).linkTarget = links[i + 1];
+    }
+    return Array.from(entries.values());
+}
+
+/*
+ * The entries of directory "path". In running containers, "stat" lists just that level;
+ * containers without a shell, and names with line breaks, fall back to the archive.
+ */
+function listDirectory(id, running, path, signal) {
+    if (!running)
+        return listArchive(id, path, signal);
+
+    return client.runInContainer(id, ["sh", "-c", LIST_SCRIPT, "sh", path])
+            .then(({ exitCode, output }) => (exitCode === 0 && parseListing(output)) || listArchive(id, path, signal),
+                  () => listArchive(id, path, signal));
+}
+
+/* The content of the file at "path" as bytes */
+function readFile(id, path) {
+    let data = null;
+    const reader = createTarReader(entry => {
+        if (data === null && entry.type === "file")
+            data = entry.data;
+    }, () => true);
+    return client.getArchive(id, path, chunk => reader.write(chunk))
+            .then(() => data ?? new Uint8Array(0));
+}
+
+const FilePreviewModal = ({ containerId, path }) => {
+    const Dialogs = useDialogs();
+    const [content, setContent] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        readFile(containerId, path)
+                .then(data => {
+                    // NUL bytes do not appear in text
+                    if (data.includes(0))
+                        throw new Error(_("This is not a text file"));
+                    setContent(new TextDecoder("utf-8", { fatal: true }).decode(data));
+                })
+                .catch(ex => setError(ex instanceof TypeError ? _("This is not a text file") : dockerErrorDetail(ex)));
+    }, [containerId, path]);
+
+    let body;
+    if (error)
+        body = <EmptyStatePanel icon={ExclamationCircleIcon} title={error} />;
+    else if (content === null)
+        body = <EmptyStatePanel title={_("Loading...")} loading />;
+    else
+        body = <pre className="container-files-preview-content">{content}</pre>;
+
+    return (
+        <Modal isOpen
+               id="container-files-preview"
+               position="top" variant="large"
+               onClose={Dialogs.close}
+               title={path}
+               footer={<Button variant="secondary" onClick={Dialogs.close}>{_("Close")}</Button>}>
+            {body}
+        </Modal>
+    );
+};
+
+const ContainerFiles = ({ container, onAddNotification }) => {
+    const Dialogs = useDialogs();
+    const [path, setPath] = useState("/");
+    const [pathInput, setPathInput] = useState("/");
+    const [entries, setEntries] = useState(null);
+    const [error, setError] = useState(null);
+    const [reloads, setReloads] = useState(0);
+    const [uploading, setUploading] = useState(false);
+    const [dragging, setDragging] = useState(false);
+    const fileInput = useRef(null);
+    const running = container.State?.Status === "running";
+
+    useEffect(() => {
+        const controller = new AbortController();
+        setEntries(null);
+        setError(null);
+        setPathInput(path);
+        listDirectory(container.Id, running, path, controller.signal)
+                .then(result => {
+                    // an exec cannot be cancelled, its result may come after leaving the directory
+                    if (!controller.signal.aborted)
+                        setEntries(result.sort((a, b) =>
+                            (b.type === "directory") - (a.type === "directory") || a.name.localeCompare(b.name)));
+                })
+                .catch(ex => {
+                    if (!ex.cancelled && !controller.signal.aborted)
+                        setError(dockerErrorDetail(ex));
+                });
+        return () => controller.abort();
+    }, [container.Id, running, path, reloads]);
+
+    const preview = (filePath, size) => {
+        if (size > PREVIEW_LIMIT) {
+            onAddNotification({ type: 'danger', error: cockpit.format(_("$0 is too large to preview, download it instead"), filePath) });
+            return;
+        }
+        Dialogs.show(<FilePreviewModal containerId={container.Id} path={filePath} />);
+    };
+
+    // go to directories, and show files
+    const open = (target) => {
+        client.statContainerPath(container.Id, target)
+                .then(stat => {
+                    if (!stat)
+                        throw new Error(_("No such file or directory"));
+                    if (stat.linkTarget && stat.linkTarget !== target)
+                        return client.statContainerPath(container.Id, stat.linkTarget).then(linked => [linked, stat]);
+                    return [stat, stat];
+                })
+                .then(([stat, link]) => {
+                    if (Math.floor(stat.mode / GO_MODE_DIR) % 2 === 1)
+                        setPath(target);
+                    else
+                        preview(link.linkTarget || target, stat.size);
+                })
+                .catch(ex => onAddNotification({
+                    type: 'danger',
+                    error: cockpit.format(_("Failed to open $0"), target),
+                    errorDetail: dockerErrorDetail(ex),
+                }));
+    };
+
+    // the browser streams it to disk and shows the progress itself
+    const download = (target) => {
+        const fileName = (baseName(target) || container.Name.replace(/^\//, "")) + ".tar";
+        utils.downloadUrl(client.archiveUrl(container.Id, target, fileName));
+    };
+
+    const upload = (files) => {
+        if (files.length === 0)
+            return;
+        const target = path;
+        setUploading(true);
+        Promise.all(files.map(file => file.arrayBuffer()
+                .then(buffer => ({ name: file.name, data: new Uint8Array(buffer), mtime: file.lastModified / 1000 }))))
+                .then(contents => client.putArchive(container.Id, target, createTar(contents)))
+                .then(() => {
+                    onAddNotification({
+                        type: 'success',
+                        error: cockpit.format(cockpit.ngettext("Uploaded $0 file to $1", "Uploaded $0 files to $1", files.length),
+                                              files.length, target),
+                    });
+                    setReloads(count => count + 1);
+                })
+                .catch(ex => onAddNotification({
+                    type: 'danger',
+                    error: cockpit.format(_("Failed to upload files to $0"), target),
+                    errorDetail: dockerErrorDetail(ex),
+                }))
+                .finally(() => setUploading(false));
+    };
+
+    const onDrop = (event) => {
+        event.preventDefault();
+        setDragging(false);
+        upload(Array.from(event.dataTransfer.files));
+    };
+
+    const segments = path.split("/").filter(Boolean);
+    const breadcrumb = (
+        <Breadcrumb className="container-files-breadcrumb">
+            <BreadcrumbItem>
+                <Button variant="link" isInline onClick={() => setPath("/")}>/</Button>
+            </BreadcrumbItem>
+            {segments.map((segment, idx) =>
+                <BreadcrumbItem key={idx} isActive={idx === segments.length - 1}>
+                    {idx === segments.length - 1
+                        ? segment
+                        : <Button variant="link" isInline onClick={() => setPath("/" + segments.slice(0, idx + 1).join("/"))}>
+                            {segment}
+                        </Button>}
+                </BreadcrumbItem>
+            )}
+        </Breadcrumb>
+    );
+
+    const rows = (entries || []).map(entry => {
+        const entryPath = joinPath(path, entry.name);
+        const isDir = entry.type === "directory";
+        const canOpen = isDir || entry.type === "file" || entry.type === "symlink";
+        const name = (
+            <Flex spaceItems={{ default: 'spaceItemsSm' }} flexWrap={{ default: 'nowrap' }}>
+                {isDir ? <FolderIcon /> : <FileIcon />}
+                {canOpen
+                    ? <Button variant="link" isInline className="container-files-name"
+                              onClick={() => isDir ? setPath(entryPath) : open(entryPath)}>
+                        {entry.name}
+                    </Button>
+                    : <span className="container-files-name">{entry.name}</span>}
+                {entry.type === "symlink" && <span className="ct-grey-text">{"→ " + entry.linkTarget}</span>}
+            </Flex>
+        );
+        return {
+            columns: [
+                { title: name, header: true },
+                { title: isDir ? "" : cockpit.format_bytes(entry.size) },
+                { title: utils.localize_time(entry.mtime) },
+                { title: <code>{modeString(entry)}</code> },
+                {
+                    title: (
+                        <Button variant="plain" className="container-files-download"
+                                aria-label={cockpit.format(_("Download $0"), entry.name)}
+                                onClick={() => download(entryPath)}>
+                            <DownloadIcon />
+                        </Button>
+                    ),
+                    props: { className: "pf-v5-c-table__action" },
+                },
+            ],
+            props: { key: entry.name, "data-row-id": entry.name },
+        };
+    });
+
+    let emptyCaption = _("Empty directory");
+    if (error)
+        emptyCaption = error;
+    else if (entries === null)
+        emptyCaption = _("Loading...");
+
+    return (
+        <div className={"container-files" + (dragging ? " container-files-dragging" : "")}
+             onDragOver={event => {
+                 event.preventDefault();
+                 setDragging(true);
+             }}
+             onDragLeave={event => {
+                 if (!event.currentTarget.contains(event.relatedTarget))
+                     setDragging(false);
+             }}
+             onDrop={onDrop}>
+            <Flex alignItems={{ default: 'alignItemsCenter' }}>
+                <FlexItem grow={{ default: 'grow' }}>{breadcrumb}</FlexItem>
+                <FlexItem>
+                    <TextInput className="container-files-path"
+                               aria-label={_("Path")}
+                               value={pathInput}
+                               onChange={(_event, value) => setPathInput(value)}
+                               onKeyDown={event => {
+                                   if (event.key === "Enter")
+                                       open(normalizePath(pathInput));
+                               }} />
+                </FlexItem>
+                <FlexItem>
+                    <Button variant="plain" aria-label={_("Reload")} onClick={() => setReloads(count => count + 1)}>
+                        <RedoIcon />
+                    </Button>
+                    <Button variant="plain" className="container-files-download-dir"
+                            aria-label={cockpit.format(_("Download $0"), path)}
+                            onClick={() => download(path)}>
+                        <DownloadIcon />
+                    </Button>
+                </FlexItem>
+                <FlexItem>
+                    <input type="file" multiple hidden ref={fileInput}
+                           className="container-files-upload-input"
+                           onChange={event => {
+                               upload(Array.from(event.target.files));
+                               event.target.value = "";
+                           }} />
+                    <Button variant="secondary" size="sm"
+                            className="container-files-upload"
+                            icon={<UploadIcon />}
+                            isLoading={uploading}
+                            isDisabled={uploading}
+                            onClick={() => fileInput.current.click()}>
+                        {_("Upload")}
+                    </Button>
+                </FlexItem>
+            </Flex>
+            <ListingTable aria-label={_("Files")}
+                          className="container-files-table"
+                          variant="compact"
+                          emptyCaption={emptyCaption}
+                          columns={[_("Name"), _("Size"), _("Modified"), _("Permissions"), ""]}
+                          rows={rows} />
+            <div className="container-files-drop-hint ct-grey-text">
+                {cockpit.format(_("Drop files here to upload them to $0"), path)}
+            </div>
+        </div>
+    );
+};
+
+export default ContainerFiles;
@@ -1,10 +1,11 @@
 import React from 'react';
 import cockpit from 'cockpit';
+import { FormSelect, FormSelectOption } from "@patternfly/react-core/dist/esm/components/FormSelect";
 import { TextInput } from "@patternfly/react-core/dist/esm/components/TextInput";
 import { Toolbar, ToolbarContent, ToolbarItem } from "@patternfly/react-core/dist/esm/components/Toolbar";
 const _ = cockpit.gettext;
 
-const ContainerHeader = ({ textFilter, handleFilterChanged }) => {
+const ContainerHeader = ({ textFilter, handleFilterChanged, endpoints, endpoint, handleEndpointChanged }) => {
     return (
         <Toolbar className="pf-m-page-insets">
             <ToolbarContent>
@@ -14,6 +15,19 @@ const ContainerHeader = ({ textFilter, handleFilterChanged }) => {
                                    value={textFilter}
                                    onChange={(_, value) => handleFilterChanged(value)} />
                 </ToolbarItem>
+                {endpoints?.length > 1 &&
+                <>
+                    <ToolbarItem variant="label" htmlFor="containers-endpoint">
+                        {_("Docker endpoint")}
+                    </ToolbarItem>
+                    <ToolbarItem>
+                        <FormSelect id="containers-endpoint"
+                                    value={endpoint}
+                                    onChange={(_, value) => handleEndpointChanged(value)}>
+                            {endpoints.map(ep => <FormSelectOption key={ep.id} value={ep.id} label={ep.label} />)}
+                        </FormSelect>
+                    </ToolbarItem>
+                </>}
             </ToolbarContent>
         </Toolbar>
     );
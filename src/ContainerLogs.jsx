@@ -21,17 +21,39 @@ import React from 'react';
 import PropTypes from 'prop-types';
 import { Terminal } from "xterm";
 import { CanvasAddon } from 'xterm-addon-canvas';
-import { ExclamationCircleIcon } from '@patternfly/react-icons';
+import { Button } from "@patternfly/react-core/dist/esm/components/Button";
+import { Checkbox } from "@patternfly/react-core/dist/esm/components/Checkbox";
+import { FormSelect, FormSelectOption } from "@patternfly/react-core/dist/esm/components/FormSelect";
+import { SearchInput } from "@patternfly/react-core/dist/esm/components/SearchInput";
+import { Stack } from "@patternfly/react-core/dist/esm/layouts/Stack";
+import { TextInput } from "@patternfly/react-core/dist/esm/components/TextInput";
+import { ToggleGroup, ToggleGroupItem } from "@patternfly/react-core/dist/esm/components/ToggleGroup";
+import { Toolbar, ToolbarContent, ToolbarGroup, ToolbarItem } from "@patternfly/react-core/dist/esm/components/Toolbar";
+import { DownloadIcon, ExclamationCircleIcon, PauseIcon, PlayIcon } from '@patternfly/react-icons';
 
 import cockpit from 'cockpit';
 import rest from './rest.js';
 import * as client from './client.js';
+import { DOWNLOAD_LIMIT, createLogDemuxer, downloadLogs, logsParams, streamFilters } from './logStream.js';
 import { EmptyStatePanel } from "cockpit-components-empty-state.jsx";
+import { dockerErrorDetail } from './Notification.jsx';
 
 import "./ContainerTerminal.css";
 
 const _ = cockpit.gettext;
 
+// stderr is shown in red
+const STDERR_START = "\x1b[31m";
+const STDERR_END = "\x1b[0m";
+
+// lines the view keeps, the largest tail size must fit
+const SCROLLBACK = 10000;
+const TAIL_SIZES = [100, 1000, 10000];
+// large logs only load their end, to open quickly
+const DEFAULT_TAIL = 1000;
+
+const countLines = payload => payload.reduce((count, byte) => byte === 10 ? count + 1 : count, 0);
+
 class ContainerLogs extends React.Component {
     constructor(props) {
         super(props);
@@ -48,18 +70,34 @@ class ContainerLogs extends React.Component {
             disableStdin: true,
             fontSize: 12,
             fontFamily: 'Menlo, Monaco, Consolas, monospace',
-            screenReaderMode: true
+            screenReaderMode: true,
+            scrollback: SCROLLBACK,
         });
         this.view._core.cursorHidden = true;
         this.view.write(_("Loading logs..."));
 
         this.logRef = React.createRef();
+        // bumped when the stream gets replaced, so that the old one gets ignored
+        this.streamGeneration = 0;
+        // output which came in while following was paused, and its number of lines
+        this.pausedOutput = [];
+        this.pausedLines = 0;
 
         this.state = {
             opened: false,
             loading: true,
             errorMessage: "",
             streamer: null,
+            streamFilter: "all",
+            tail: DEFAULT_TAIL,
+            since: "",
+            until: "",
+            timestamps: false,
+            paused: false,
+            search: "",
+            matches: [],
+            currentMatch: -1,
+            downloading: false,
         };
     }
 
@@ -90,6 +128,7 @@ class ContainerLogs extends React.Component {
 
     componentWillUnmount() {
         this._ismounted = false;
+        this.streamGeneration++;
         if (this.state.streamer)
             this.state.streamer.close();
         this.view.dispose();
@@ -107,6 +146,12 @@ class ContainerLogs extends React.Component {
         }
         this.resize(this.props.width);
 
+        const generation = this.streamGeneration;
+        const demuxer = createLogDemuxer((stream, payload) => {
+            if (generation === this.streamGeneration)
+                this.onStreamMessage(stream, payload);
+        }, this.props.tty);
+
         const connection = rest.connect(client.getAddress());
         const options = {
             method: "GET",
@@ -115,17 +160,21 @@ class ContainerLogs extends React.Component {
             binary: true,
             params: {
                 follow: true,
-                stdout: true,
-                stderr: true,
+                tail: this.state.tail,
+                ...logsParams(this.state),
             },
         };
 
-        connection.monitor(options, this.onStreamMessage, true)
-                .then(this.onStreamClose)
+        connection.monitor(options, demuxer.write, true)
+                .then(() => {
+                    if (generation === this.streamGeneration)
+                        this.onStreamClose();
+                })
                 .catch(e => {
-                    const error = JSON.parse(new TextDecoder().decode(e.message));
+                    if (generation !== this.streamGeneration)
+                        return;
                     this.setState({
-                        errorMessage: error.message,
+                        errorMessage: e.message,
                         streamer: null,
                     });
                 });
@@ -135,16 +184,41 @@ class ContainerLogs extends React.Component {
         });
     }
 
-    onStreamMessage(data) {
-        if (data) {
-            if (this.state.loading) {
-                this.view.reset();
-                this.view._core.cursorHidden = true;
-                this.setState({ loading: false });
-            }
-            // First 8 bytes encode information about stream and frame
-            // See 'Stream format' on https://docs.docker.com/engine/api/v1.40/#operation/ContainerAttach
-            this.view.writeln(data.slice(8));
+    // start over with other parameters of /logs
+    restartStream(changes) {
+        this.streamGeneration++;
+        this.state.streamer?.close();
+        this.pausedOutput = [];
+        this.pausedLines = 0;
+        this.view.reset();
+        this.view._core.cursorHidden = true;
+        this.view.write(_("Loading logs..."));
+        this.setState({ ...changes, streamer: null, errorMessage: "", loading: true, paused: false, matches: [], currentMatch: -1 },
+                      this.connectStream);
+    }
+
+    onStreamMessage(stream, payload) {
+        if (this.state.paused) {
+            // the view would not keep more than its scrollback either
+            const lines = countLines(payload);
+            this.pausedOutput.push([stream, payload, lines]);
+            this.pausedLines += lines;
+            while (this.pausedLines - this.pausedOutput[0][2] >= SCROLLBACK)
+                this.pausedLines -= this.pausedOutput.shift()[2];
+            return;
+        }
+
+        if (this.state.loading) {
+            this.view.reset();
+            this.view._core.cursorHidden = true;
+            this.setState({ loading: false });
+        }
+        if (stream === "stderr") {
+            this.view.write(STDERR_START);
+            this.view.write(payload);
+            this.view.write(STDERR_END);
+        } else {
+            this.view.write(payload);
         }
     }
 
@@ -157,17 +231,201 @@ class ContainerLogs extends React.Component {
         }
     }
 
-    render() {
-        let element = <div className="container-logs" ref={this.logRef} />;
-        if (this.state.errorMessage)
-            element = <EmptyStatePanel icon={ExclamationCircleIcon} title={this.state.errorMessage} />;
+    togglePaused() {
+        if (!this.state.paused) {
+            this.setState({ paused: true });
+            return;
+        }
+
+        // output keeps getting held back until the state changed
+        this.setState({ paused: false }, () => {
+            const output = this.pausedOutput;
+            this.pausedOutput = [];
+            this.pausedLines = 0;
+            output.forEach(([stream, payload]) => this.onStreamMessage(stream, payload));
+        });
+    }
+
+    /*
+     * Where "text" appears in the view, ignoring case. Rows which were wrapped because they
+     * are longer than the view is wide get joined, so that matches can span them.
+     */
+    findMatches(text) {
+        const needle = text.toLowerCase();
+        const buffer = this.view.buffer.active;
+        const cols = this.view.cols;
+        const matches = [];
+        if (!needle)
+            return matches;
 
-        return element;
+        let row = 0;
+        while (row < buffer.length) {
+            const start = row;
+            let line = buffer.getLine(row).translateToString();
+            for (row++; row < buffer.length && buffer.getLine(row).isWrapped; row++)
+                line += buffer.getLine(row).translateToString();
+
+            line = line.toLowerCase();
+            for (let idx = line.indexOf(needle); idx >= 0; idx = line.indexOf(needle, idx + 1))
+                matches.push({ row: start + Math.floor(idx / cols), col: idx % cols });
+        }
+        return matches;
+    }
+
+    showMatch(matches, index) {
+        const match = matches[index];
+        if (match) {
+            this.view.select(match.col, match.row, this.state.search.length);
+            // leave some lines above the match for context
+            this.view.scrollToLine(Math.max(0, match.row - 3));
+        } else {
+            this.view.clearSelection();
+        }
+        this.setState({ matches, currentMatch: match ? index : -1 });
+    }
+
+    onSearch(search) {
+        this.setState({ search }, () => {
+            // start with the most recent match
+            const matches = this.findMatches(search);
+            this.showMatch(matches, matches.length - 1);
+        });
+    }
+
+    // the log grows meanwhile, so look again, and go from the match shown last
+    onSearchStep(step) {
+        const matches = this.findMatches(this.state.search);
+        const current = this.state.matches[this.state.currentMatch];
+        let index = current ? matches.findIndex(match => match.row === current.row && match.col === current.col) : -1;
+        index = index < 0 ? matches.length - 1 : (index + step + matches.length) % matches.length;
+        this.showMatch(matches, index);
+    }
+
+    // the whole logs of the chosen time and streams, not only what the view holds
+    onDownload() {
+        const { container, onAddNotification } = this.props;
+        this.setState({ downloading: true });
+        downloadLogs(container, this.state)
+                .then(truncated => truncated && onAddNotification({
+                    type: 'warning',
+                    error: cockpit.format(_("Only the first $0 of the logs of $1 got downloaded"),
+                                          cockpit.format_bytes(DOWNLOAD_LIMIT), container.Name.replace(/^\//, "")),
+                    errorDetail: _("Choose a shorter time range for the rest."),
+                }))
+                .catch(ex => onAddNotification({
+                    type: 'danger',
+                    error: cockpit.format(_("Failed to download the logs of $0"), container.Name.replace(/^\//, "")),
+                    errorDetail: dockerErrorDetail(ex),
+                }))
+                .finally(() => this._ismounted && this.setState({ downloading: false }));
+    }
+
+    renderToolbar() {
+        const { tail, since, until, timestamps, paused, search, matches, currentMatch, downloading } = this.state;
+
+        return (
+            <Toolbar className="container-logs-toolbar">
+                <ToolbarContent>
+                    <ToolbarGroup>
+                        <ToolbarItem variant="label">{_("Lines")}</ToolbarItem>
+                        <ToolbarItem>
+                            <FormSelect className="container-logs-tail"
+                                        aria-label={_("Lines")}
+                                        value={tail}
+                                        onChange={(_event, value) => this.restartStream({ tail: Number(value) })}>
+                                {TAIL_SIZES.map(size =>
+                                    <FormSelectOption key={size} value={size} label={cockpit.format(_("Last $0"), size)} />
+                                )}
+                            </FormSelect>
+                        </ToolbarItem>
+                    </ToolbarGroup>
+                    <ToolbarGroup>
+                        <ToolbarItem variant="label">{_("Since")}</ToolbarItem>
+                        <ToolbarItem>
+                            <TextInput type="datetime-local"
+                                       className="container-logs-since"
+                                       aria-label={_("Since")}
+                                       value={since}
+                                       onChange={(_event, value) => this.restartStream({ since: value })} />
+                        </ToolbarItem>
+                        <ToolbarItem variant="label">{_("Until")}</ToolbarItem>
+                        <ToolbarItem>
+                            <TextInput type="datetime-local"
+                                       className="container-logs-until"
+                                       aria-label={_("Until")}
+                                       value={until}
+                                       onChange={(_event, value) => this.restartStream({ until: value })} />
+                        </ToolbarItem>
+                    </ToolbarGroup>
+                    <ToolbarItem>
+                        <Checkbox id={"container-logs-timestamps-" + this.props.containerId}
+                                  className="container-logs-timestamps"
+                                  label={_("Timestamps")}
+                                  isChecked={timestamps}
+                                  onChange={(_event, checked) => this.restartStream({ timestamps: checked })} />
+                    </ToolbarItem>
+                    <ToolbarItem>
+                        <Button variant="secondary"
+                                className="container-logs-follow"
+                                icon={paused ? <PlayIcon /> : <PauseIcon />}
+                                onClick={() => this.togglePaused()}>
+                            {paused ? _("Resume") : _("Pause")}
+                        </Button>
+                    </ToolbarItem>
+                    <ToolbarItem>
+                        <Button variant="secondary"
+                                className="container-logs-download"
+                                icon={<DownloadIcon />}
+                                isLoading={downloading} isDisabled={downloading}
+                                onClick={() => this.onDownload()}>
+                            {_("Download logs")}
+                        </Button>
+                    </ToolbarItem>
+                    <ToolbarItem>
+                        <SearchInput className="container-logs-search"
+                                     placeholder={_("Search logs")}
+                                     value={search}
+                                     onChange={(_event, value) => this.onSearch(value)}
+                                     onClear={() => this.onSearch("")}
+                                     resultsCount={search ? cockpit.format("$0 / $1", currentMatch + 1, matches.length) : undefined}
+                                     onNextClick={() => this.onSearchStep(1)}
+                                     onPreviousClick={() => this.onSearchStep(-1)}
+                                     isNextNavigationButtonDisabled={matches.length === 0}
+                                     isPreviousNavigationButtonDisabled={matches.length === 0} />
+                    </ToolbarItem>
+                </ToolbarContent>
+            </Toolbar>
+        );
+    }
+
+    render() {
+        return (
+            <Stack hasGutter>
+                {this.renderToolbar()}
+                {/* with a terminal, the container has only one stream to show */}
+                {!this.props.tty &&
+                <ToggleGroup aria-label={_("Streams")} className="container-logs-streams">
+                    {streamFilters.map(filter =>
+                        <ToggleGroupItem key={filter.id}
+                                         className={"container-logs-streams-" + filter.id}
+                                         text={filter.label}
+                                         isSelected={this.state.streamFilter === filter.id}
+                                         onChange={() => this.state.streamFilter !== filter.id && this.restartStream({ streamFilter: filter.id })} />
+                    )}
+                </ToggleGroup>}
+                {this.state.errorMessage && <EmptyStatePanel icon={ExclamationCircleIcon} title={this.state.errorMessage} />}
+                {/* the terminal stays in place, so that it can be reused once the stream comes back */}
+                <div className="container-logs" ref={this.logRef} hidden={!!this.state.errorMessage} />
+            </Stack>
+        );
     }
 }
 
 ContainerLogs.propTypes = {
+    container: PropTypes.object.isRequired,
     containerId: PropTypes.string.isRequired,
+    onAddNotification: PropTypes.func.isRequired,
+    tty: PropTypes.bool,
     width: PropTypes.number.isRequired
 };
 
@@ -0,0 +1,105 @@
+import React, { useRef, useState } from 'react';
+import { Button } from "@patternfly/react-core/dist/esm/components/Button";
+import { Checkbox } from "@patternfly/react-core/dist/esm/components/Checkbox";
+import { Form, FormGroup } from "@patternfly/react-core/dist/esm/components/Form";
+import { FormSelect, FormSelectOption } from "@patternfly/react-core/dist/esm/components/FormSelect";
+import { Modal } from "@patternfly/react-core/dist/esm/components/Modal";
+import { TextInput } from "@patternfly/react-core/dist/esm/components/TextInput";
+import cockpit from 'cockpit';
+
+import { FormHelper } from 'cockpit-components-form-helper.jsx';
+import { useDialogs } from "dialogs.jsx";
+import { DOWNLOAD_LIMIT, downloadLogs, streamFilters } from './logStream.js';
+import { ErrorNotification, dockerErrorDetail } from './Notification.jsx';
+
+const _ = cockpit.gettext;
+
+const ContainerLogsDownloadModal = ({ container }) => {
+    const Dialogs = useDialogs();
+    const name = container.Name.replace(/^\//, "");
+    // the streams of containers with a terminal cannot be told apart
+    const tty = !!container.Config?.Tty;
+
+    const [streamFilter, setStreamFilter] = useState("all");
+    const [since, setSince] = useState("");
+    const [until, setUntil] = useState("");
+    const [timestamps, setTimestamps] = useState(true);
+    const [inProgress, setInProgress] = useState(false);
+    const [dialogError, setDialogError] = useState(null);
+    const [dialogErrorDetail, setDialogErrorDetail] = useState(null);
+    const controller = useRef(null);
+
+    const handleDownload = () => {
+        controller.current = new AbortController();
+        setInProgress(true);
+        setDialogError(null);
+        downloadLogs(container, { streamFilter, since, until, timestamps }, { signal: controller.current.signal })
+                .then(Dialogs.close)
+                .catch(ex => {
+                    setInProgress(false);
+                    if (!ex.cancelled) {
+                        setDialogError(cockpit.format(_("Failed to download the logs of $0"), name));
+                        setDialogErrorDetail(dockerErrorDetail(ex));
+                    }
+                });
+    };
+
+    return (
+        <Modal isOpen
+               position="top" variant="medium"
+               onClose={inProgress ? undefined : Dialogs.close}
+               title={cockpit.format(_("Download logs of $0"), name)}
+               footer={<>
+                   <Button variant="primary" id="logs-download-dialog-download"
+                           isLoading={inProgress} isDisabled={inProgress}
+                           onClick={handleDownload}>
+                       {_("Download")}
+                   </Button>
+                   <Button variant="link"
+                           onClick={inProgress ? () => controller.current.abort() : Dialogs.close}>
+                       {_("Cancel")}
+                   </Button>
+               </>}
+        >
+            {dialogError && <ErrorNotification errorMessage={dialogError} errorDetail={dialogErrorDetail} onDismiss={() => setDialogError(null)} />}
+            <Form isHorizontal>
+                {!tty &&
+                <FormGroup fieldId="logs-download-dialog-streams" label={_("Streams")}>
+                    <FormSelect id="logs-download-dialog-streams"
+                                value={streamFilter}
+                                isDisabled={inProgress}
+                                onChange={(_event, value) => setStreamFilter(value)}>
+                        {streamFilters.map(filter => <FormSelectOption key={filter.id} value={filter.id} label={filter.label} />)}
+                    </FormSelect>
+                </FormGroup>}
+                <FormGroup fieldId="logs-download-dialog-since" label={_("Since")}>
+                    <TextInput id="logs-download-dialog-since"
+                               type="datetime-local"
+                               value={since}
+                               isDisabled={inProgress}
+                               onChange={(_event, value) => setSince(value)} />
+                </FormGroup>
+                <FormGroup fieldId="logs-download-dialog-until" label={_("Until")}>
+                    <TextInput id="logs-download-dialog-until"
+                               type="datetime-local"
+                               value={until}
+                               isDisabled={inProgress}
+                               onChange={(_event, value) => setUntil(value)} />
+                    {!tty &&
+                    <FormHelper fieldId="logs-download-dialog-until"
+                                helperText={cockpit.format(_("At most the first $0 get downloaded, choose a time range for longer logs"),
+                                                           cockpit.format_bytes(DOWNLOAD_LIMIT))} />}
+                </FormGroup>
+                <FormGroup fieldId="logs-download-dialog-timestamps" hasNoPaddingTop>
+                    <Checkbox id="logs-download-dialog-timestamps"
+                              label={_("Timestamps")}
+                              isChecked={timestamps}
+                              isDisabled={inProgress}
+                              onChange={(_event, checked) => setTimestamps(checked)} />
+                </FormGroup>
+            </Form>
+        </Modal>
+    );
+};
+
+export default ContainerLogsDownloadModal;
@@ -0,0 +1,198 @@
+import React, { useState } from 'react';
+import { Button } from "@patternfly/react-core/dist/esm/components/Button";
+import { Card, CardBody, CardTitle } from "@patternfly/react-core/dist/esm/components/Card";
+import { Flex, FlexItem } from "@patternfly/react-core/dist/esm/layouts/Flex";
+import { Gallery } from "@patternfly/react-core/dist/esm/layouts/Gallery";
+import { Stack } from "@patternfly/react-core/dist/esm/layouts/Stack";
+import { ToggleGroup, ToggleGroupItem } from "@patternfly/react-core/dist/esm/components/ToggleGroup";
+import { DownloadIcon } from '@patternfly/react-icons';
+import { chart_color_blue_300 as blue } from "@patternfly/react-tokens/dist/esm/chart_color_blue_300";
+import { chart_color_green_300 as green } from "@patternfly/react-tokens/dist/esm/chart_color_green_300";
+import { chart_color_orange_300 as orange } from "@patternfly/react-tokens/dist/esm/chart_color_orange_300";
+import { chart_color_purple_300 as purple } from "@patternfly/react-tokens/dist/esm/chart_color_purple_300";
+import cockpit from 'cockpit';
+
+import { EmptyStatePanel } from "cockpit-components-empty-state.jsx";
+import { statsCsv, statsPoints } from './statsHistory.js';
+import * as utils from './util.js';
+
+const _ = cockpit.gettext;
+
+// the size of the charts' coordinate system, they get stretched to the width of the card
+const WIDTH = 400;
+const HEIGHT = 120;
+
+const windows = [
+    { id: "5m", label: _("5 minutes"), duration: 5 * 60 * 1000 },
+    { id: "30m", label: _("30 minutes"), duration: 30 * 60 * 1000 },
+    { id: "session", label: _("Session"), duration: null },
+];
+
+const formatPercent = value => value.toFixed(1) + "%";
+const formatBytes = value => cockpit.format_bytes(value);
+const formatRate = utils.format_bytes_rate;
+
+const charts = [
+    {
+        id: "cpu",
+        title: _("CPU"),
+        format: formatPercent,
+        series: [{ key: "cpu", label: _("Usage"), color: blue }],
+    },
+    {
+        id: "memory",
+        title: _("Memory"),
+        format: formatBytes,
+        series: [{ key: "memory", label: _("Usage"), color: purple }],
+    },
+    {
+        id: "network",
+        title: _("Network"),
+        format: formatRate,
+        series: [
+            { key: "netRx", label: _("Received"), color: green },
+            { key: "netTx", label: _("Sent"), color: orange },
+        ],
+    },
+    {
+        id: "block",
+        title: _("Disk I/O"),
+        format: formatRate,
+        series: [
+            { key: "blockRead", label: _("Read"), color: blue },
+            { key: "blockWrite", label: _("Written"), color: orange },
+        ],
+    },
+];
+
+// 1, 2 or 5 times a power of ten, so that the axis gets round numbers
+function niceMax(value) {
+    if (!(value > 0))
+        return 1;
+    const magnitude = 10 ** Math.floor(Math.log10(value));
+    return [1, 2, 5, 10].map(step => step * magnitude).find(step => step >= value);
+}
+
+// a line through the known values, with gaps where they are null
+function linePath(points, key, x, y) {
+    let path = "";
+    let drawing = false;
+    for (const point of points) {
+        const value = point[key];
+        if (value === null) {
+            drawing = false;
+            continue;
+        }
+        path += (drawing ? "L" : "M") + x(point.time).toFixed(1) + "," + y(value).toFixed(1);
+        drawing = true;
+    }
+    return path;
+}
+
+const formatTime = time => new Date(time).toLocaleTimeString();
+
+const MetricsChart = ({ chart, points, start, end }) => {
+    const values = chart.series.flatMap(({ key }) => points.map(point => point[key]).filter(value => value !== null));
+    const max = niceMax(Math.max(0, ...values));
+    const x = time => (time - start) / Math.max(end - start, 1) * WIDTH;
+    const y = value => HEIGHT - value / max * HEIGHT;
+
+    // the most recent known value of each series
+    const current = key => points.findLast(point => point[key] !== null)?.[key];
+
+    return (
+        <Card isCompact isFlat className={"container-metrics-chart container-metrics-" + chart.id}>
+            <CardTitle>
+                <Flex justifyContent={{ default: 'justifyContentSpaceBetween' }}>
+                    <FlexItem>{chart.title}</FlexItem>
+                    <Flex spaceItems={{ default: 'spaceItemsMd' }}>
+                        {chart.series.map(({ key, label, color }) => {
+                            const value = current(key);
+                            return (
+                                <FlexItem key={key} className={"container-metrics-current-" + key}>
+                                    <span className="container-metrics-legend" style={{ backgroundColor: color.var }} />
+                                    {label} {value !== undefined ? chart.format(value) : "-"}
+                                </FlexItem>
+                            );
+                        })}
+                    </Flex>
+                </Flex>
+            </CardTitle>
+            <CardBody>
+                <div className="container-metrics-axis">{chart.format(max)}</div>
+                <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} preserveAspectRatio="none"
+                     role="img" aria-label={chart.title}>
+                    {[0.25, 0.5, 0.75].map(fraction =>
+                        <line key={fraction} className="container-metrics-grid"
+                              x1={0} x2={WIDTH} y1={HEIGHT * fraction} y2={HEIGHT * fraction} />
+                    )}
+                    {chart.series.map(({ key, color }) =>
+                        <path key={key} d={linePath(points, key, x, y)}
+                              fill="none" stroke={color.var} strokeWidth={2}
+                              vectorEffect="non-scaling-stroke" />
+                    )}
+                </svg>
+                <Flex justifyContent={{ default: 'justifyContentSpaceBetween' }} className="container-metrics-axis">
+                    <FlexItem>{formatTime(start)}</FlexItem>
+                    <FlexItem>{formatTime(end)}</FlexItem>
+                </Flex>
+            </CardBody>
+        </Card>
+    );
+};
+
+const ContainerMetrics = ({ container, history }) => {
+    const [windowId, setWindowId] = useState("5m");
+    const name = container.Name.replace(/^\//, "");
+    const samples = history.get(container.Id);
+
+    if (samples.length < 2) {
+        if (container.State?.Status === "running")
+            return <EmptyStatePanel title={_("Collecting metrics...")} loading />;
+        return (
+            <EmptyStatePanel title={_("No metrics were recorded for this container")}
+                             paragraph={_("Metrics get recorded while the container runs and this page is open.")} />
+        );
+    }
+
+    const { duration } = windows.find(option => option.id === windowId);
+    const end = Math.max(Date.now(), samples[samples.length - 1].time);
+    const start = duration ? end - duration : samples[0].time;
+    const points = statsPoints(samples, start);
+
+    const download = () => {
+        utils.downloadBlob(new Blob([statsCsv(points)], { type: "text/csv" }), name + "-metrics.csv");
+    };
+
+    return (
+        <Stack hasGutter className="container-metrics">
+            <Flex alignItems={{ default: 'alignItemsCenter' }}>
+                <FlexItem grow={{ default: 'grow' }}>
+                    <ToggleGroup aria-label={_("Time window")}>
+                        {windows.map(option =>
+                            <ToggleGroupItem key={option.id}
+                                             className={"container-metrics-window-" + option.id}
+                                             text={option.label}
+                                             isSelected={option.id === windowId}
+                                             onChange={() => setWindowId(option.id)} />
+                        )}
+                    </ToggleGroup>
+                </FlexItem>
+                <FlexItem>
+                    <Button variant="secondary" icon={<DownloadIcon />}
+                            className="container-metrics-download"
+                            onClick={download}>
+                        {_("Download CSV")}
+                    </Button>
+                </FlexItem>
+            </Flex>
+            <Gallery hasGutter minWidths={{ default: '350px' }}>
+                {charts.map(chart =>
+                    <MetricsChart key={chart.id} chart={chart} points={points} start={start} end={end} />
+                )}
+            </Gallery>
+        </Stack>
+    );
+};
+
+export default ContainerMetrics;
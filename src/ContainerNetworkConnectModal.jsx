@@ -0,0 +1,170 @@
+import React, { useEffect, useState } from 'react';
+import { Button } from "@patternfly/react-core/dist/esm/components/Button";
+import { Form, FormGroup } from "@patternfly/react-core/dist/esm/components/Form";
+import { FormSelect, FormSelectOption } from "@patternfly/react-core/dist/esm/components/FormSelect";
+import { Modal } from "@patternfly/react-core/dist/esm/components/Modal";
+import { TextInput } from "@patternfly/react-core/dist/esm/components/TextInput";
+import cockpit from 'cockpit';
+import ipaddr from "ipaddr.js";
+
+import { FormHelper } from 'cockpit-components-form-helper.jsx';
+import { useDialogs } from "dialogs.jsx";
+import * as client from './client.js';
+import { ErrorNotification, dockerErrorDetail } from './Notification.jsx';
+import * as utils from './util.js';
+
+const _ = cockpit.gettext;
+
+const MAC_ADDRESS_RE = /^([0-9a-f]{2}:){5}[0-9a-f]{2}$/i;
+
+const ContainerNetworkConnectModal = ({ container }) => {
+    const Dialogs = useDialogs();
+    const { capabilities } = utils.useDockerInfo();
+
+    const [networks, setNetworks] = useState(null);
+    const [network, setNetwork] = useState("");
+    const [aliases, setAliases] = useState("");
+    const [ipv4Address, setIpv4Address] = useState("");
+    const [ipv6Address, setIpv6Address] = useState("");
+    const [macAddress, setMacAddress] = useState("");
+
+    const [validationFailed, setValidationFailed] = useState({});
+    const [dialogError, setDialogError] = useState("");
+    const [dialogErrorDetail, setDialogErrorDetail] = useState("");
+    const [inProgress, setInProgress] = useState(false);
+
+    useEffect(() => {
+        const connected = Object.values(container.NetworkSettings?.Networks || {}).map(endpoint => endpoint.NetworkID);
+        client.listNetworks()
+                .then(list => {
+                    // "host" and "none" do not mix with other networks
+                    const available = list
+                            .filter(n => !connected.includes(n.Id) && !["host", "none"].includes(n.Name))
+                            .sort((a, b) => a.Name.localeCompare(b.Name));
+                    setNetworks(available);
+                    if (available.length > 0)
+                        setNetwork(available[0].Id);
+                })
+                .catch(ex => {
+                    setNetworks([]);
+                    setDialogError(_("Failed to list networks"));
+                    setDialogErrorDetail(dockerErrorDetail(ex));
+                });
+    }, [container]);
+
+    const validate = () => {
+        const errors = {};
+        if (!network)
+            errors.network = _("No network selected");
+        if (ipv4Address && !ipaddr.IPv4.isValidFourPartDecimal(ipv4Address))
+            errors.ipv4Address = _("Must be a valid IPv4 address");
+        if (ipv6Address && !ipaddr.IPv6.isValid(ipv6Address))
+            errors.ipv6Address = _("Must be a valid IPv6 address");
+        if (macAddress && !MAC_ADDRESS_RE.test(macAddress))
+            errors.macAddress = _("Must be a valid MAC address");
+
+        setValidationFailed(errors);
+        return Object.keys(errors).length === 0;
+    };
+
+    const handleConnect = () => {
+        if (!validate())
+            return;
+
+        setInProgress(true);
+        setDialogError("");
+        client.connectNetwork(network, container.Id, {
+            aliases: aliases.split(/[\s,]+/).filter(Boolean),
+            ipv4Address,
+            ipv6Address,
+            macAddress,
+        })
+                .then(() => Dialogs.close())
+                .catch(ex => {
+                    const name = networks.find(n => n.Id === network)?.Name ?? network;
+                    setDialogError(cockpit.format(_("Failed to connect container $0 to network $1"), container.Name, name));
+                    setDialogErrorDetail(dockerErrorDetail(ex));
+                    setInProgress(false);
+                });
+    };
+
+    const content = (
+        <Form isHorizontal>
+            {dialogError && <ErrorNotification errorMessage={dialogError} errorDetail={dialogErrorDetail} onDismiss={() => setDialogError("")} />}
+            <FormGroup fieldId="connect-network-dialog-network" label={_("Network")}>
+                <FormSelect id="connect-network-dialog-network"
+                            value={network}
+                            isDisabled={!networks?.length}
+                            validated={validationFailed.network ? "error" : "default"}
+                            onChange={(_event, value) => setNetwork(value)}>
+                    {networks === null && <FormSelectOption value="" label={_("Loading...")} isPlaceholder />}
+                    {networks?.length === 0 && <FormSelectOption value="" label={_("No other networks")} isPlaceholder />}
+                    {(networks || []).map(n =>
+                        <FormSelectOption key={n.Id} value={n.Id} label={cockpit.format("$0 ($1)", n.Name, n.Driver)} />
+                    )}
+                </FormSelect>
+                <FormHelper fieldId="connect-network-dialog-network" helperTextInvalid={validationFailed.network} />
+            </FormGroup>
+            <FormGroup fieldId="connect-network-dialog-aliases" label={_("Aliases")}>
+                <TextInput id="connect-network-dialog-aliases"
+                           value={aliases}
+                           onChange={(_event, value) => setAliases(value)} />
+                <FormHelper fieldId="connect-network-dialog-aliases"
+                            helperText={_("Additional names of the container on this network, separated by spaces or commas")} />
+            </FormGroup>
+            <FormGroup fieldId="connect-network-dialog-ipv4" label={_("IPv4 address")}>
+                <TextInput id="connect-network-dialog-ipv4"
+                           placeholder={_("Assigned automatically if empty")}
+                           value={ipv4Address}
+                           validated={validationFailed.ipv4Address ? "error" : "default"}
+                           onChange={(_event, value) => setIpv4Address(value)} />
+                <FormHelper fieldId="connect-network-dialog-ipv4"
+                            helperText={_("Static addresses need a network with a user specified subnet")}
+                            helperTextInvalid={validationFailed.ipv4Address} />
+            </FormGroup>
+            <FormGroup fieldId="connect-network-dialog-ipv6" label={_("IPv6 address")}>
+                <TextInput id="connect-network-dialog-ipv6"
+                           placeholder={_("Assigned automatically if empty")}
+                           value={ipv6Address}
+                           validated={validationFailed.ipv6Address ? "error" : "default"}
+                           onChange={(_event, value) => setIpv6Address(value)} />
+                <FormHelper fieldId="connect-network-dialog-ipv6" helperTextInvalid={validationFailed.ipv6Address} />
+            </FormGroup>
+            {capabilities?.networkMacAddress &&
+            <FormGroup fieldId="connect-network-dialog-mac" label={_("MAC address")}>
+                <TextInput id="connect-network-dialog-mac"
+                           placeholder={_("Assigned automatically if empty")}
+                           value={macAddress}
+                           validated={validationFailed.macAddress ? "error" : "default"}
+                           onChange={(_event, value) => setMacAddress(value)} />
+                <FormHelper fieldId="connect-network-dialog-mac" helperTextInvalid={validationFailed.macAddress} />
+            </FormGroup>}
+        </Form>
+    );
+
+    return (
+        <Modal isOpen
+               position="top" variant="medium"
+               onClose={Dialogs.close}
+               title={cockpit.format(_("Connect $0 to a network"), container.Name)}
+               footer={<>
+                   <Button variant="primary"
+                           id="connect-network-connect-btn"
+                           isLoading={inProgress}
+                           isDisabled={inProgress || !networks?.length}
+                           onClick={handleConnect}>
+                       {_("Connect")}
+                   </Button>
+                   <Button variant="link"
+                           isDisabled={inProgress}
+                           onClick={Dialogs.close}>
+                       {_("Cancel")}
+                   </Button>
+               </>}
+        >
+            {content}
+        </Modal>
+    );
+};
+
+export default ContainerNetworkConnectModal;
@@ -0,0 +1,40 @@
+import React from 'react';
+import { Button } from "@patternfly/react-core/dist/esm/components/Button";
+import { Modal } from "@patternfly/react-core/dist/esm/components/Modal";
+import { useDialogs } from "dialogs.jsx";
+import cockpit from 'cockpit';
+
+import * as client from './client.js';
+import { dockerErrorDetail } from './Notification.jsx';
+
+const _ = cockpit.gettext;
+
+const ContainerNetworkDisconnectModal = ({ container, networkName, networkId, onAddNotification }) => {
+    const Dialogs = useDialogs();
+
+    const handleDisconnect = () => {
+        Dialogs.close();
+        client.disconnectNetwork(networkId, container.Id)
+                .catch(ex => {
+                    const error = cockpit.format(_("Failed to disconnect container $0 from network $1"), container.Name, networkName);
+                    onAddNotification({ type: 'danger', error, errorDetail: dockerErrorDetail(ex) });
+                });
+    };
+
+    return (
+        <Modal isOpen
+               position="top" variant="medium"
+               titleIconVariant="warning"
+               onClose={Dialogs.close}
+               title={cockpit.format(_("Disconnect $0 from $1?"), container.Name, networkName)}
+               footer={<>
+                   <Button variant="danger" className="btn-network-disconnect" onClick={handleDisconnect}>{_("Disconnect")}</Button>{' '}
+                   <Button variant="link" onClick={Dialogs.close}>{_("Cancel")}</Button>
+               </>}
+        >
+            {_("The container loses its address on this network, and other containers on it cannot reach it anymore.")}
+        </Modal>
+    );
+};
+
+export default ContainerNetworkDisconnectModal;
@@ -0,0 +1,254 @@
+import React, { useEffect, useState } from 'react';
+import { Button } from "@patternfly/react-core/dist/esm/components/Button";
+import { Flex, FlexItem } from "@patternfly/react-core/dist/esm/layouts/Flex";
+import { Form, FormGroup } from "@patternfly/react-core/dist/esm/components/Form";
+import { FormSelect, FormSelectOption } from "@patternfly/react-core/dist/esm/components/FormSelect";
+import { Modal } from "@patternfly/react-core/dist/esm/components/Modal";
+import { Stack } from "@patternfly/react-core/dist/esm/layouts/Stack";
+import { Switch } from "@patternfly/react-core/dist/esm/components/Switch";
+import { TextInput } from "@patternfly/react-core/dist/esm/components/TextInput";
+import { SortByDirection } from "@patternfly/react-table";
+import { ExclamationCircleIcon } from '@patternfly/react-icons';
+import cockpit from 'cockpit';
+
+import { EmptyStatePanel } from "cockpit-components-empty-state.jsx";
+import { ListingTable } from "cockpit-components-table.jsx";
+import { useDialogs } from "dialogs.jsx";
+import * as client from './client.js';
+import { ErrorNotification, dockerErrorDetail } from './Notification.jsx';
+
+const _ = cockpit.gettext;
+
+// seconds between two refreshes of the process list
+const REFRESH_INTERVAL = 3;
+
+// "aux" has the CPU and memory usage to sort by
+const DEFAULT_PS_ARGS = "aux";
+
+// columns of the various ps formats which hold numbers
+const NUMERIC_COLUMNS = ["PID", "PPID", "C", "%CPU", "%MEM", "VSZ", "RSS", "NI", "PRI"];
+
+const signals = ["TERM", "INT", "HUP", "KILL"];
+
+/*
+ * docker top shows the process IDs of the host, but "kill" inside the container
+ * needs those of its PID namespace; the last one in NSpid is the innermost. The
+ * process has to be in the container's cgroup, in case it exited meanwhile and its
+ * ID got reused. This needs docker to run on this machine.
+ */
+function containerPid(containerId, hostPid) {
+    const address = client.getAddress();
+    if (typeof address !== "string" && !address.unix)
+        return Promise.reject(new Error(_("Processes can only be killed when docker runs on this machine")));
+
+    return cockpit.spawn(["cat", "/proc/" + hostPid + "/status", "/proc/" + hostPid + "/cgroup"], { superuser: "try", err: "message" })
+            .then(out => {
+                const nspid = out.split("\n").find(line => line.startsWith("NSpid:"));
+                if (!nspid || !out.includes(containerId))
+                    throw new Error(cockpit.format(_("Process $0 is not part of the container anymore"), hostPid));
+                return nspid.trim()
+                        .split(/\s+/)
+                        .pop();
+            });
+}
+
+const ProcessKillModal = ({ containerId, pid, command, onKilled }) => {
+    const Dialogs = useDialogs();
+    const [signal, setSignal] = useState("TERM");
+    const [inProgress, setInProgress] = useState(false);
+    const [dialogError, setDialogError] = useState(null);
+    const [dialogErrorDetail, setDialogErrorDetail] = useState(null);
+
+    const handleKill = () => {
+        setInProgress(true);
+        setDialogError(null);
+        containerPid(containerId, pid)
+                .then(nsPid => client.runInContainer(containerId, ["kill", "-" + signal, nsPid]))
+                .then(({ exitCode, output }) => {
+                    if (exitCode !== 0)
+                        throw new Error(output.trim() || cockpit.format(_("kill exited with code $0"), exitCode));
+                    Dialogs.close();
+                    onKilled();
+                })
+                .catch(ex => {
+                    setDialogError(cockpit.format(_("Failed to kill process $0"), pid));
+                    setDialogErrorDetail(dockerErrorDetail(ex));
+                    setInProgress(false);
+                });
+    };
+
+    return (
+        <Modal isOpen
+               position="top" variant="medium"
+               titleIconVariant="warning"
+               onClose={Dialogs.close}
+               title={cockpit.format(_("Kill process $0?"), pid)}
+               footer={<>
+                   <Button variant="danger" id="kill-process-btn"
+                           isLoading={inProgress} isDisabled={inProgress}
+                           onClick={handleKill}>
+                       {_("Kill")}
+                   </Button>
+                   <Button variant="link" isDisabled={inProgress} onClick={Dialogs.close}>{_("Cancel")}</Button>
+               </>}
+        >
+            {dialogError && <ErrorNotification errorMessage={dialogError} errorDetail={dialogErrorDetail} onDismiss={() => setDialogError(null)} />}
+            <Form isHorizontal>
+                <FormGroup label={_("Command")} hasNoPaddingTop>
+                    <code>{command}</code>
+                </FormGroup>
+                <FormGroup fieldId="kill-process-signal" label={_("Signal")}>
+                    <FormSelect id="kill-process-signal"
+                                value={signal}
+                                onChange={(_event, value) => setSignal(value)}>
+                        {signals.map(name => <FormSelectOption key={name} value={name} label={"SIG" + name} />)}
+                    </FormSelect>
+                </FormGroup>
+            </Form>
+        </Modal>
+    );
+};
+
+const ContainerProcesses = ({ container }) => {
+    const Dialogs = useDialogs();
+    const isRunning = ["running", "paused"].includes(container.State?.Status);
+
+    const [psArgsInput, setPsArgsInput] = useState(DEFAULT_PS_ARGS);
+    const [psArgs, setPsArgs] = useState(DEFAULT_PS_ARGS);
+    const [autoRefresh, setAutoRefresh] = useState(true);
+    const [reloads, setReloads] = useState(0);
+    const [top, setTop] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (!isRunning)
+            return;
+
+        let timer = null;
+        let cancelled = false;
+        // the next refresh only gets planned once the last one is done, so they never pile up
+        const refresh = () => {
+            client.containerTop(container.Id, psArgs)
+                    .then(result => {
+                        if (cancelled)
+                            return;
+                        setTop(result);
+                        setError(null);
+                    })
+                    .catch(ex => !cancelled && setError(dockerErrorDetail(ex)))
+                    .finally(() => {
+                        if (!cancelled && autoRefresh)
+                            timer = window.setTimeout(refresh, REFRESH_INTERVAL * 1000);
+                    });
+        };
+        refresh();
+
+        return () => {
+            cancelled = true;
+            window.clearTimeout(timer);
+        };
+    }, [container.Id, isRunning, psArgs, autoRefresh, reloads]);
+
+    const applyPsArgs = () => {
+        if (psArgsInput.trim() === psArgs)
+            return;
+        setTop(null);
+        setPsArgs(psArgsInput.trim());
+    };
+
+    if (!isRunning)
+        return <EmptyStatePanel title={_("The container is not running")} />;
+
+    const titles = top?.Titles || [];
+    const pidIdx = titles.indexOf("PID");
+    const commandIdx = titles.findIndex(title => ["CMD", "COMMAND", "ARGS"].includes(title));
+
+    const rows = (top?.Processes || []).map(process => ({
+        columns: [
+            ...process.map((value, idx) => ({
+                title: value,
+                ...NUMERIC_COLUMNS.includes(titles[idx]) && { sortKey: parseFloat(value) || 0 },
+            })),
+            {
+                title: pidIdx >= 0 && (
+                    <Button variant="secondary" size="sm" isDanger className="container-processes-kill"
+                            onClick={() => Dialogs.show(<ProcessKillModal containerId={container.Id}
+                                                                          pid={process[pidIdx]}
+                                                                          command={process[commandIdx] ?? ""}
+                                                                          onKilled={() => setReloads(count => count + 1)} />)}>
+                        {_("Kill")}
+                    </Button>
+                ),
+                props: { className: "pf-v5-c-table__action" },
+            },
+        ],
+        props: { key: process[pidIdx] ?? process.join(" "), "data-row-id": process[pidIdx] },
+    }));
+
+    const sortRows = (rows, direction, idx) => {
+        const numeric = NUMERIC_COLUMNS.includes(titles[idx]);
+        const sorted = rows.sort((a, b) => {
+            const aitem = a.columns[idx].sortKey ?? a.columns[idx].title;
+            const bitem = b.columns[idx].sortKey ?? b.columns[idx].title;
+            return numeric ? aitem - bitem : String(aitem).localeCompare(String(bitem));
+        });
+        return direction === SortByDirection.asc ? sorted : sorted.reverse();
+    };
+
+    // the busiest processes first
+    const cpuIdx = titles.findIndex(title => ["%CPU", "C"].includes(title));
+
+    let content;
+    if (error && !top) {
+        content = <EmptyStatePanel icon={ExclamationCircleIcon} title={_("Failed to list the processes")} paragraph={error} />;
+    } else if (!top) {
+        content = <EmptyStatePanel title={_("Loading...")} loading />;
+    } else {
+        // the columns depend on the ps arguments, so the table has to start anew with them
+        content = (
+            <ListingTable aria-label={_("Processes")}
+                          className="container-processes-table"
+                          variant="compact"
+                          key={titles.join(" ")}
+                          columns={[...titles.map(title => ({ title, sortable: true })), ""]}
+                          sortMethod={sortRows}
+                          sortBy={{ index: cpuIdx >= 0 ? cpuIdx : 0, direction: cpuIdx >= 0 ? SortByDirection.desc : SortByDirection.asc }}
+                          emptyCaption={_("No processes")}
+                          rows={rows} />
+        );
+    }
+
+    return (
+        <Stack hasGutter className="container-processes">
+            <Flex alignItems={{ default: 'alignItemsCenter' }}>
+                <FlexItem>
+                    <Form isHorizontal onSubmit={event => {
+                        event.preventDefault();
+                        applyPsArgs();
+                    }}>
+                        <FormGroup fieldId={"container-processes-ps-args-" + container.Id} label={_("ps arguments")}>
+                            <TextInput id={"container-processes-ps-args-" + container.Id}
+                                       className="container-processes-ps-args"
+                                       placeholder="-ef" // Do not translate
+                                       value={psArgsInput}
+                                       onChange={(_event, value) => setPsArgsInput(value)}
+                                       onBlur={applyPsArgs} />
+                        </FormGroup>
+                    </Form>
+                </FlexItem>
+                <FlexItem>
+                    <Switch id={"container-processes-refresh-" + container.Id}
+                            className="container-processes-refresh"
+                            label={_("Refresh automatically")}
+                            isChecked={autoRefresh}
+                            onChange={(_event, checked) => setAutoRefresh(checked)} />
+                </FlexItem>
+                {error && top &&
+                <FlexItem className="pf-v5-u-danger-color-100">{error}</FlexItem>}
+            </Flex>
+            {content}
+        </Stack>
+    );
+};
+
+export default ContainerProcesses;
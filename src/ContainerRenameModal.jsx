@@ -7,16 +7,15 @@ import cockpit from 'cockpit';
 
 import * as client from './client.js';
 import * as utils from './util.js';
-import { ErrorNotification } from './Notification.jsx';
+import { ErrorNotification, dockerErrorDetail } from './Notification.jsx';
 import { useDialogs } from "dialogs.jsx";
 import { FormHelper } from 'cockpit-components-form-helper.jsx';
 
 const _ = cockpit.gettext;
 
-const ContainerRenameModal = ({ container, updateContainer }) => {
+const ContainerRenameModal = ({ container }) => {
     const Dialogs = useDialogs();
     const [name, setName] = useState(container.Name.replace(/^\//, ""));
-    const { version } = utils.useDockerInfo();
     const [nameError, setNameError] = useState(null);
     const [dialogError, setDialogError] = useState(null);
     const [dialogErrorDetail, setDialogErrorDetail] = useState(null);
@@ -43,16 +42,10 @@ const ContainerRenameModal = ({ container, updateContainer }) => {
         setNameError(null);
         setDialogError(null);
         client.renameContainer(container.Id, { name })
-                .then(() => {
-                    Dialogs.close();
-                    // HACK: This is a workaround for missing API rename event in docker versions less than 4.1.
-                    if (version.localeCompare("4.1", undefined, { numeric: true, sensitivity: 'base' }) < 0) {
-                        updateContainer(container.Id); // not-covered: only on old version
-                    }
-                })
+                .then(() => Dialogs.close())
                 .catch(ex => {
                     setDialogError(cockpit.format(_("Failed to rename container $0"), container.Name)); // not-covered: OS error
-                    setDialogErrorDetail(cockpit.format("$0: $1", ex.message, ex.reason));
+                    setDialogErrorDetail(dockerErrorDetail(ex));
                 });
     };
 
@@ -0,0 +1,317 @@
+import React, { useState } from 'react';
+import { Button } from "@patternfly/react-core/dist/esm/components/Button";
+import { Checkbox } from "@patternfly/react-core/dist/esm/components/Checkbox";
+import { Flex } from "@patternfly/react-core/dist/esm/layouts/Flex";
+import { Form, FormGroup } from "@patternfly/react-core/dist/esm/components/Form";
+import { FormSelect, FormSelectOption } from "@patternfly/react-core/dist/esm/components/FormSelect";
+import { Modal } from "@patternfly/react-core/dist/esm/components/Modal";
+import { NumberInput } from "@patternfly/react-core/dist/esm/components/NumberInput";
+import { TextInput } from "@patternfly/react-core/dist/esm/components/TextInput";
+import cockpit from 'cockpit';
+
+import { FormHelper } from 'cockpit-components-form-helper.jsx';
+import { useDialogs } from "dialogs.jsx";
+import * as client from './client.js';
+import { ErrorNotification, dockerErrorDetail } from './Notification.jsx';
+
+const _ = cockpit.gettext;
+
+const NS = 1000000000;
+const DEFAULT_CPU_PERIOD = 100000;
+const DEFAULT_CPU_SHARES = 1024;
+
+// docker's "-m 256m" means mebibytes
+const units = {
+    KiB: 1,
+    MiB: 2,
+    GiB: 3,
+};
+
+export const restartPolicyLabels = {
+    no: _("No"),
+    "on-failure": _("On failure"),
+    always: _("Always"),
+    "unless-stopped": _("Unless stopped"),
+};
+
+/* The CPU limit in CPUs, given either as NanoCpus or as quota per period */
+export function cpuLimit(hostConfig) {
+    if (hostConfig?.NanoCpus > 0)
+        return hostConfig.NanoCpus / NS;
+    if (hostConfig?.CpuQuota > 0)
+        return hostConfig.CpuQuota / (hostConfig.CpuPeriod || DEFAULT_CPU_PERIOD);
+    return 0;
+}
+
+// the largest unit which shows the size exactly, so that it does not change by just opening the dialog
+const toUnit = bytes => {
+    const unit = ["GiB", "MiB"].find(unit => bytes % (1024 ** units[unit]) === 0) || "KiB";
+    return [String(bytes / (1024 ** units[unit])), unit];
+};
+
+const toBytes = (value, unit) => Math.round(parseFloat(value) * (1024 ** units[unit]));
+
+const initialValues = hostConfig => {
+    const memory = hostConfig.Memory > 0 ? toUnit(hostConfig.Memory) : ["512", "MiB"];
+    const swap = hostConfig.MemorySwap > 0 ? toUnit(hostConfig.MemorySwap) : ["1", "GiB"];
+    const cpus = cpuLimit(hostConfig);
+    return {
+        memoryConfigure: hostConfig.Memory > 0,
+        memory: memory[0],
+        memoryUnit: memory[1],
+        swapConfigure: hostConfig.MemorySwap > 0,
+        swap: swap[0],
+        swapUnit: swap[1],
+        cpusConfigure: cpus > 0,
+        cpus: cpus > 0 ? String(cpus) : "1",
+        cpuSharesConfigure: hostConfig.CpuShares > 0,
+        cpuShares: String(hostConfig.CpuShares || DEFAULT_CPU_SHARES),
+        cpuset: hostConfig.CpusetCpus || "",
+        pidsConfigure: hostConfig.PidsLimit > 0,
+        pids: String(hostConfig.PidsLimit > 0 ? hostConfig.PidsLimit : 100),
+        restartPolicy: hostConfig.RestartPolicy?.Name || "no",
+        restartTries: String(hostConfig.RestartPolicy?.MaximumRetryCount || 1),
+    };
+};
+
+/*
+ * The body of the update request, with only what changed in the dialog. Docker takes
+ * zero as "leave as it is", so removing a limit sets it to unlimited instead. Limits
+ * which cannot be removed that way cannot be unchecked, see removable().
+ */
+const updateBody = (hostConfig, initial, values) => {
+    const changed = keys => keys.some(key => values[key] !== initial[key]);
+    const body = {};
+
+    // docker checks the memory against the current swap limit, so both go together
+    if (changed(["memoryConfigure", "memory", "memoryUnit", "swapConfigure", "swap", "swapUnit"])) {
+        if (values.memoryConfigure)
+            body.Memory = toBytes(values.memory, values.memoryUnit);
+        body.MemorySwap = values.memoryConfigure && values.swapConfigure ? toBytes(values.swap, values.swapUnit) : -1;
+    }
+    if (changed(["cpusConfigure", "cpus"])) {
+        // keep what the container was created with, as docker refuses to mix both
+        if (!hostConfig.NanoCpus && hostConfig.CpuQuota > 0) {
+            const period = hostConfig.CpuPeriod || DEFAULT_CPU_PERIOD;
+            body.CpuPeriod = period;
+            body.CpuQuota = values.cpusConfigure ? Math.round(parseFloat(values.cpus) * period) : -1;
+        } else {
+            body.NanoCpus = Math.round(parseFloat(values.cpus) * NS);
+        }
+    }
+    if (changed(["cpuSharesConfigure", "cpuShares"]))
+        body.CpuShares = values.cpuSharesConfigure ? parseInt(values.cpuShares) : DEFAULT_CPU_SHARES;
+    if (changed(["cpuset"]))
+        body.CpusetCpus = values.cpuset;
+    if (changed(["pidsConfigure", "pids"]))
+        body.PidsLimit = values.pidsConfigure ? parseInt(values.pids) : -1;
+    if (changed(["restartPolicy", "restartTries"])) {
+        body.RestartPolicy = { Name: values.restartPolicy };
+        if (values.restartPolicy === "on-failure")
+            body.RestartPolicy.MaximumRetryCount = parseInt(values.restartTries);
+    }
+    return body;
+};
+
+/*
+ * Whether docker can take a limit the container has away again. It refuses any memory
+ * limit below 6 MB, -1 included, and negative CPUs; a CPU quota can be removed though.
+ */
+const removable = (hostConfig, configureKey) => {
+    if (configureKey === "memoryConfigure")
+        return false;
+    if (configureKey === "cpusConfigure")
+        return !(hostConfig.NanoCpus > 0);
+    return true;
+};
+
+const validate = (initial, values) => {
+    const errors = {};
+    const positive = value => /^\d+(\.\d+)?$/.test(value) && parseFloat(value) > 0;
+
+    if (values.memoryConfigure && !positive(values.memory))
+        errors.memory = _("The memory limit has to be a positive number");
+    if (values.swapConfigure && !values.memoryConfigure)
+        errors.swap = _("A limit of memory and swap needs a memory limit");
+    else if (values.swapConfigure) {
+        if (!positive(values.swap))
+            errors.swap = _("The limit has to be a positive number");
+        else if (!errors.memory && toBytes(values.swap, values.swapUnit) < toBytes(values.memory, values.memoryUnit))
+            errors.swap = _("The limit of memory and swap cannot be smaller than the memory limit");
+    }
+    if (values.cpusConfigure && !positive(values.cpus))
+        errors.cpus = _("The number of CPUs has to be a positive number");
+    if (values.cpuSharesConfigure && !(parseInt(values.cpuShares) >= 2 && parseInt(values.cpuShares) <= 262144))
+        errors.cpuShares = _("CPU shares have to be between 2 and 262144");
+    if (values.cpuset && !/^\d+(-\d+)?(,\d+(-\d+)?)*$/.test(values.cpuset))
+        errors.cpuset = _("List CPUs and ranges of them, like 0-2,4");
+    else if (!values.cpuset && initial.cpuset)
+        errors.cpuset = _("Docker cannot remove the CPU restriction, list all CPUs instead");
+    if (values.pidsConfigure && !(parseInt(values.pids) > 0))
+        errors.pids = _("The process limit has to be a positive number");
+    if (values.restartPolicy === "on-failure" && !(parseInt(values.restartTries) >= 1))
+        errors.restartTries = _("The number of retries has to be a positive number");
+    return errors;
+};
+
+const ContainerResourcesModal = ({ container }) => {
+    const Dialogs = useDialogs();
+    const hostConfig = container.HostConfig || {};
+
+    const [initial] = useState(() => initialValues(hostConfig));
+    const [values, setValues] = useState(initial);
+    const [validationFailed, setValidationFailed] = useState({});
+    const [inProgress, setInProgress] = useState(false);
+    const [dialogError, setDialogError] = useState(null);
+    const [dialogErrorDetail, setDialogErrorDetail] = useState(null);
+
+    const onValueChanged = (key, value) => {
+        setValues(prev => ({ ...prev, [key]: value }));
+        if (validationFailed[key]) {
+            const { [key]: _cleared, ...rest } = validationFailed;
+            setValidationFailed(rest);
+        }
+    };
+
+    const step = (key, delta) => onValueChanged(key, String((parseFloat(values[key]) || 0) + delta));
+
+    const handleSave = () => {
+        const errors = validate(initial, values);
+        setValidationFailed(errors);
+        if (Object.keys(errors).length > 0)
+            return;
+
+        const body = updateBody(hostConfig, initial, values);
+        if (Object.keys(body).length === 0) {
+            Dialogs.close();
+            return;
+        }
+
+        setInProgress(true);
+        setDialogError(null);
+        client.updateContainer(container.Id, body)
+                .then(() => Dialogs.close())
+                .catch(ex => {
+                    setDialogError(cockpit.format(_("Failed to change the resources of container $0"), container.Name)); // not-covered: OS error
+                    setDialogErrorDetail(dockerErrorDetail(ex));
+                    setInProgress(false);
+                });
+    };
+
+    const unitSelect = (id, key, isDisabled) => (
+        <FormSelect id={id}
+                    aria-label={_("Unit")}
+                    className="dialog-run-form-select"
+                    value={values[key]}
+                    isDisabled={isDisabled}
+                    onChange={(_event, value) => onValueChanged(key, value)}>
+            {Object.keys(units).map(unit => <FormSelectOption value={unit} key={unit} label={unit} />)}
+        </FormSelect>
+    );
+
+    // a checkbox to enable the limit, and the number input for it
+    const limit = (id, configureKey, key, label, extra, helperText) => {
+        // docker can change these limits, but not take them away again
+        const fixed = initial[configureKey] && !removable(hostConfig, configureKey);
+        return (
+            <>
+                <Flex alignItems={{ default: 'alignItemsCenter' }} className="ct-input-group-spacer-sm modal-run-limiter">
+                    <Checkbox id={id + "-checkbox"}
+                              aria-label={label}
+                              isChecked={values[configureKey]}
+                              isDisabled={fixed}
+                              onChange={(_event, checked) => onValueChanged(configureKey, checked)} />
+                    <NumberInput id={id}
+                                 value={values[key]}
+                                 isDisabled={!values[configureKey]}
+                                 validated={validationFailed[key] ? "error" : "default"}
+                                 onPlus={() => step(key, 1)}
+                                 onMinus={() => step(key, -1)}
+                                 minusBtnAriaLabel={cockpit.format(_("Decrease $0"), label)}
+                                 plusBtnAriaLabel={cockpit.format(_("Increase $0"), label)}
+                                 onChange={ev => onValueChanged(key, ev.target.value)} />
+                    {extra}
+                </Flex>
+                <FormHelper fieldId={id}
+                            helperText={fixed ? _("Docker cannot remove this limit, only change it") : helperText}
+                            helperTextInvalid={validationFailed[key]} />
+            </>
+        );
+    };
+
+    return (
+        <Modal isOpen
+               position="top" variant="medium"
+               onClose={Dialogs.close}
+               title={cockpit.format(_("Edit resources of $0"), container.Name.replace(/^\//, ""))}
+               footer={<>
+                   <Button variant="primary"
+                           id="edit-resources-dialog-save"
+                           isLoading={inProgress}
+                           isDisabled={inProgress}
+                           onClick={handleSave}>
+                       {_("Save")}
+                   </Button>
+                   <Button variant="link" onClick={Dialogs.close}>{_("Cancel")}</Button>
+               </>}
+        >
+            {dialogError && <ErrorNotification errorMessage={dialogError} errorDetail={dialogErrorDetail} onDismiss={() => setDialogError(null)} />}
+            <Form isHorizontal>
+                <FormGroup fieldId="edit-resources-dialog-memory" label={_("Memory limit")}>
+                    {limit("edit-resources-dialog-memory", "memoryConfigure", "memory", _("memory limit"),
+                           unitSelect("edit-resources-dialog-memory-unit", "memoryUnit", !values.memoryConfigure))}
+                </FormGroup>
+                <FormGroup fieldId="edit-resources-dialog-swap" label={_("Memory and swap limit")}>
+                    {limit("edit-resources-dialog-swap", "swapConfigure", "swap", _("memory and swap limit"),
+                           unitSelect("edit-resources-dialog-swap-unit", "swapUnit", !values.swapConfigure),
+                           values.swapConfigure ? undefined : _("Unlimited swap"))}
+                </FormGroup>
+                <FormGroup fieldId="edit-resources-dialog-cpus" label={_("CPUs")}>
+                    {limit("edit-resources-dialog-cpus", "cpusConfigure", "cpus", _("CPUs"))}
+                </FormGroup>
+                <FormGroup fieldId="edit-resources-dialog-cpu-shares" label={_("CPU shares")}>
+                    {limit("edit-resources-dialog-cpu-shares", "cpuSharesConfigure", "cpuShares", _("CPU shares"))}
+                </FormGroup>
+                <FormGroup fieldId="edit-resources-dialog-cpuset" label={_("Allowed CPUs")}>
+                    <TextInput id="edit-resources-dialog-cpuset"
+                               placeholder={_("All")}
+                               value={values.cpuset}
+                               validated={validationFailed.cpuset ? "error" : "default"}
+                               onChange={(_event, value) => onValueChanged("cpuset", value)} />
+                    <FormHelper fieldId="edit-resources-dialog-cpuset"
+                                helperText={_("CPUs and ranges of them, like 0-2,4")}
+                                helperTextInvalid={validationFailed.cpuset} />
+                </FormGroup>
+                <FormGroup fieldId="edit-resources-dialog-pids" label={_("Process limit")}>
+                    {limit("edit-resources-dialog-pids", "pidsConfigure", "pids", _("process limit"))}
+                </FormGroup>
+                <FormGroup fieldId="edit-resources-dialog-restart-policy" label={_("Restart policy")}>
+                    <FormSelect id="edit-resources-dialog-restart-policy"
+                                value={values.restartPolicy}
+                                onChange={(_event, value) => onValueChanged("restartPolicy", value)}>
+                        {Object.entries(restartPolicyLabels).map(([value, label]) =>
+                            <FormSelectOption value={value} key={value} label={label} />
+                        )}
+                    </FormSelect>
+                </FormGroup>
+                {values.restartPolicy === "on-failure" &&
+                <FormGroup fieldId="edit-resources-dialog-restart-retries" label={_("Maximum retries")}>
+                    <NumberInput id="edit-resources-dialog-restart-retries"
+                                 value={values.restartTries}
+                                 min={1}
+                                 max={65535}
+                                 widthChars={5}
+                                 validated={validationFailed.restartTries ? "error" : "default"}
+                                 minusBtnAriaLabel={_("Decrease maximum retries")}
+                                 plusBtnAriaLabel={_("Increase maximum retries")}
+                                 onMinus={() => step("restartTries", -1)}
+                                 onPlus={() => step("restartTries", 1)}
+                                 onChange={ev => onValueChanged("restartTries", ev.target.value)} />
+                    <FormHelper fieldId="edit-resources-dialog-restart-retries" helperTextInvalid={validationFailed.restartTries} />
+                </FormGroup>}
+            </Form>
+        </Modal>
+    );
+};
+
+export default ContainerResourcesModal;
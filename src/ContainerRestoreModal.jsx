@@ -7,6 +7,7 @@ import { useDialogs } from "dialogs.jsx";
 import cockpit from 'cockpit';
 
 import * as client from './client.js';
+import { dockerErrorDetail } from './Notification.jsx';
 
 const _ = cockpit.gettext;
 
@@ -29,7 +30,7 @@ const ContainerRestoreModal = ({ containerWillRestore, onAddNotification }) => {
         })
                 .catch(ex => {
                     const error = cockpit.format(_("Failed to restore container $0"), containerWillRestore.Name); // not-covered: OS error
-                    onAddNotification({ type: 'danger', error, errorDetail: ex.message });
+                    onAddNotification({ type: 'danger', error, errorDetail: dockerErrorDetail(ex) });
                     setInProgress(false);
                 })
                 .finally(() => {
@@ -180,7 +180,7 @@ class ContainerTerminal extends React.Component {
                 .then(r => {
                     const channel = cockpit.channel({
                         payload: "stream",
-                        unix: client.getAddress(),
+                        ...client.getAddress(),
                         binary: true
                     });
 
@@ -199,7 +199,7 @@ class ContainerTerminal extends React.Component {
     connectToTty() {
         const channel = cockpit.channel({
             payload: "stream",
-            unix: client.getAddress(),
+            ...client.getAddress(),
             binary: true
         });
 
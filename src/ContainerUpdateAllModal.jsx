@@ -0,0 +1,151 @@
+import React, { useState } from 'react';
+import { Button } from "@patternfly/react-core/dist/esm/components/Button";
+import { Checkbox } from "@patternfly/react-core/dist/esm/components/Checkbox";
+import { Modal } from "@patternfly/react-core/dist/esm/components/Modal";
+import { Stack, StackItem } from "@patternfly/react-core/dist/esm/layouts/Stack";
+import { AngleDownIcon, AngleUpIcon } from "@patternfly/react-icons";
+import cockpit from 'cockpit';
+
+import { ListingTable } from "cockpit-components-table.jsx";
+import { useDialogs } from "dialogs.jsx";
+import * as client from './client.js';
+import * as containerUpdate from './containerUpdate.js';
+import { dockerErrorDetail } from './Notification.jsx';
+import StepStatus from './StepStatus.jsx';
+
+const _ = cockpit.gettext;
+
+const ContainerUpdateAllModal = ({ containers, onAddNotification }) => {
+    const Dialogs = useDialogs();
+
+    const [order, setOrder] = useState(containers.map(container => container.Id));
+    const [excluded, setExcluded] = useState({});
+    const [progress, setProgress] = useState(null);
+    const [isBusy, setIsBusy] = useState(false);
+
+    const byId = Object.fromEntries(containers.map(container => [container.Id, container]));
+    const selected = order.filter(id => !excluded[id]);
+
+    const move = (idx, delta) => {
+        const next = [...order];
+        [next[idx], next[idx + delta]] = [next[idx + delta], next[idx]];
+        setOrder(next);
+    };
+
+    /* One after the other in the chosen order, so that e.g. a database is back before its users get updated */
+    const handleUpdate = async () => {
+        const report = (id, status, detail) => setProgress(prev => ({ ...prev, [id]: { status, detail } }));
+        setProgress({});
+        setIsBusy(true);
+
+        const failures = [];
+        for (const id of selected) {
+            const container = byId[id];
+            report(id, "running");
+            try {
+                const inspected = await client.inspectContainer(id);
+                const updated = await containerUpdate.updateContainer(inspected, (step, status) => {
+                    if (status === "running")
+                        report(id, "running", containerUpdate.stepLabels[step]);
+                });
+                report(id, "done", updated ? _("Updated") : _("Up to date"));
+            } catch (ex) {
+                report(id, "failed", dockerErrorDetail(ex));
+                failures.push(container.Name + ": " + dockerErrorDetail(ex));
+            }
+        }
+
+        if (failures.length > 0) {
+            onAddNotification({
+                type: 'danger',
+                error: cockpit.format(cockpit.ngettext("Failed to update $0 of $1 container", "Failed to update $0 of $1 containers", selected.length),
+                                      failures.length, selected.length),
+                errorDetail: failures.join("; "),
+            });
+        } else {
+            onAddNotification({
+                type: 'success',
+                error: cockpit.format(cockpit.ngettext("Updated $0 container", "Updated $0 containers", selected.length), selected.length),
+            });
+        }
+        setIsBusy(false);
+    };
+
+    const rows = order.map((id, idx) => {
+        const container = byId[id];
+        const name = container.Name.replace(/^\//, "");
+        const columns = [
+            {
+                title: <Checkbox id={"update-all-include-" + name}
+                                 aria-label={cockpit.format(_("Update $0"), container.Name)}
+                                 isChecked={!excluded[id]}
+                                 isDisabled={progress !== null}
+                                 onChange={(_event, checked) => setExcluded(prev => ({ ...prev, [id]: !checked }))} />,
+                props: { className: "pf-v5-c-table__check" },
+            },
+            { title: name, header: true },
+            { title: container.Config?.Image },
+        ];
+        if (progress === null) {
+            columns.push({
+                title: (
+                    <>
+                        <Button variant="plain" className="btn-move-up"
+                                aria-label={cockpit.format(_("Move $0 up"), container.Name)}
+                                isDisabled={idx === 0}
+                                onClick={() => move(idx, -1)}>
+                            <AngleUpIcon />
+                        </Button>
+                        <Button variant="plain" className="btn-move-down"
+                                aria-label={cockpit.format(_("Move $0 down"), container.Name)}
+                                isDisabled={idx === order.length - 1}
+                                onClick={() => move(idx, 1)}>
+                            <AngleDownIcon />
+                        </Button>
+                    </>
+                ),
+                props: { className: "pf-v5-c-table__action" },
+            });
+        } else {
+            columns.push({ title: excluded[id] ? <span className="ct-grey-text">{_("Skipped")}</span> : <StepStatus progress={progress[id]} /> });
+        }
+        return { columns, props: { key: id, "data-row-id": name } };
+    });
+
+    return (
+        <Modal isOpen
+               position="top" variant="medium"
+               onClose={isBusy ? undefined : Dialogs.close}
+               title={_("Update containers")}
+               footer={progress === null
+                   ? <>
+                       <Button variant="primary" id="update-all-btn"
+                               isDisabled={selected.length === 0}
+                               onClick={handleUpdate}>
+                           {cockpit.format(cockpit.ngettext("Update $0 container", "Update $0 containers", selected.length), selected.length)}
+                       </Button>
+                       <Button variant="link" onClick={Dialogs.close}>{_("Cancel")}</Button>
+                   </>
+                   : <Button variant="primary" id="update-all-close-btn"
+                             isLoading={isBusy} isDisabled={isBusy}
+                             onClick={Dialogs.close}>
+                       {isBusy ? _("Updating") : _("Close")}
+                   </Button>}
+        >
+            <Stack hasGutter>
+                <StackItem>
+                    {_("The containers get updated one after the other, in this order. Each one that fails is restored, and the others continue.")}
+                </StackItem>
+                <StackItem>
+                    <ListingTable id="update-all-containers"
+                                  aria-label={_("Containers to update")}
+                                  variant="compact"
+                                  columns={['', _("Container"), _("Image"), progress === null ? _("Order") : _("Status")]}
+                                  rows={rows} />
+                </StackItem>
+            </Stack>
+        </Modal>
+    );
+};
+
+export default ContainerUpdateAllModal;
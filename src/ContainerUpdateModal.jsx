@@ -0,0 +1,100 @@
+import React, { useState } from 'react';
+import { Button } from "@patternfly/react-core/dist/esm/components/Button";
+import { Modal } from "@patternfly/react-core/dist/esm/components/Modal";
+import { Stack, StackItem } from "@patternfly/react-core/dist/esm/layouts/Stack";
+import cockpit from 'cockpit';
+
+import { ListingTable } from "cockpit-components-table.jsx";
+import { useDialogs } from "dialogs.jsx";
+import * as client from './client.js';
+import * as containerUpdate from './containerUpdate.js';
+import { ErrorNotification, dockerErrorDetail } from './Notification.jsx';
+import StepStatus from './StepStatus.jsx';
+
+const _ = cockpit.gettext;
+
+const ContainerUpdateModal = ({ container, onAddNotification }) => {
+    const Dialogs = useDialogs();
+    const reference = containerUpdate.updatableReference(container);
+
+    const [progress, setProgress] = useState(null);
+    const [isBusy, setIsBusy] = useState(false);
+    const [result, setResult] = useState(null);
+    const [dialogError, setDialogError] = useState("");
+    const [dialogErrorDetail, setDialogErrorDetail] = useState("");
+
+    const handleUpdate = () => {
+        setProgress({});
+        setIsBusy(true);
+        setDialogError("");
+        // the container list is not all of inspect, and might be outdated
+        client.inspectContainer(container.Id)
+                .then(inspected => containerUpdate.updateContainer(inspected, (step, status, detail) => {
+                    setProgress(prev => ({ ...prev, [step]: { status, detail } }));
+                }))
+                .then(updated => setResult(updated ? _("The container was updated.") : _("The container already runs the newest image.")))
+                .catch(ex => {
+                    const error = cockpit.format(_("Failed to update container $0"), container.Name);
+                    setDialogError(error);
+                    setDialogErrorDetail(dockerErrorDetail(ex));
+                    // the dialog might have been closed meanwhile
+                    onAddNotification({ type: 'danger', error, errorDetail: dockerErrorDetail(ex) });
+                })
+                .finally(() => setIsBusy(false));
+    };
+
+    let content;
+    if (progress === null) {
+        content = (
+            <Stack hasGutter>
+                <StackItem>
+                    {cockpit.format(_("The newest $0 image gets pulled, and the container is created anew from it with the same settings."), reference)}
+                </StackItem>
+                <StackItem>
+                    {_("The old container is stopped, and only removed once the new one runs, and is healthy if it has a health check. If anything fails, the old container is restored.")}
+                </StackItem>
+            </Stack>
+        );
+    } else {
+        const steps = progress.rollback ? [...containerUpdate.STEPS, "rollback"] : containerUpdate.STEPS;
+        content = (
+            <Stack hasGutter>
+                {dialogError && <ErrorNotification errorMessage={dialogError} errorDetail={dialogErrorDetail} />}
+                <StackItem>
+                    <ListingTable id="update-container-steps"
+                                  aria-label={_("Update steps")}
+                                  variant="compact"
+                                  showHeader={false}
+                                  columns={[_("Step"), _("Status")]}
+                                  rows={steps.map(step => ({
+                                      columns: [{ title: containerUpdate.stepLabels[step] }, { title: <StepStatus progress={progress[step]} /> }],
+                                      props: { key: step, "data-row-id": step },
+                                  }))} />
+                </StackItem>
+                {result && <StackItem id="update-container-result">{result}</StackItem>}
+            </Stack>
+        );
+    }
+
+    return (
+        <Modal isOpen
+               position="top" variant="medium"
+               onClose={isBusy ? undefined : Dialogs.close}
+               title={cockpit.format(_("Update container $0"), container.Name)}
+               footer={progress === null
+                   ? <>
+                       <Button variant="primary" id="update-container-btn" onClick={handleUpdate}>{_("Update")}</Button>
+                       <Button variant="link" onClick={Dialogs.close}>{_("Cancel")}</Button>
+                   </>
+                   : <Button variant="primary" id="update-container-close-btn"
+                             isLoading={isBusy} isDisabled={isBusy}
+                             onClick={Dialogs.close}>
+                       {isBusy ? _("Updating") : _("Close")}
+                   </Button>}
+        >
+            {content}
+        </Modal>
+    );
+};
+
+export default ContainerUpdateModal;
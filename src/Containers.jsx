@@ -1,14 +1,17 @@
 import React from 'react';
 import { Badge } from "@patternfly/react-core/dist/esm/components/Badge";
 import { Button } from "@patternfly/react-core/dist/esm/components/Button";
-import { Card, CardBody, CardHeader, CardTitle } from "@patternfly/react-core/dist/esm/components/Card";
+import { Checkbox } from "@patternfly/react-core/dist/esm/components/Checkbox";
+import { Card, CardBody, CardExpandableContent, CardHeader, CardTitle } from "@patternfly/react-core/dist/esm/components/Card";
 import { Divider } from "@patternfly/react-core/dist/esm/components/Divider";
 import { DropdownItem } from '@patternfly/react-core/dist/esm/components/Dropdown/index.js';
 import { Flex } from "@patternfly/react-core/dist/esm/layouts/Flex";
 import { LabelGroup } from "@patternfly/react-core/dist/esm/components/Label";
 import { Text, TextVariants } from "@patternfly/react-core/dist/esm/components/Text";
 import { FormSelect, FormSelectOption } from "@patternfly/react-core/dist/esm/components/FormSelect";
-import { Toolbar, ToolbarContent, ToolbarItem } from "@patternfly/react-core/dist/esm/components/Toolbar";
+import { Toolbar, ToolbarContent, ToolbarGroup, ToolbarItem } from "@patternfly/react-core/dist/esm/components/Toolbar";
+import { Tooltip } from "@patternfly/react-core/dist/esm/components/Tooltip";
+import { MemoryIcon, MicrochipIcon } from "@patternfly/react-icons";
 import { cellWidth, SortByDirection } from '@patternfly/react-table';
 
 import cockpit from 'cockpit';
@@ -17,20 +20,39 @@ import { ListingPanel } from 'cockpit-components-listing-panel.jsx';
 import ContainerDetails from './ContainerDetails.jsx';
 import ContainerIntegration from './ContainerIntegration.jsx';
 import ContainerTerminal from './ContainerTerminal.jsx';
+import ContainerFiles from './ContainerFiles.jsx';
+import ContainerChanges from './ContainerChanges.jsx';
+import ContainerProcesses from './ContainerProcesses.jsx';
+import ContainerMetrics from './ContainerMetrics.jsx';
 import ContainerLogs from './ContainerLogs.jsx';
 import ContainerHealthLogs from './ContainerHealthLogs.jsx';
 import ContainerDeleteModal from './ContainerDeleteModal.jsx';
 import ForceRemoveModal from './ForceRemoveModal.jsx';
 import * as utils from './util.js';
 import * as client from './client.js';
+import { createScheduler } from './scheduler.js';
+import { dockerErrorDetail } from './Notification.jsx';
 import ContainerCommitModal from './ContainerCommitModal.jsx';
 import ContainerRenameModal from './ContainerRenameModal.jsx';
+import ContainerUpdateModal from './ContainerUpdateModal.jsx';
+import ContainerResourcesModal from './ContainerResourcesModal.jsx';
+import ContainerExportModal from './ContainerExportModal.jsx';
+import ContainerLogsDownloadModal from './ContainerLogsDownloadModal.jsx';
+import { updatableReference } from './containerUpdate.js';
+import ContainerUpdateAllModal from './ContainerUpdateAllModal.jsx';
+import { containerHasUpdate } from './imageUpdates.js';
+import { ImagePullProgress, newPullProgress, updatePullProgress } from './ImagePullProgress.jsx';
 import { useDialogs, DialogsContext } from "dialogs.jsx";
 
 import './Containers.scss';
 import '@patternfly/patternfly/utilities/Accessibility/accessibility.css';
 import { ImageRunModal } from './ImageRunModal.jsx';
 import PruneUnusedContainersModal from './PruneUnusedContainersModal.jsx';
+import ProjectDeleteModal from './ProjectDeleteModal.jsx';
+import ContainerBulkDeleteModal from './ContainerBulkDeleteModal.jsx';
+import ContainerBulkCommitModal, { commitImageName } from './ContainerBulkCommitModal.jsx';
+import ComposeDeployModal from './ComposeDeployModal.jsx';
+import * as compose from './compose.js';
 
 import { KebabDropdown } from "cockpit-components-dropdown.jsx";
 
@@ -118,9 +140,8 @@ const DashboardLinks = ({ container }) => {
 };
 
 
-const ContainerActions = ({ container, healthcheck, onAddNotification, localImages, updateContainer }) => {
+const ContainerActions = ({ container, healthcheck, onAddNotification, localImages }) => {
     const Dialogs = useDialogs();
-    const { version } = utils.useDockerInfo();
     const isRunning = container.State.Status === "running";
     const isPaused = container.State.Status === "paused";
     const isRestarting = container.State.Status === "restarting";
@@ -133,7 +154,7 @@ const ContainerActions = ({ container, healthcheck, onAddNotification, localImag
                 return client.delContainer(id, true)
                         .catch(ex => {
                             const error = cockpit.format(_("Failed to force remove container $0"), container.Name); // not-covered: OS error
-                            onAddNotification({ type: 'danger', error, errorDetail: ex.message });
+                            onAddNotification({ type: 'danger', error, errorDetail: dockerErrorDetail(ex) });
                             throw ex;
                         })
                         .finally(() => {
@@ -158,7 +179,7 @@ const ContainerActions = ({ container, healthcheck, onAddNotification, localImag
         client.postContainer("stop", container.Id, args)
                 .catch(ex => {
                     const error = cockpit.format(_("Failed to stop container $0"), container.Name); // not-covered: OS error
-                    onAddNotification({ type: 'danger', error, errorDetail: ex.message });
+                    onAddNotification({ type: 'danger', error, errorDetail: dockerErrorDetail(ex) });
                 });
     };
 
@@ -166,7 +187,7 @@ const ContainerActions = ({ container, healthcheck, onAddNotification, localImag
         client.postContainer("start", container.Id, {})
                 .catch(ex => {
                     const error = cockpit.format(_("Failed to start container $0"), container.Name); // not-covered: OS error
-                    onAddNotification({ type: 'danger', error, errorDetail: ex.message });
+                    onAddNotification({ type: 'danger', error, errorDetail: dockerErrorDetail(ex) });
                 });
     };
 
@@ -174,7 +195,7 @@ const ContainerActions = ({ container, healthcheck, onAddNotification, localImag
         client.postContainer("unpause", container.Id, {})
                 .catch(ex => {
                     const error = cockpit.format(_("Failed to resume container $0"), container.Name); // not-covered: OS error
-                    onAddNotification({ type: 'danger', error, errorDetail: ex.message });
+                    onAddNotification({ type: 'danger', error, errorDetail: dockerErrorDetail(ex) });
                 });
     };
 
@@ -182,7 +203,7 @@ const ContainerActions = ({ container, healthcheck, onAddNotification, localImag
         client.postContainer("pause", container.Id, {})
                 .catch(ex => {
                     const error = cockpit.format(_("Failed to pause container $0"), container.Name); // not-covered: OS error
-                    onAddNotification({ type: 'danger', error, errorDetail: ex.message });
+                    onAddNotification({ type: 'danger', error, errorDetail: dockerErrorDetail(ex) });
                 });
     };
 
@@ -199,25 +220,28 @@ const ContainerActions = ({ container, healthcheck, onAddNotification, localImag
         client.postContainer("restart", container.Id, args)
                 .catch(ex => {
                     const error = cockpit.format(_("Failed to restart container $0"), container.Name); // not-covered: OS error
-                    onAddNotification({ type: 'danger', error, errorDetail: ex.message });
+                    onAddNotification({ type: 'danger', error, errorDetail: dockerErrorDetail(ex) });
                 });
     };
 
     const renameContainer = () => {
-        if (container.State.Status !== "running" ||
-            version.localeCompare("3.0.1", undefined, { numeric: true, sensitivity: 'base' }) >= 0) {
-            Dialogs.show(<ContainerRenameModal container={container}
-                                               updateContainer={updateContainer} />);
-        }
+        Dialogs.show(<ContainerRenameModal container={container} />);
     };
 
-    const addRenameAction = () => {
-        actions.push(
-            <DropdownItem key="rename"
-                        onClick={() => renameContainer()}>
-                {_("Rename")}
-            </DropdownItem>
-        );
+    const updateContainer = () => {
+        Dialogs.show(<ContainerUpdateModal container={container} onAddNotification={onAddNotification} />);
+    };
+
+    const exportContainer = () => {
+        Dialogs.show(<ContainerExportModal container={container} onAddNotification={onAddNotification} />);
+    };
+
+    const downloadLogs = () => {
+        Dialogs.show(<ContainerLogsDownloadModal container={container} />);
+    };
+
+    const editResources = () => {
+        Dialogs.show(<ContainerResourcesModal container={container} />);
     };
 
     const actions = [];
@@ -265,15 +289,27 @@ const ContainerActions = ({ container, healthcheck, onAddNotification, localImag
                 {_("Start")}
             </DropdownItem>
         );
-        actions.push(<Divider key="separator-0" />);
-        if (version.localeCompare("3", undefined, { numeric: true, sensitivity: 'base' }) >= 0) {
-            addRenameAction();
-        }
-    } else { // running or paused
-        actions.push(<Divider key="separator-0" />);
-        if (version.localeCompare("3.0.1", undefined, { numeric: true, sensitivity: 'base' }) >= 0) {
-            addRenameAction();
-        }
+    }
+
+    // docker can rename containers in any state
+    actions.push(<Divider key="separator-0" />);
+    actions.push(
+        <DropdownItem key="rename"
+                      onClick={() => renameContainer()}>
+            {_("Rename")}
+        </DropdownItem>,
+        <DropdownItem key="edit-resources"
+                      onClick={() => editResources()}>
+            {_("Edit resources")}
+        </DropdownItem>
+    );
+    if (updatableReference(container)) {
+        actions.push(
+            <DropdownItem key="update"
+                          onClick={() => updateContainer()}>
+                {_("Update")}
+            </DropdownItem>
+        );
     }
 
     actions.push(<Divider key="separator-1" />);
@@ -281,6 +317,14 @@ const ContainerActions = ({ container, healthcheck, onAddNotification, localImag
         <DropdownItem key="commit"
                       onClick={() => commitContainer()}>
             {_("Commit")}
+        </DropdownItem>,
+        <DropdownItem key="export"
+                      onClick={() => exportContainer()}>
+            {_("Export")}
+        </DropdownItem>,
+        <DropdownItem key="download-logs"
+                      onClick={() => downloadLogs()}>
+            {_("Download logs")}
         </DropdownItem>
     );
 
@@ -298,7 +342,15 @@ const ContainerActions = ({ container, healthcheck, onAddNotification, localImag
 
 export let onDownloadContainer = function funcOnDownloadContainer(container) {
     this.setState(prevState => ({
-        downloadingContainers: [...prevState.downloadingContainers, container]
+        downloadingContainers: [...prevState.downloadingContainers, { ...container, pullProgress: newPullProgress() }]
+    }));
+};
+
+export let onDownloadContainerProgress = function funcOnDownloadContainerProgress(container, message) {
+    this.setState(prevState => ({
+        downloadingContainers: prevState.downloadingContainers.map(entry => entry.name === container.name
+            ? { ...entry, pullProgress: updatePullProgress(entry.pullProgress, message) }
+            : entry),
     }));
 };
 
@@ -320,8 +372,22 @@ const localize_health = (state) => {
     return null;
 };
 
-const ContainerOverActions = ({ handlePruneUnusedContainers, unusedContainers }) => {
+const ContainerOverActions = ({ handleDeployStack, handleUpdateAll, outdatedContainers, handlePruneUnusedContainers, unusedContainers }) => {
     const actions = [
+        <DropdownItem key="deploy-stack"
+                      id="deploy-stack-button"
+                      component="button"
+                      onClick={() => handleDeployStack()}>
+            {_("Deploy stack")}
+        </DropdownItem>,
+        <DropdownItem key="update-all"
+                      id="update-all-button"
+                      component="button"
+                      onClick={() => handleUpdateAll()}
+                      isDisabled={outdatedContainers.length === 0}>
+            {_("Update all")}
+        </DropdownItem>,
+        <Divider key="separator" />,
         <DropdownItem key="prune-unused-containers"
                             id="prune-unused-containers-button"
                             component="button"
@@ -335,6 +401,218 @@ const ContainerOverActions = ({ handlePruneUnusedContainers, unusedContainers })
     return <KebabDropdown toggleButtonId="containers-actions-dropdown" position="right" dropdownItems={actions} />;
 };
 
+// how many containers a bulk action works on at the same time
+const BULK_CONCURRENCY = 4;
+
+const isActive = c => ["running", "paused", "restarting"].includes(c.State?.Status);
+
+/* The bulk actions, each with the containers it applies to, like the entries of ContainerActions */
+const bulkActions = {
+    start: {
+        label: _("Start"),
+        appliesTo: c => !["running", "paused"].includes(c.State?.Status),
+        run: c => client.postContainer("start", c.Id, {}),
+        done: n => cockpit.format(cockpit.ngettext("Started $0 container", "Started $0 containers", n), n),
+        failed: (n, total) => cockpit.format(cockpit.ngettext("Failed to start $0 of $1 container", "Failed to start $0 of $1 containers", total), n, total),
+    },
+    stop: {
+        label: _("Stop"),
+        appliesTo: isActive,
+        run: c => client.postContainer("stop", c.Id, {}),
+        done: n => cockpit.format(cockpit.ngettext("Stopped $0 container", "Stopped $0 containers", n), n),
+        failed: (n, total) => cockpit.format(cockpit.ngettext("Failed to stop $0 of $1 container", "Failed to stop $0 of $1 containers", total), n, total),
+    },
+    restart: {
+        label: _("Restart"),
+        appliesTo: isActive,
+        run: c => client.postContainer("restart", c.Id, {}),
+        done: n => cockpit.format(cockpit.ngettext("Restarted $0 container", "Restarted $0 containers", n), n),
+        failed: (n, total) => cockpit.format(cockpit.ngettext("Failed to restart $0 of $1 container", "Failed to restart $0 of $1 containers", total), n, total),
+    },
+    pause: {
+        label: _("Pause"),
+        appliesTo: c => c.State?.Status === "running",
+        run: c => client.postContainer("pause", c.Id, {}),
+        done: n => cockpit.format(cockpit.ngettext("Paused $0 container", "Paused $0 containers", n), n),
+        failed: (n, total) => cockpit.format(cockpit.ngettext("Failed to pause $0 of $1 container", "Failed to pause $0 of $1 containers", total), n, total),
+    },
+    commit: {
+        label: _("Commit"),
+        appliesTo: () => true,
+        run: (c, { prefix, tag, pause }) => client.commitContainer({
+            container: c.Id, repo: commitImageName(prefix, c), tag, pause, format: 'docker',
+        }),
+        done: n => cockpit.format(cockpit.ngettext("Committed $0 container", "Committed $0 containers", n), n),
+        failed: (n, total) => cockpit.format(cockpit.ngettext("Failed to commit $0 of $1 container", "Failed to commit $0 of $1 containers", total), n, total),
+    },
+    delete: {
+        label: _("Delete"),
+        appliesTo: () => true,
+        run: c => client.delContainer(c.Id, true),
+        done: n => cockpit.format(cockpit.ngettext("Deleted $0 container", "Deleted $0 containers", n), n),
+        failed: (n, total) => cockpit.format(cockpit.ngettext("Failed to delete $0 of $1 container", "Failed to delete $0 of $1 containers", total), n, total),
+    },
+};
+
+const ContainerBulkActions = ({ containers, onAddNotification }) => {
+    const Dialogs = useDialogs();
+    const [running, setRunning] = React.useState(null);
+
+    /* Run the action on all selected containers it applies to, and sum up the outcome in one notification */
+    const run = (name, options) => {
+        const action = bulkActions[name];
+        const targets = containers.filter(action.appliesTo);
+
+        setRunning(name);
+        const scheduler = createScheduler(BULK_CONCURRENCY);
+        Promise.allSettled(targets.map(c => scheduler.run(() => action.run(c, options))))
+                .then(results => {
+                    const failures = results
+                            .map((result, idx) => result.status === "rejected" ? targets[idx].Name + ": " + dockerErrorDetail(result.reason) : null)
+                            .filter(Boolean);
+                    if (failures.length > 0)
+                        onAddNotification({ type: 'danger', error: action.failed(failures.length, targets.length), errorDetail: failures.join("; ") });
+                    else
+                        onAddNotification({ type: 'success', error: action.done(targets.length) });
+                })
+                .finally(() => setRunning(null));
+    };
+
+    const onClick = name => {
+        if (name === "delete")
+            Dialogs.show(<ContainerBulkDeleteModal containers={containers} handleDelete={() => run("delete")} />);
+        else if (name === "commit")
+            Dialogs.show(<ContainerBulkCommitModal containers={containers} handleCommit={options => run("commit", options)} />);
+        else
+            run(name);
+    };
+
+    return (
+        <ToolbarGroup variant="button-group">
+            {Object.keys(bulkActions).map(name =>
+                <ToolbarItem key={name}>
+                    <Button variant={name === "delete" ? "danger" : "secondary"}
+                            id={"containers-bulk-" + name}
+                            isLoading={running === name}
+                            isDisabled={running !== null || !containers.some(bulkActions[name].appliesTo)}
+                            onClick={() => onClick(name)}>
+                        {bulkActions[name].label}
+                    </Button>
+                </ToolbarItem>
+            )}
+        </ToolbarGroup>
+    );
+};
+
+const projectOf = container => container.Config?.Labels?.[compose.PROJECT_LABEL];
+
+const projectStateLabels = {
+    running: _("Running"),
+    degraded: _("Degraded"),
+    paused: _("Paused"),
+    exited: _("Exited"),
+};
+
+// Running if all members are, degraded if only some are
+const projectState = containers => {
+    const running = containers.filter(c => c.State?.Status === "running").length;
+    if (running === containers.length)
+        return "running";
+    if (running > 0)
+        return "degraded";
+    if (containers.some(c => c.State?.Status === "paused"))
+        return "paused";
+    return "exited";
+};
+
+const ProjectActions = ({ project, containers, onAddNotification }) => {
+    const Dialogs = useDialogs();
+
+    /* Run an action on all containers at once, with a single notification for all that failed */
+    const runOnContainers = (members, action, errorFormat) => {
+        Promise.allSettled(members.map(container => action(container)))
+                .then(results => {
+                    const failures = results
+                            .map((result, idx) => result.status === "rejected" ? members[idx].Name + ": " + dockerErrorDetail(result.reason) : null)
+                            .filter(Boolean);
+                    if (failures.length > 0)
+                        onAddNotification({ type: 'danger', error: cockpit.format(errorFormat, project), errorDetail: failures.join("; ") });
+                });
+    };
+
+    const startProject = () => runOnContainers(containers.filter(c => c.State?.Status !== "running"),
+                                               c => client.postContainer(c.State?.Status === "paused" ? "unpause" : "start", c.Id, {}),
+                                               _("Failed to start project $0"));
+    const stopProject = () => runOnContainers(containers.filter(isActive),
+                                              c => client.postContainer("stop", c.Id, {}),
+                                              _("Failed to stop project $0"));
+    const restartProject = () => runOnContainers(containers,
+                                                 c => client.postContainer("restart", c.Id, {}),
+                                                 _("Failed to restart project $0"));
+    const deleteProject = () => Dialogs.show(
+        <ProjectDeleteModal project={project}
+                            containers={containers}
+                            handleDelete={() => runOnContainers(containers, c => client.delContainer(c.Id, true),
+                                                                _("Failed to delete project $0"))} />
+    );
+
+    const allRunning = containers.every(c => c.State?.Status === "running");
+    const actions = [
+        <DropdownItem key="start"
+                      className="project-action-start"
+                      isDisabled={allRunning}
+                      onClick={startProject}>
+            {_("Start")}
+        </DropdownItem>,
+        <DropdownItem key="stop"
+                      className="project-action-stop"
+                      isDisabled={!containers.some(isActive)}
+                      onClick={stopProject}>
+            {_("Stop")}
+        </DropdownItem>,
+        <DropdownItem key="restart"
+                      className="project-action-restart"
+                      onClick={restartProject}>
+            {_("Restart")}
+        </DropdownItem>,
+        <Divider key="separator" />,
+        <DropdownItem key="delete"
+                      className="pf-m-danger project-action-delete"
+                      onClick={deleteProject}>
+            {_("Delete")}
+        </DropdownItem>,
+    ];
+
+    return <KebabDropdown toggleButtonId={"project-" + project + "-action-toggle"} position="right" dropdownItems={actions} />;
+};
+
+const ProjectStats = ({ containers, containersStats }) => {
+    let cpu = 0;
+    let memory = 0;
+    containers.filter(c => c.State?.Status === "running").forEach(c => {
+        const stats = containersStats[c.Id];
+        if (!stats)
+            return;
+        cpu += utils.format_cpu_usage(stats)[1] || 0;
+        memory += stats.memory_stats?.usage || 0;
+    });
+
+    return (
+        <Flex className="pod-stats" spaceItems={{ default: 'spaceItemsLg' }}>
+            <Flex className="pod-stat" spaceItems={{ default: 'spaceItemsSm' }}>
+                <Tooltip content={_("CPU")}><MicrochipIcon className="pod-details-button-color" /></Tooltip>
+                <Text component={TextVariants.p} className="pf-v5-u-hidden-on-sm">{_("CPU")}</Text>
+                <Text component={TextVariants.p} className="pod-cpu">{cpu.toFixed(2) + "%"}</Text>
+            </Flex>
+            <Flex className="pod-stat" spaceItems={{ default: 'spaceItemsSm' }}>
+                <Tooltip content={_("Memory")}><MemoryIcon className="pod-details-button-color" /></Tooltip>
+                <Text component={TextVariants.p} className="pf-v5-u-hidden-on-sm">{_("Memory")}</Text>
+                <Text component={TextVariants.p} className="pod-memory">{memory ? cockpit.format_bytes(memory) : "0"}</Text>
+            </Flex>
+        </Flex>
+    );
+};
+
 class Containers extends React.Component {
     static contextType = DialogsContext;
 
@@ -344,13 +622,18 @@ class Containers extends React.Component {
             width: 0,
             downloadingContainers: [],
             showPruneUnusedContainersModal: false,
+            collapsedProjects: {},
+            selectedContainers: {},
+            showIOColumns: false,
         };
         this.renderRow = this.renderRow.bind(this);
+        this.renderSection = this.renderSection.bind(this);
         this.onWindowResize = this.onWindowResize.bind(this);
 
         this.cardRef = React.createRef();
 
         onDownloadContainer = onDownloadContainer.bind(this);
+        onDownloadContainerProgress = onDownloadContainerProgress.bind(this);
         onDownloadContainerFinished = onDownloadContainerFinished.bind(this);
 
         window.addEventListener('resize', this.onWindowResize);
@@ -366,6 +649,7 @@ class Containers extends React.Component {
 
     renderRow(containersStats, container, localImages) {
         const containerStats = containersStats[container.Id];
+        const prevContainerStats = this.props.containersPrevStats[container.Id];
         // if (containerStats?.name === "/build-jaeger-1") {
         //     console.log(container);
         //     console.log(containerStats);
@@ -381,8 +665,12 @@ class Containers extends React.Component {
 
         let proc_text = "";
         let mem_text = "";
+        let net_text = "";
+        let block_text = "";
         let proc = 0;
         let mem = 0;
+        let net = -1;
+        let block = -1;
         if (this.props.cgroupVersion === 'v1' && status === 'running') { // not-covered: only on old version
             proc_text = <div><abbr title={_("not available")}>{_("n/a")}</abbr></div>;
             mem_text = <div><abbr title={_("not available")}>{_("n/a")}</abbr></div>;
@@ -390,12 +678,16 @@ class Containers extends React.Component {
         if (containerStats && status === "running") {
             [proc_text, proc] = utils.format_cpu_usage(containerStats);
             [mem_text, mem] = utils.format_memory_and_limit(containerStats);
+            [net_text, net = -1] = utils.format_network_io(containerStats, prevContainerStats);
+            [block_text, block = -1] = utils.format_block_io(containerStats, prevContainerStats);
         }
 
         const info_block = (
             <div className="container-block">
                 <Flex alignItems={{ default: 'alignItemsCenter' }}>
                     <span className="container-name">{container.Name}</span>
+                    {containerHasUpdate(container, this.props.imageUpdates) &&
+                        <Badge isRead className="ct-badge-update-available">{_("Update available")}</Badge>}
                     {isToolboxContainer && <Badge className='ct-badge-toolbox'>toolbox</Badge>}
                     {isDistroboxContainer && <Badge className='ct-badge-distrobox'>distrobox</Badge>}
                 </Flex>
@@ -418,9 +710,26 @@ class Containers extends React.Component {
         }
 
         const columns = [
+            {
+                title: !container.isDownloading &&
+                    <Checkbox id={"select-" + container.Id}
+                              className="container-select"
+                              aria-label={cockpit.format(_("Select $0"), container.Name)}
+                              isChecked={!!this.state.selectedContainers[container.Id]}
+                              onChange={(_event, checked) => this.setState(prevState => ({
+                                  selectedContainers: { ...prevState.selectedContainers, [container.Id]: checked }
+                              }))} />,
+                props: { className: "pf-v5-c-table__check" },
+            },
             { title: info_block, sortKey: container.Name },
             { title: proc_text, props: { modifier: "nowrap" }, sortKey: containerState === "Running" ? proc ?? -1 : -1 },
             { title: mem_text, props: { modifier: "nowrap" }, sortKey: mem ?? -1 },
+            ...this.state.showIOColumns
+                ? [
+                    { title: net_text, props: { modifier: "nowrap", className: "container-net-io", title: _("Received / sent") }, sortKey: net },
+                    { title: block_text, props: { modifier: "nowrap", className: "container-block-io", title: _("Read / written") }, sortKey: block },
+                ]
+                : [],
             { title: <LabelGroup isVertical>{state}</LabelGroup>, sortKey: containerState },
         ];
 
@@ -434,14 +743,27 @@ class Containers extends React.Component {
                 title: <ContainerActions container={container}
                                          healthcheck={healthcheck}
                                          onAddNotification={this.props.onAddNotification}
-                                         localImages={localImages}
-                                         updateContainer={this.props.updateContainer} />,
+                                         localImages={localImages} />,
                 props: { className: "pf-v5-c-table__action" }
             });
         }
 
         const tty = !!container.Config?.Tty;
 
+        if (container.isDownloading) {
+            return {
+                expandedContent: <ImagePullProgress name={container.Image}
+                                                    progress={container.pullProgress}
+                                                    onCancel={container.cancelDownload} />,
+                columns,
+                initiallyExpanded: true,
+                props: {
+                    key: container.Id,
+                    "data-row-id": container.Id,
+                },
+            };
+        }
+
         const tabs = [];
         if (container.State) {
 
@@ -455,7 +777,7 @@ class Containers extends React.Component {
             tabs.push({
                 name: _("Details"),
                 renderer: ContainerDetails,
-                data: { container }
+                data: { container, onAddNotification: this.props.onAddNotification }
             });
 
             if (!container.isDownloading) {
@@ -467,13 +789,40 @@ class Containers extends React.Component {
                 tabs.push({
                     name: _("Logs"),
                     renderer: ContainerLogs,
-                    data: { containerId: container.Id, containerStatus: container.State.Status, width: this.state.width }
+                    data: {
+                        container,
+                        containerId: container.Id,
+                        containerStatus: container.State.Status,
+                        width: this.state.width,
+                        tty,
+                        onAddNotification: this.props.onAddNotification,
+                    }
                 });
                 tabs.push({
                     name: _("Console"),
                     renderer: ContainerTerminal,
                     data: { containerId: container.Id, containerStatus: container.State?.Status, width: this.state.width, tty }
                 });
+                tabs.push({
+                    name: _("Files"),
+                    renderer: ContainerFiles,
+                    data: { container, onAddNotification: this.props.onAddNotification }
+                });
+                tabs.push({
+                    name: _("Changes"),
+                    renderer: ContainerChanges,
+                    data: { container }
+                });
+                tabs.push({
+                    name: _("Processes"),
+                    renderer: ContainerProcesses,
+                    data: { container }
+                });
+                tabs.push({
+                    name: _("Metrics"),
+                    renderer: ContainerMetrics,
+                    data: { container, history: this.props.statsHistory }
+                });
             }
         }
 
@@ -486,7 +835,8 @@ class Containers extends React.Component {
         }
 
         return {
-            expandedContent: <ListingPanel colSpan='5' tabRenderers={tabs} />,
+            // span all columns, which depend on the optional ones shown
+            expandedContent: <ListingPanel colSpan={columns.length} tabRenderers={tabs} />,
             columns,
             initiallyExpanded: document.location.hash.substr(1) === container.Id,
             props: {
@@ -497,6 +847,76 @@ class Containers extends React.Component {
         };
     }
 
+    renderSection({ project, containers }, localImages, emptyCaption, columnTitles, sortRows) {
+        const rows = containers.map(container => this.renderRow(this.props.containersStats, container, localImages));
+
+        if (project === null) {
+            // without any project, this is the only table and shows the empty state
+            if (rows.length === 0 && Object.values(this.props.containers).some(projectOf))
+                return null;
+
+            return (
+                <Card key="table-no-project" id="table-no-project" isPlain className="container-pod">
+                    <ListingTable variant='compact'
+                                  emptyCaption={emptyCaption}
+                                  columns={columnTitles}
+                                  sortMethod={sortRows}
+                                  rows={rows}
+                                  aria-label={_("Containers")} />
+                </Card>
+            );
+        }
+
+        // project actions apply to every member, including the ones hidden by the filter
+        const members = Object.values(this.props.containers).filter(container => projectOf(container) === project);
+        const state = projectState(members);
+        const running = members.filter(c => c.State?.Status === "running").length;
+        const isExpanded = !this.state.collapsedProjects[project];
+
+        const actions = (
+            <>
+                <Badge isRead className={"ct-badge-project-" + state}>{projectStateLabels[state]}</Badge>
+                <ProjectActions project={project} containers={members} onAddNotification={this.props.onAddNotification} />
+            </>
+        );
+
+        return (
+            <Card key={"table-" + project}
+                  id={"table-" + project}
+                  isPlain
+                  isFlat
+                  isExpanded={isExpanded}
+                  className="container-pod">
+                <CardHeader id={"table-" + project + "-title"}
+                            actions={{ actions, className: "panel-actions" }}
+                            onExpand={() => this.setState(prevState => ({
+                                collapsedProjects: { ...prevState.collapsedProjects, [project]: isExpanded }
+                            }))}
+                            toggleButtonProps={{
+                                id: "table-" + project + "-toggle",
+                                "aria-label": cockpit.format(_("Show containers of project $0"), project),
+                                "aria-expanded": isExpanded,
+                            }}>
+                    <CardTitle>
+                        <Flex justifyContent={{ default: 'justifyContentFlexStart' }} alignItems={{ default: 'alignItemsCenter' }}>
+                            <h3 className='pod-name'>{project}</h3>
+                            <span>{cockpit.format(_("compose project, $0 of $1 running"), running, members.length)}</span>
+                            <ProjectStats containers={members} containersStats={this.props.containersStats} />
+                        </Flex>
+                    </CardTitle>
+                </CardHeader>
+                <CardExpandableContent>
+                    <ListingTable variant='compact'
+                                  emptyCaption={_("No running containers in this project")}
+                                  columns={columnTitles}
+                                  sortMethod={sortRows}
+                                  rows={rows}
+                                  aria-label={cockpit.format(_("Containers of project $0"), project)} />
+                </CardExpandableContent>
+            </Card>
+        );
+    }
+
     onWindowResize() {
         this.setState({ width: this.cardRef.current.clientWidth });
     }
@@ -508,9 +928,16 @@ class Containers extends React.Component {
     render() {
         const Dialogs = this.context;
         const columnTitles = [
+            '',
             { title: _("Container"), transforms: [cellWidth(20)], sortable: true },
             { title: _("CPU"), sortable: true },
             { title: _("Memory"), sortable: true },
+            ...this.state.showIOColumns
+                ? [
+                    { title: _("Net I/O"), sortable: true },
+                    { title: _("Disk I/O"), sortable: true },
+                ]
+                : [],
             { title: _("State"), sortable: true },
             { title: _("Dashboards") },
             ''
@@ -595,6 +1022,16 @@ class Containers extends React.Component {
                     </utils.DockerInfoContext.Consumer>);
         };
 
+        const outdatedContainers = Object.values(this.props.containers || {})
+                .filter(container => updatableReference(container) && containerHasUpdate(container, this.props.imageUpdates))
+                .sort((a, b) => a.Name.localeCompare(b.Name));
+
+        // only what the filter shows can be selected
+        const selected = filtered.filter(id => this.state.selectedContainers[id]);
+        const selectAll = checked => this.setState({
+            selectedContainers: checked ? Object.fromEntries(filtered.map(id => [id, true])) : {}
+        });
+
         const filterRunning = (
             <Toolbar>
                 <ToolbarContent className="containers-containers-toolbarcontent">
@@ -617,15 +1054,40 @@ class Containers extends React.Component {
                         </Button>
                     </ToolbarItem> */}
                     <ToolbarItem>
-                        <ContainerOverActions unusedContainers={unusedContainers} handlePruneUnusedContainers={this.onOpenPruneUnusedContainersDialog} />
+                        <Checkbox id="containers-select-all"
+                                  isChecked={selected.length === 0 ? false : selected.length === filtered.length ? true : null}
+                                  isDisabled={filtered.length === 0}
+                                  onChange={(_event, checked) => selectAll(checked)}
+                                  label={selected.length > 0
+                                      ? cockpit.format(cockpit.ngettext("$0 selected", "$0 selected", selected.length), selected.length)
+                                      : _("Select all")} />
+                    </ToolbarItem>
+                    <ToolbarItem>
+                        <Checkbox id="containers-show-io"
+                                  isChecked={this.state.showIOColumns}
+                                  onChange={(_event, checked) => this.setState({ showIOColumns: checked })}
+                                  label={_("Show I/O rates")} />
+                    </ToolbarItem>
+                    {selected.length > 0 &&
+                    <ContainerBulkActions containers={selected.map(id => this.props.containers[id])}
+                                          onAddNotification={this.props.onAddNotification} />}
+                    <ToolbarItem>
+                        <ContainerOverActions unusedContainers={unusedContainers}
+                                              handleDeployStack={() => Dialogs.show(<ComposeDeployModal onAddNotification={this.props.onAddNotification} />)}
+                                              outdatedContainers={outdatedContainers}
+                                              handleUpdateAll={() => Dialogs.show(<ContainerUpdateAllModal containers={outdatedContainers}
+                                                                                                           onAddNotification={this.props.onAddNotification} />)}
+                                              handlePruneUnusedContainers={this.onOpenPruneUnusedContainersDialog} />
                     </ToolbarItem>
                 </ToolbarContent>
             </Toolbar>
         );
 
+        // the I/O columns come between Memory and State
+        const stateIdx = this.state.showIOColumns ? 6 : 4;
         const sortRows = (rows, direction, idx) => {
-            // CPU / Memory /States
-            const isNumeric = idx == 1 || idx == 2 || idx == 3;
+            // CPU / Memory / Net I/O / Disk I/O / States
+            const isNumeric = idx >= 2 && idx <= stateIdx;
             const stateOrderMapping = {};
             utils.states.forEach((elem, index) => {
                 stateOrderMapping[elem] = index;
@@ -634,7 +1096,7 @@ class Containers extends React.Component {
                 let aitem = a.columns[idx].sortKey ?? a.columns[idx].title;
                 let bitem = b.columns[idx].sortKey ?? b.columns[idx].title;
                 // Sort the states based on the order defined in utils. so Running first.
-                if (idx === 3) {
+                if (idx === stateIdx) {
                     aitem = stateOrderMapping[aitem];
                     bitem = stateOrderMapping[bitem];
                 }
@@ -647,6 +1109,23 @@ class Containers extends React.Component {
             return direction === SortByDirection.asc ? sortedRows : sortedRows.reverse();
         };
 
+        // Containers of compose projects go into a card per project, the others on top
+        const sections = [{ project: null, containers: [...this.state.downloadingContainers] }];
+        const byProject = {};
+        filtered.map(id => this.props.containers[id]).forEach(container => {
+            const project = projectOf(container);
+            if (project === undefined) {
+                sections[0].containers.push(container);
+            } else {
+                if (!byProject[project]) {
+                    byProject[project] = { project, containers: [] };
+                    sections.push(byProject[project]);
+                }
+                byProject[project].containers.push(container);
+            }
+        });
+        sections.sort((a, b) => a.project === null ? -1 : b.project === null ? 1 : a.project.localeCompare(b.project));
+
         const card = (
             <Card id="containers-containers" className="containers-containers" isClickable isSelectable>
                 <CardHeader actions={{ actions: filterRunning }}>
@@ -661,32 +1140,8 @@ class Containers extends React.Component {
                                             columns={columnTitles}
                                             sortMethod={sortRows}
                                             rows={[]}
-                                            sortBy={{ index: 0, direction: SortByDirection.asc }} />
-                            : <Card key="table-containers"
-                                             id="table-containers"
-                                             isPlain
-                                             // isFlat={section != "no-pod"}
-                                             className="container-pod"
-                                             isClickable
-                                             isSelectable>
-                                {/* {caption && <CardHeader actions={{ actions, className: "panel-actions" }}> */}
-                                {/*    <CardTitle> */}
-                                {/*        <Flex justifyContent={{ default: 'justifyContentFlexStart' }}> */}
-                                {/*            <h3 className='pod-name'>{caption}</h3> */}
-                                {/*            <span>{_("pod group")}</span> */}
-                                {/*        </Flex> */}
-                                {/*    </CardTitle> */}
-                                {/* </CardHeader>} */}
-                                <ListingTable variant='compact'
-                                                          emptyCaption={emptyCaption}
-                                                          columns={columnTitles}
-                                                          sortMethod={sortRows}
-                                                          rows={filtered.map(container => {
-                                                              return this.renderRow(this.props.containersStats, this.props.containers[container],
-                                                                                    localImages);
-                                                          })}
-                                                          aria-label={_("Containers")} />
-                            </Card>
+                                            sortBy={{ index: 1, direction: SortByDirection.asc }} />
+                            : sections.map(section => this.renderSection(section, localImages, emptyCaption, columnTitles, sortRows))
                         }
                     </Flex>
                     {this.state.showPruneUnusedContainersModal &&
@@ -10,6 +10,7 @@ import cockpit from 'cockpit';
 
 import ForceRemoveModal from './ForceRemoveModal.jsx';
 import * as client from './client.js';
+import { dockerErrorDetail } from './Notification.jsx';
 
 const _ = cockpit.gettext;
 
@@ -47,7 +48,7 @@ export const ImageDeleteModal = ({ imageWillDelete, onAddNotification }) => {
             return client.delImage(imageWillDelete.Id, true)
                     .catch(ex => {
                         const error = cockpit.format(_("Failed to force remove image $0"), imageWillDelete.RepoTags[0]);
-                        onAddNotification({ type: 'danger', error, errorDetail: ex.message });
+                        onAddNotification({ type: 'danger', error, errorDetail: dockerErrorDetail(ex) });
                         throw ex;
                     });
         };
@@ -71,7 +72,7 @@ export const ImageDeleteModal = ({ imageWillDelete, onAddNotification }) => {
                     })
                     .catch(ex => {
                         const error = cockpit.format(_("Failed to remove image $0"), tag);
-                        onAddNotification({ type: 'danger', error, errorDetail: ex.message });
+                        onAddNotification({ type: 'danger', error, errorDetail: dockerErrorDetail(ex) });
                     });
         }
     };
@@ -0,0 +1,144 @@
+import React, { useState } from 'react';
+import { Button } from "@patternfly/react-core/dist/esm/components/Button";
+import { ExpandableSection } from "@patternfly/react-core/dist/esm/components/ExpandableSection";
+import { Flex, FlexItem } from "@patternfly/react-core/dist/esm/layouts/Flex";
+import { List, ListItem } from "@patternfly/react-core/dist/esm/components/List";
+import { Progress, ProgressMeasureLocation, ProgressSize } from "@patternfly/react-core/dist/esm/components/Progress";
+import cockpit from 'cockpit';
+
+import * as utils from './util.js';
+
+const _ = cockpit.gettext;
+
+export const newPullProgress = () => ({ layers: {}, status: "", startedAt: Date.now() });
+
+/*
+ * Fold one message of the /images/create progress stream into the pull state.
+ * Layer messages carry an "id" and a (possibly empty) "progressDetail"; everything
+ * else ("Pulling from …", "Digest: …", "Status: …") is a general status line.
+ */
+export function updatePullProgress(progress, message) {
+    if (!message.id || message.progressDetail === undefined)
+        return { ...progress, status: message.status ?? progress.status };
+
+    const previous = progress.layers[message.id] ?? { download: { current: 0, total: 0 }, extract: { current: 0, total: 0 } };
+    const layer = { ...previous, status: message.status };
+    const detail = message.progressDetail;
+
+    switch (message.status) {
+    case "Downloading":
+        layer.download = { current: detail.current ?? 0, total: detail.total ?? previous.download.total };
+        break;
+    case "Verifying Checksum":
+    case "Download complete":
+        layer.download = { ...previous.download, current: previous.download.total };
+        break;
+    case "Extracting":
+        layer.download = { ...previous.download, current: previous.download.total };
+        layer.extract = { current: detail.current ?? 0, total: detail.total ?? previous.extract.total };
+        break;
+    case "Pull complete":
+        layer.download = { ...previous.download, current: previous.download.total };
+        layer.extract = { ...previous.extract, current: previous.extract.total };
+        layer.done = true;
+        break;
+    case "Already exists":
+        layer.done = true;
+        break;
+    default:
+        break;
+    }
+
+    return { ...progress, layers: { ...progress.layers, [message.id]: layer } };
+}
+
+export function summarizePullProgress(progress) {
+    const layers = Object.values(progress.layers);
+    const current = layers.reduce((sum, layer) => sum + layer.download.current, 0);
+    const total = layers.reduce((sum, layer) => sum + layer.download.total, 0);
+    const layersDone = layers.filter(layer => layer.done).length;
+
+    let eta = null;
+    const elapsed = (Date.now() - progress.startedAt) / 1000;
+    if (current > 0 && total > current && elapsed > 0)
+        eta = (total - current) / (current / elapsed);
+
+    return { current, total, eta, layersDone, layersTotal: layers.length };
+}
+
+const format_eta = (seconds) => {
+    if (seconds >= 60) {
+        const minutes = Math.ceil(seconds / 60);
+        return cockpit.format(cockpit.ngettext("About $0 minute remaining", "About $0 minutes remaining", minutes), minutes);
+    }
+    const secs = Math.ceil(seconds);
+    return cockpit.format(cockpit.ngettext("$0 second remaining", "$0 seconds remaining", secs), secs);
+};
+
+const LayerProgress = ({ id, layer }) => {
+    let value = 0;
+    let label = layer.status;
+    if (layer.done) {
+        value = 100;
+    } else if (layer.status === "Extracting" && layer.extract.total) {
+        value = layer.extract.current / layer.extract.total * 100;
+    } else if (layer.download.total) {
+        value = layer.download.current / layer.download.total * 100;
+        label = cockpit.format("$0 $1 / $2", layer.status,
+                               cockpit.format_bytes(layer.download.current), cockpit.format_bytes(layer.download.total));
+    }
+
+    return (
+        <Progress value={value}
+                  title={utils.truncate_id(id)}
+                  label={label}
+                  valueText={label}
+                  size={ProgressSize.sm}
+                  measureLocation={ProgressMeasureLocation.outside} />
+    );
+};
+
+export const ImagePullProgress = ({ name, progress, onCancel }) => {
+    const [isExpanded, setExpanded] = useState(false);
+    const { current, total, eta, layersDone, layersTotal } = summarizePullProgress(progress);
+
+    let label = progress.status;
+    if (total > 0)
+        label = cockpit.format(_("$0 of $1"), cockpit.format_bytes(current), cockpit.format_bytes(total));
+
+    return (
+        <Flex direction={{ default: 'column' }} className="image-pull-progress">
+            <Flex alignItems={{ default: 'alignItemsCenter' }}>
+                <FlexItem grow={{ default: 'grow' }}>
+                    <Progress value={total ? current / total * 100 : 0}
+                              title={cockpit.format(_("Pulling $0"), name)}
+                              label={label}
+                              valueText={label}
+                              measureLocation={ProgressMeasureLocation.outside} />
+                </FlexItem>
+                {onCancel &&
+                <FlexItem>
+                    <Button variant="secondary" size="sm" className="image-pull-cancel" onClick={onCancel}>
+                        {_("Cancel")}
+                    </Button>
+                </FlexItem>}
+            </Flex>
+            <small>
+                {layersTotal > 0 && cockpit.format(cockpit.ngettext("$0 of $1 layer complete", "$0 of $1 layers complete", layersTotal), layersDone, layersTotal)}
+                {eta !== null && " · " + format_eta(eta)}
+            </small>
+            {layersTotal > 0 &&
+            <ExpandableSection toggleText={isExpanded ? _("Hide layers") : _("Show layers")}
+                               onToggle={() => setExpanded(!isExpanded)}
+                               isExpanded={isExpanded}>
+                <List isPlain>
+                    {Object.entries(progress.layers).map(([id, layer]) =>
+                        <ListItem key={id}>
+                            <LayerProgress id={id} layer={layer} />
+                        </ListItem>
+                    )}
+                </List>
+            </ExpandableSection>}
+        </Flex>
+    );
+};
@@ -19,12 +19,11 @@ import { Popover } from "@patternfly/react-core/dist/esm/components/Popover";
 import { OutlinedQuestionCircleIcon } from '@patternfly/react-icons';
 import * as dockerNames from 'docker-names';
 
-import { ErrorNotification } from './Notification.jsx';
+import { ErrorNotification, dockerErrorDetail } from './Notification.jsx';
 import * as utils from './util.js';
 import * as client from './client.js';
-import rest from './rest.js';
 import cockpit from 'cockpit';
-import { onDownloadContainer, onDownloadContainerFinished } from './Containers.jsx';
+import { onDownloadContainer, onDownloadContainerFinished, onDownloadContainerProgress } from './Containers.jsx';
 import { PublishPort, validatePublishPort } from './PublishPort.jsx';
 import { DynamicListForm } from './cockpit-components-dynamic-list.jsx';
 import { validateVolume, Volume } from './Volume.jsx';
@@ -173,8 +172,8 @@ export class ImageRunModal extends React.Component {
 
     componentWillUnmount() {
         this._isMounted = false;
-        if (this.activeConnection)
-            this.activeConnection.close();
+        this.searchController?.abort();
+        this.prefillController?.abort();
     }
 
     /* ---------------------- inspect + prefill from image ---------------------- */
@@ -191,13 +190,8 @@ export class ImageRunModal extends React.Component {
 
             this.setState({ prefillLoading: true });
 
-            const conn = rest.connect(client.getAddress());
-            const resp = await conn.call({
-                method: "GET",
-                path: client.VERSION + "/images/" + encodeURIComponent(ref) + "/json",
-                body: "",
-            });
-            const inspected = JSON.parse(resp);
+            this.prefillController = new AbortController();
+            const inspected = await client.inspectImage(ref, { signal: this.prefillController.signal });
 
             const cfg = inspected?.Config || {};
             const envArr = cfg.Env || [];
@@ -243,6 +237,8 @@ export class ImageRunModal extends React.Component {
                 });
             }
         } catch (e) {
+            if (e.cancelled)
+                return;
             console.warn("[ImageRunModal] loadImageDefaults failed:", e);
             if (this._isMounted) this.setState({ prefillLoading: false });
         }
@@ -380,13 +376,13 @@ export class ImageRunModal extends React.Component {
                                 .then(() => {
                                     this.setState({
                                         dialogError: _("Container failed to be started"),
-                                        dialogErrorDetail: cockpit.format("$0: $1", ex.reason, ex.message)
+                                        dialogErrorDetail: dockerErrorDetail(ex)
                                     });
                                 })
                                 .catch(ex => {
                                     this.setState({
                                         dialogError: _("Failed to clean up container"),
-                                        dialogErrorDetail: cockpit.format("$0: $1", ex.reason, ex.message)
+                                        dialogErrorDetail: dockerErrorDetail(ex)
                                     });
                                 });
                         });
@@ -397,7 +393,7 @@ export class ImageRunModal extends React.Component {
             .catch(ex => {
                 this.setState({
                     dialogError: _("Container failed to be created"),
-                    dialogErrorDetail: cockpit.format("$0: $1", ex.reason, ex.message)
+                    dialogErrorDetail: dockerErrorDetail(ex)
                 });
             });
     };
@@ -446,9 +442,12 @@ export class ImageRunModal extends React.Component {
             tempImage.Image = createConfig.image;
             tempImage.isDownloading = true;
 
+            const controller = new AbortController();
+            tempImage.cancelDownload = () => controller.abort();
+
             onDownloadContainer(tempImage);
 
-            client.pullImage(createConfig.image).then(reply => {
+            client.pullImage(createConfig.image, message => onDownloadContainerProgress(tempImage, message), { signal: controller.signal }).then(reply => {
                 client.createContainer(createConfig)
                     .then(reply => {
                         if (runImage) {
@@ -457,20 +456,24 @@ export class ImageRunModal extends React.Component {
                                 .catch(ex => {
                                     onDownloadContainerFinished(createConfig);
                                     const error = cockpit.format(_("Failed to run container $0"), tempImage.name);
-                                    this.props.onAddNotification({ type: 'danger', error, errorDetail: ex.message });
+                                    this.props.onAddNotification({ type: 'danger', error, errorDetail: dockerErrorDetail(ex) });
                                 });
+                        } else {
+                            onDownloadContainerFinished(createConfig);
                         }
                     })
                     .catch(ex => {
                         onDownloadContainerFinished(createConfig);
                         const error = cockpit.format(_("Failed to create container $0"), tempImage.name);
-                        this.props.onAddNotification({ type: 'danger', error, errorDetail: ex.reason });
+                        this.props.onAddNotification({ type: 'danger', error, errorDetail: dockerErrorDetail(ex) });
                     });
             })
                 .catch(ex => {
                     onDownloadContainerFinished(createConfig);
+                    if (ex.cancelled)
+                        return;
                     const error = cockpit.format(_("Failed to pull image $0"), tempImage.image);
-                    this.props.onAddNotification({ type: 'danger', error, errorDetail: ex.message });
+                    this.props.onAddNotification({ type: 'danger', error, errorDetail: dockerErrorDetail(ex) });
                 });
         }
     }
@@ -509,8 +512,7 @@ export class ImageRunModal extends React.Component {
                 ? { "ghcr.io": [{ Name: name, Description: "GitHub Container Registry (versa-node)" }] }
                 : { "ghcr.io": [] };
 
-            if (this.activeConnection)
-                this.activeConnection.close();
+            this.searchController?.abort();
 
             this.setState({
                 imageResults: images,
@@ -522,40 +524,31 @@ export class ImageRunModal extends React.Component {
             return;
         }
 
-        if (this.activeConnection)
-            this.activeConnection.close();
+        // a newer search replaces the one still running
+        this.searchController?.abort();
+        const controller = new AbortController();
+        this.searchController = controller;
 
         this.setState({ searchFinished: false, searchInProgress: true });
-        this.activeConnection = rest.connect(client.getAddress());
         let searches = [];
 
         if (Object.keys(this.props.dockerInfo.registries).length !== 0 || value.includes('/')) {
-            searches.push(this.activeConnection.call({
-                method: "GET",
-                path: client.VERSION + "/images/search",
-                body: "",
-                params: { term: value }
-            }));
+            searches.push(client.searchImages(value, { signal: controller.signal }));
         } else {
             searches = searches.concat(utils.fallbackRegistries.map(registry =>
-                this.activeConnection.call({
-                    method: "GET",
-                    path: client.VERSION + "/images/search",
-                    body: "",
-                    params: { term: registry + "/" + value }
-                })));
+                client.searchImages(registry + "/" + value, { signal: controller.signal })));
         }
 
         Promise.allSettled(searches)
             .then(reply => {
-                if (reply && this._isMounted) {
+                if (reply && !controller.signal.aborted) {
                     let imageResults = [];
                     let dialogError = "";
                     let dialogErrorDetail = "";
 
                     for (const result of reply) {
                         if (result.status === "fulfilled") {
-                            imageResults = imageResults.concat(JSON.parse(result.value));
+                            imageResults = imageResults.concat(result.value);
                         } else {
                             dialogError = _("Failed to search for new images");
                             dialogErrorDetail = result.reason
@@ -11,7 +11,6 @@ import { ExclamationCircleIcon } from '@patternfly/react-icons';
 import { EmptyStatePanel } from "cockpit-components-empty-state.jsx";
 import { ErrorNotification } from './Notification.jsx';
 import cockpit from 'cockpit';
-import rest from './rest.js';
 import * as client from './client.js';
 import { fallbackRegistries, useDockerInfo } from './util.js';
 import { useDialogs } from "dialogs.jsx";
@@ -363,7 +362,7 @@ export const ImageSearchModal = ({ downloadImage }) => {
   const [selectedTag, setSelectedTag] = useState("latest");
   const [customTag,   setCustomTag]   = useState("");
 
-  const activeConnectionRef = useRef(null);
+  const searchControllerRef = useRef(null);
 
   const { registries } = useDockerInfo();
   const Dialogs = useDialogs();
@@ -376,13 +375,23 @@ export const ImageSearchModal = ({ downloadImage }) => {
   // Always put ghcr.io first; de-dupe
   const mergedRegistries = Array.from(new Set(["ghcr.io", ...(baseRegistries || [])]));
 
-  const closeActiveConnection = () => {
-    if (activeConnectionRef.current) {
-      try { activeConnectionRef.current.close(); } catch (_e) {}
-      activeConnectionRef.current = null;
+  const cancelSearch = () => {
+    if (searchControllerRef.current) {
+      searchControllerRef.current.abort();
+      searchControllerRef.current = null;
     }
   };
 
+  // A newer search replaces the running one, so its results never overwrite the newer ones
+  const startSearch = () => {
+    cancelSearch();
+    searchControllerRef.current = new AbortController();
+    return searchControllerRef.current.signal;
+  };
+
+  // Cancel in-flight searches when the dialog goes away
+  useEffect(() => cancelSearch, []);
+
   // Initial org listing if GHCR & empty query
   useEffect(() => {
     if (isGhcr(selectedRegistry) && imageIdentifier.trim() === "") {
@@ -514,6 +523,7 @@ export const ImageSearchModal = ({ downloadImage }) => {
   }
 
   const onSearchTriggered = async (searchRegistry = "", forceSearch = false, { bypassCache = false } = {}) => {
+    const signal = startSearch();
     setSearchFinished(false);
 
     const ghLikeRegistry = isGhcr(searchRegistry);
@@ -543,13 +553,15 @@ export const ImageSearchModal = ({ downloadImage }) => {
         }
 
         const enriched = await enrichListWithDescriptions(working, { bypassCache });
+        if (signal.aborted) return;
         setImageList(enriched);
         setSelected(enriched.length ? "0" : "");
       } finally {
-        setSearchInProgress(false);
-        setSearchFinished(true);
+        if (!signal.aborted) {
+          setSearchInProgress(false);
+          setSearchFinished(true);
+        }
       }
-      closeActiveConnection();
       return;
     }
 
@@ -563,30 +575,23 @@ export const ImageSearchModal = ({ downloadImage }) => {
     setDialogError(""); setDialogErrorDetail("");
     setGhcrOrgListing(false);
 
-    closeActiveConnection();
-    activeConnectionRef.current = rest.connect(client.getAddress());
-
     let queryRegistries = baseRegistries;
     if (searchRegistry !== "") queryRegistries = [searchRegistry];
     if (imageIdentifier.includes('/')) queryRegistries = [""];
 
     const searches = (queryRegistries || []).map(rr => {
       const registry = rr.length < 1 || rr[rr.length - 1] === "/" ? rr : rr + "/";
-      return activeConnectionRef.current.call({
-        method: "GET",
-        path: client.VERSION + "/images/search",
-        body: "",
-        params: { term: registry + imageIdentifier }
-      });
+      return client.searchImages(registry + imageIdentifier, { signal });
     });
 
     try {
       const reply = await Promise.allSettled(searches);
+      if (signal.aborted) return;
       if (reply) {
         let results = [];
         for (const result of reply) {
           if (result.status === "fulfilled") {
-            results = results.concat(JSON.parse(result.value));
+            results = results.concat(result.value);
           } else {
             setDialogError(_("Failed to search for new images"));
             setDialogErrorDetail(result.reason
@@ -607,8 +612,10 @@ export const ImageSearchModal = ({ downloadImage }) => {
       setDialogError(_("Failed to search for new images"));
       setDialogErrorDetail(err?.message || String(err));
     } finally {
-      setSearchInProgress(false);
-      setSearchFinished(true);
+      if (!signal.aborted) {
+        setSearchInProgress(false);
+        setSearchFinished(true);
+      }
     }
   };
 
@@ -624,7 +631,7 @@ export const ImageSearchModal = ({ downloadImage }) => {
   const onDownloadClicked = () => {
     if (!imageList.length || selected === "") return;
     const selectedImageName = imageList[selected].name;
-    closeActiveConnection();
+    cancelSearch();
     Dialogs.close();
 
     const raw = tagOptions.length > 0
@@ -647,7 +654,7 @@ export const ImageSearchModal = ({ downloadImage }) => {
   };
 
   const handleClose = () => {
-    closeActiveConnection();
+    cancelSearch();
     Dialogs.close();
   };
 
@@ -7,11 +7,11 @@ import { List, ListItem } from "@patternfly/react-core/dist/esm/components/List"
 
 const _ = cockpit.gettext;
 
-const ImageUsedBy = ({ containers, showAll }) => {
+const ImageUsedBy = ({ containers, showAll, emptyText }) => {
     if (containers === null)
         return _("Loading...");
     if (containers === undefined)
-        return _("No containers are using this image");
+        return emptyText ?? _("No containers are using this image");
 
     return (
         <List isPlain>
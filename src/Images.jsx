@@ -1,4 +1,5 @@
 import React from 'react';
+import { Badge } from "@patternfly/react-core/dist/esm/components/Badge";
 import { Button } from "@patternfly/react-core/dist/esm/components/Button";
 import { Card, CardBody, CardFooter, CardHeader, CardTitle } from "@patternfly/react-core/dist/esm/components/Card";
 import { DropdownItem } from '@patternfly/react-core/dist/esm/components/Dropdown/index.js';
@@ -16,7 +17,10 @@ import { ImageRunModal } from './ImageRunModal.jsx';
 import { ImageSearchModal } from './ImageSearchModal.jsx';
 import { ImageDeleteModal } from './ImageDeleteModal.jsx';
 import PruneUnusedImagesModal from './PruneUnusedImagesModal.jsx';
+import { ImagePullProgress, newPullProgress, updatePullProgress } from './ImagePullProgress.jsx';
 import * as client from './client.js';
+import { imageHasUpdate } from './imageUpdates.js';
+import { dockerErrorDetail } from './Notification.jsx';
 import * as utils from './util.js';
 import { useDialogs, DialogsContext } from "dialogs.jsx";
 
@@ -48,23 +52,40 @@ class Images extends React.Component {
 
         pullImageId += ":" + imageTag;
 
-        this.setState({ imageDownloadInProgress: imageName });
-        client.pullImage(pullImageId)
+        const controller = new AbortController();
+        this.pullController = controller;
+        this.setState({ imageDownloadInProgress: imageName, pullProgress: newPullProgress() });
+        client.pullImage(pullImageId,
+                         message => this.setState(prevState => ({ pullProgress: updatePullProgress(prevState.pullProgress, message) })),
+                         { signal: controller.signal })
                 .then(() => {
-                    this.setState({ imageDownloadInProgress: undefined });
+                    this.setState({ imageDownloadInProgress: undefined, pullProgress: undefined });
                 })
                 .catch(ex => {
+                    if (ex.cancelled) {
+                        this.setState({ imageDownloadInProgress: undefined, pullProgress: undefined });
+                        return;
+                    }
                     const error = cockpit.format(_("Failed to download image $0:$1"), imageName, imageTag || "latest");
                     const errorDetail = (
                         <p> {_("Error message")}:
-                            <samp>{cockpit.format("$0 $1", ex.message, ex.reason)}</samp>
+                            <samp>{dockerErrorDetail(ex)}</samp>
                         </p>
                     );
-                    this.setState({ imageDownloadInProgress: undefined });
+                    this.setState({ imageDownloadInProgress: undefined, pullProgress: undefined });
                     this.props.onAddNotification({ type: 'danger', error, errorDetail });
+                })
+                .finally(() => {
+                    if (this.pullController === controller)
+                        this.pullController = null;
                 });
     }
 
+    cancelDownload = () => {
+        if (this.pullController)
+            this.pullController.abort();
+    };
+
     onOpenNewImagesDialog = () => {
         const Dialogs = this.context;
         Dialogs.show(
@@ -127,7 +148,17 @@ class Images extends React.Component {
         const { title: usedByText, count: usedByCount } = this.getUsedByText(image);
 
         const columns = [
-            { title: utils.image_name(image), header: true, props: { modifier: "breakWord" } },
+            {
+                title: (
+                    <>
+                        {utils.image_name(image)}
+                        {imageHasUpdate(image, this.props.imageUpdates) &&
+                            <Badge isRead className="ct-badge-update-available">{_("Update available")}</Badge>}
+                    </>
+                ),
+                header: true,
+                props: { modifier: "breakWord" }
+            },
             { title: utils.localize_time(image.Created), props: { className: "ignore-pixels" } },
             { title: utils.truncate_id(image.Id), props: { className: "ignore-pixels" } },
             { title: cockpit.format_bytes(image.Size), props: { className: "ignore-pixels", modifier: "nowrap" } },
@@ -266,6 +297,8 @@ class Images extends React.Component {
                         </FlexItem>
                         <FlexItem>
                             <ImageOverActions handleDownloadNewImage={this.onOpenNewImagesDialog}
+                                              handleCheckUpdates={() => this.props.onCheckImageUpdates()}
+                                              checkingUpdates={this.props.checkingImageUpdates}
                                               handlePruneUsedImages={this.onOpenPruneUnusedImagesDialog}
                                               unusedImages={unusedImages} />
                         </FlexItem>
@@ -294,14 +327,18 @@ class Images extends React.Component {
                   unusedImages={unusedImages}
                   onAddNotification={this.props.onAddNotification} /> }
                 {this.state.imageDownloadInProgress && <CardFooter>
-                    <div className='download-in-progress'> {_("Pulling")} {this.state.imageDownloadInProgress}... </div>
+                    <div className='download-in-progress'>
+                        <ImagePullProgress name={this.state.imageDownloadInProgress}
+                                           progress={this.state.pullProgress}
+                                           onCancel={this.cancelDownload} />
+                    </div>
                 </CardFooter>}
             </Card>
         );
     }
 }
 
-const ImageOverActions = ({ handleDownloadNewImage, handlePruneUsedImages, unusedImages }) => {
+const ImageOverActions = ({ handleDownloadNewImage, handleCheckUpdates, checkingUpdates, handlePruneUsedImages, unusedImages }) => {
     const actions = [
         <DropdownItem
             key="download-new-image"
@@ -310,6 +347,15 @@ const ImageOverActions = ({ handleDownloadNewImage, handlePruneUsedImages, unuse
         >
             {_("Download new image")}
         </DropdownItem>,
+        <DropdownItem
+            key="check-image-updates"
+            id="check-image-updates-button"
+            component="button"
+            onClick={() => handleCheckUpdates()}
+            isDisabled={checkingUpdates}
+        >
+            {checkingUpdates ? _("Checking for updates...") : _("Check for updates")}
+        </DropdownItem>,
         <DropdownItem
             key="prune-unused-images"
             id="prune-unused-images-button"
@@ -0,0 +1,201 @@
+import React, { useState } from 'react';
+import { Button } from "@patternfly/react-core/dist/esm/components/Button";
+import { Checkbox } from "@patternfly/react-core/dist/esm/components/Checkbox";
+import { Form, FormGroup } from "@patternfly/react-core/dist/esm/components/Form";
+import { Modal } from "@patternfly/react-core/dist/esm/components/Modal";
+import { TextInput } from "@patternfly/react-core/dist/esm/components/TextInput";
+import cockpit from 'cockpit';
+import ipaddr from "ipaddr.js";
+
+import { FormHelper } from 'cockpit-components-form-helper.jsx';
+import { useDialogs } from "dialogs.jsx";
+import { DynamicListForm } from './cockpit-components-dynamic-list.jsx';
+import { EnvVar } from './Env.jsx';
+import * as client from './client.js';
+import { ErrorNotification, dockerErrorDetail } from './Notification.jsx';
+import * as utils from './util.js';
+
+const _ = cockpit.gettext;
+
+// DynamicListForm rows of EnvVar items → { key: value }
+const listToObject = list => Object.fromEntries(list.filter(item => item?.envKey).map(item => [item.envKey, item.envValue ?? ""]));
+
+// ipaddr throws when matching addresses of different families
+const inside = (address, network) => address.kind() === network[0].kind() && address.match(network);
+
+/* Checks a subnet and the addresses inside it, "kind" being "ipv4" or "ipv6" */
+function validatePool(kind, subnet, gateway, ipRange) {
+    const errors = {};
+    let network = null;
+
+    if (subnet) {
+        try {
+            network = ipaddr.parseCIDR(subnet);
+            if (network[0].kind() !== kind)
+                errors.subnet = kind === "ipv4" ? _("Must be an IPv4 subnet") : _("Must be an IPv6 subnet");
+        } catch (e) {
+            errors.subnet = _("Must be a subnet in CIDR notation, like 172.30.0.0/16");
+        }
+    }
+
+    if (gateway) {
+        if (!subnet)
+            errors.gateway = _("A gateway requires a subnet");
+        else if (!ipaddr.isValid(gateway))
+            errors.gateway = _("Must be a valid IP address");
+        else if (network && !errors.subnet && !inside(ipaddr.parse(gateway), network))
+            errors.gateway = _("Must be inside the subnet");
+    }
+
+    if (ipRange) {
+        if (!subnet)
+            errors.ipRange = _("An IP range requires a subnet");
+        else if (!ipaddr.isValidCIDR(ipRange))
+            errors.ipRange = _("Must be a subnet in CIDR notation, like 172.30.5.0/24");
+        else if (network && !errors.subnet && !inside(ipaddr.parseCIDR(ipRange)[0], network))
+            errors.ipRange = _("Must be inside the subnet");
+    }
+
+    return errors;
+}
+
+const NetworkCreateModal = () => {
+    const Dialogs = useDialogs();
+
+    const [name, setName] = useState("");
+    const [driver, setDriver] = useState("bridge");
+    const [subnet, setSubnet] = useState("");
+    const [gateway, setGateway] = useState("");
+    const [ipRange, setIpRange] = useState("");
+    const [ipv6, setIpv6] = useState(false);
+    const [ipv6Subnet, setIpv6Subnet] = useState("");
+    const [ipv6Gateway, setIpv6Gateway] = useState("");
+    const [internal, setInternal] = useState(false);
+    const [labels, setLabels] = useState([]);
+
+    const [validationFailed, setValidationFailed] = useState({});
+    const [dialogError, setDialogError] = useState("");
+    const [dialogErrorDetail, setDialogErrorDetail] = useState("");
+    const [inProgress, setInProgress] = useState(false);
+
+    const validate = () => {
+        const errors = { ...validatePool("ipv4", subnet, gateway, ipRange) };
+        if (ipv6) {
+            const ipv6Errors = validatePool("ipv6", ipv6Subnet, ipv6Gateway);
+            if (ipv6Errors.subnet)
+                errors.ipv6Subnet = ipv6Errors.subnet;
+            if (ipv6Errors.gateway)
+                errors.ipv6Gateway = ipv6Errors.gateway;
+        }
+        if (!name)
+            errors.name = _("Name must not be empty");
+        else if (!utils.is_valid_container_name(name))
+            errors.name = _("Invalid characters. Name can only contain letters, numbers, and certain punctuation (_ . -).");
+        if (!driver)
+            errors.driver = _("Driver must not be empty");
+
+        setValidationFailed(errors);
+        return Object.keys(errors).length === 0;
+    };
+
+    const handleCreate = () => {
+        if (!validate())
+            return;
+
+        setInProgress(true);
+        setDialogError("");
+        client.createNetwork(name, driver, {
+            subnet,
+            gateway,
+            ipRange,
+            ipv6,
+            ipv6Subnet,
+            ipv6Gateway,
+            internal,
+            labels: listToObject(labels),
+        })
+                .then(() => Dialogs.close())
+                .catch(ex => {
+                    setDialogError(cockpit.format(_("Failed to create network $0"), name));
+                    setDialogErrorDetail(dockerErrorDetail(ex));
+                    setInProgress(false);
+                });
+    };
+
+    const textField = (id, label, value, setValue, error, props = {}) => (
+        <FormGroup fieldId={"create-network-dialog-" + id} label={label}>
+            <TextInput id={"create-network-dialog-" + id}
+                       value={value}
+                       validated={error ? "error" : "default"}
+                       onChange={(_event, value) => setValue(value)}
+                       {...props} />
+            <FormHelper fieldId={"create-network-dialog-" + id} helperTextInvalid={error} />
+        </FormGroup>
+    );
+
+    const content = (
+        <Form isHorizontal>
+            {dialogError && <ErrorNotification errorMessage={dialogError} errorDetail={dialogErrorDetail} onDismiss={() => setDialogError("")} />}
+            {textField("name", _("Name"), name, setName, validationFailed.name)}
+            {textField("driver", _("Driver"), driver, setDriver, validationFailed.driver)}
+            {textField("subnet", _("Subnet"), subnet, setSubnet, validationFailed.subnet,
+                       { placeholder: _("Chosen by docker if empty") })}
+            {textField("gateway", _("Gateway"), gateway, setGateway, validationFailed.gateway)}
+            {textField("ip-range", _("IP range"), ipRange, setIpRange, validationFailed.ipRange)}
+
+            <FormGroup fieldId="create-network-dialog-options" label={_("Options")} isStack hasNoPaddingTop>
+                <Checkbox id="create-network-dialog-ipv6"
+                          isChecked={ipv6}
+                          label={_("Enable IPv6")}
+                          onChange={(_event, checked) => setIpv6(checked)} />
+                <Checkbox id="create-network-dialog-internal"
+                          isChecked={internal}
+                          label={_("Internal")}
+                          description={_("Containers on this network cannot reach outside networks.")}
+                          onChange={(_event, checked) => setInternal(checked)} />
+            </FormGroup>
+
+            {ipv6 && <>
+                {textField("ipv6-subnet", _("IPv6 subnet"), ipv6Subnet, setIpv6Subnet, validationFailed.ipv6Subnet,
+                           { placeholder: _("Chosen by docker if empty") })}
+                {textField("ipv6-gateway", _("IPv6 gateway"), ipv6Gateway, setIpv6Gateway, validationFailed.ipv6Gateway)}
+            </>}
+
+            <DynamicListForm id="create-network-dialog-labels"
+                             emptyStateString={_("No labels specified")}
+                             formclass="network-labels-form"
+                             label={_("Labels")}
+                             actionLabel={_("Add label")}
+                             onChange={setLabels}
+                             value={labels}
+                             default={{ envKey: null, envValue: null }}
+                             itemcomponent={EnvVar} />
+        </Form>
+    );
+
+    return (
+        <Modal isOpen
+               position="top" variant="medium"
+               onClose={Dialogs.close}
+               title={_("Create network")}
+               footer={<>
+                   <Button variant="primary"
+                           id="create-network-create-btn"
+                           isLoading={inProgress}
+                           isDisabled={inProgress}
+                           onClick={handleCreate}>
+                       {_("Create")}
+                   </Button>
+                   <Button variant="link"
+                           isDisabled={inProgress}
+                           onClick={Dialogs.close}>
+                       {_("Cancel")}
+                   </Button>
+               </>}
+        >
+            {content}
+        </Modal>
+    );
+};
+
+export default NetworkCreateModal;
@@ -0,0 +1,55 @@
+import React from 'react';
+import { Button } from "@patternfly/react-core/dist/esm/components/Button";
+import { List, ListItem } from "@patternfly/react-core/dist/esm/components/List";
+import { Modal } from "@patternfly/react-core/dist/esm/components/Modal";
+import { Stack, StackItem } from "@patternfly/react-core/dist/esm/layouts/Stack";
+import { useDialogs } from "dialogs.jsx";
+import cockpit from 'cockpit';
+
+import * as client from './client.js';
+import { dockerErrorDetail } from './Notification.jsx';
+
+const _ = cockpit.gettext;
+
+const NetworkDeleteModal = ({ network, containers, onAddNotification }) => {
+    const Dialogs = useDialogs();
+
+    const handleRemoveNetwork = () => {
+        Dialogs.close();
+        client.delNetwork(network.Id)
+                .catch(ex => {
+                    const error = cockpit.format(_("Failed to remove network $0"), network.Name);
+                    onAddNotification({ type: 'danger', error, errorDetail: dockerErrorDetail(ex) });
+                });
+    };
+
+    return (
+        <Modal isOpen
+               position="top" variant="medium"
+               titleIconVariant="warning"
+               onClose={Dialogs.close}
+               title={cockpit.format(_("Delete network $0?"), network.Name)}
+               footer={<>
+                   <Button variant="danger" className="btn-network-delete"
+                           isDisabled={!!containers}
+                           onClick={handleRemoveNetwork}>
+                       {_("Delete")}
+                   </Button>{' '}
+                   <Button variant="link" onClick={Dialogs.close}>{_("Cancel")}</Button>
+               </>}
+        >
+            {containers
+                ? <Stack hasGutter>
+                    <StackItem>{_("The network is in use. Disconnect or delete these containers first:")}</StackItem>
+                    <StackItem>
+                        <List>
+                            {containers.map(c => <ListItem key={c.container.Id}>{c.container.Name}</ListItem>)}
+                        </List>
+                    </StackItem>
+                </Stack>
+                : _("Containers will not be able to connect to this network anymore.")}
+        </Modal>
+    );
+};
+
+export default NetworkDeleteModal;
@@ -0,0 +1,94 @@
+import React from 'react';
+import cockpit from 'cockpit';
+
+import { DescriptionList, DescriptionListDescription, DescriptionListGroup, DescriptionListTerm } from "@patternfly/react-core/dist/esm/components/DescriptionList";
+import { List, ListItem } from "@patternfly/react-core/dist/esm/components/List";
+
+import ImageUsedBy from './ImageUsedBy.jsx';
+import * as utils from './util.js';
+const _ = cockpit.gettext;
+
+const KeyValueList = ({ items }) => (
+    <List isPlain>
+        {Object.entries(items).map(([key, value]) =>
+            <ListItem key={key}>{value !== "" ? key + "=" + value : key}</ListItem>
+        )}
+    </List>
+);
+
+const IpamConfig = ({ config }) => (
+    <List isPlain>
+        {config.map(pool =>
+            <ListItem key={pool.Subnet}>
+                {[
+                    pool.Subnet,
+                    pool.Gateway && cockpit.format(_("gateway $0"), pool.Gateway),
+                    pool.IPRange && cockpit.format(_("range $0"), pool.IPRange),
+                ].filter(Boolean).join(", ")}
+            </ListItem>
+        )}
+    </List>
+);
+
+const NetworkDetails = ({ network, containers, showAll }) => {
+    const ipamConfig = network.IPAM?.Config || [];
+
+    return (
+        <DescriptionList className='network-details' isAutoFit>
+            <DescriptionListGroup>
+                <DescriptionListTerm>{_("ID")}</DescriptionListTerm>
+                <DescriptionListDescription title={network.Id}>{utils.truncate_id(network.Id)}</DescriptionListDescription>
+            </DescriptionListGroup>
+            <DescriptionListGroup>
+                <DescriptionListTerm>{_("Driver")}</DescriptionListTerm>
+                <DescriptionListDescription>{network.Driver}</DescriptionListDescription>
+            </DescriptionListGroup>
+            {network.Scope &&
+            <DescriptionListGroup>
+                <DescriptionListTerm>{_("Scope")}</DescriptionListTerm>
+                <DescriptionListDescription>{network.Scope}</DescriptionListDescription>
+            </DescriptionListGroup>
+            }
+            <DescriptionListGroup>
+                <DescriptionListTerm>{_("IPv6")}</DescriptionListTerm>
+                <DescriptionListDescription>{network.EnableIPv6 ? _("Enabled") : _("Disabled")}</DescriptionListDescription>
+            </DescriptionListGroup>
+            <DescriptionListGroup>
+                <DescriptionListTerm>{_("Internal")}</DescriptionListTerm>
+                <DescriptionListDescription>{network.Internal ? _("Yes") : _("No")}</DescriptionListDescription>
+            </DescriptionListGroup>
+            {network.IPAM?.Driver &&
+            <DescriptionListGroup>
+                <DescriptionListTerm>{_("IPAM driver")}</DescriptionListTerm>
+                <DescriptionListDescription>{network.IPAM.Driver}</DescriptionListDescription>
+            </DescriptionListGroup>
+            }
+            {ipamConfig.length !== 0 &&
+            <DescriptionListGroup>
+                <DescriptionListTerm>{_("Address pools")}</DescriptionListTerm>
+                <DescriptionListDescription><IpamConfig config={ipamConfig} /></DescriptionListDescription>
+            </DescriptionListGroup>
+            }
+            {network.Options && Object.keys(network.Options).length !== 0 &&
+            <DescriptionListGroup>
+                <DescriptionListTerm>{_("Driver options")}</DescriptionListTerm>
+                <DescriptionListDescription><KeyValueList items={network.Options} /></DescriptionListDescription>
+            </DescriptionListGroup>
+            }
+            {network.Labels && Object.keys(network.Labels).length !== 0 &&
+            <DescriptionListGroup>
+                <DescriptionListTerm>{_("Labels")}</DescriptionListTerm>
+                <DescriptionListDescription><KeyValueList items={network.Labels} /></DescriptionListDescription>
+            </DescriptionListGroup>
+            }
+            <DescriptionListGroup>
+                <DescriptionListTerm>{_("Used by")}</DescriptionListTerm>
+                <DescriptionListDescription>
+                    <ImageUsedBy containers={containers} showAll={showAll} emptyText={_("No containers are connected to this network")} />
+                </DescriptionListDescription>
+            </DescriptionListGroup>
+        </DescriptionList>
+    );
+};
+
+export default NetworkDetails;
@@ -0,0 +1,199 @@
+import React, { useState } from 'react';
+import { Card, CardBody, CardHeader, CardTitle } from "@patternfly/react-core/dist/esm/components/Card";
+import { DropdownItem } from '@patternfly/react-core/dist/esm/components/Dropdown/index.js';
+import { ExpandableSection } from "@patternfly/react-core/dist/esm/components/ExpandableSection";
+import { Flex, FlexItem } from "@patternfly/react-core/dist/esm/layouts/Flex";
+import { Text, TextVariants } from "@patternfly/react-core/dist/esm/components/Text";
+import { cellWidth } from '@patternfly/react-table';
+
+import cockpit from 'cockpit';
+import { ListingTable } from "cockpit-components-table.jsx";
+import { ListingPanel } from 'cockpit-components-listing-panel.jsx';
+import { KebabDropdown } from "cockpit-components-dropdown.jsx";
+import { useDialogs } from "dialogs.jsx";
+
+import NetworkDetails from './NetworkDetails.jsx';
+import NetworkCreateModal from './NetworkCreateModal.jsx';
+import NetworkDeleteModal from './NetworkDeleteModal.jsx';
+import PruneUnusedNetworksModal from './PruneUnusedNetworksModal.jsx';
+import * as client from './client.js';
+
+import './Networks.css';
+
+const _ = cockpit.gettext;
+
+// Subnets or gateways of all the address pools of a network
+const ipam_values = (network, key) => (network.IPAM?.Config || []).map(pool => pool[key]).filter(Boolean);
+
+const NetworkOverActions = ({ handleCreateNetwork, handlePruneUnusedNetworks, unusedNetworks }) => {
+    const actions = [
+        <DropdownItem key="create-network"
+                      id="create-network-button"
+                      component="button"
+                      onClick={() => handleCreateNetwork()}>
+            {_("Create network")}
+        </DropdownItem>,
+        <DropdownItem key="prune-unused-networks"
+                      id="prune-unused-networks-button"
+                      component="button"
+                      className="pf-m-danger btn-delete"
+                      onClick={() => handlePruneUnusedNetworks()}
+                      isDisabled={unusedNetworks.length === 0}
+                      isAriaDisabled={unusedNetworks.length === 0}>
+            {_("Prune unused networks")}
+        </DropdownItem>
+    ];
+
+    return (
+        <KebabDropdown toggleButtonId="network-actions-dropdown"
+                       position="right"
+                       dropdownItems={actions} />
+    );
+};
+
+const NetworkActions = ({ network, containers, onAddNotification }) => {
+    const Dialogs = useDialogs();
+
+    // docker refuses to remove its predefined networks
+    if (client.isPredefinedNetwork(network))
+        return null;
+
+    const actions = [
+        <DropdownItem key="delete"
+                      className="pf-m-danger btn-delete"
+                      onClick={() => Dialogs.show(<NetworkDeleteModal network={network}
+                                                                      containers={containers}
+                                                                      onAddNotification={onAddNotification} />)}>
+            {_("Delete")}
+        </DropdownItem>
+    ];
+
+    return <KebabDropdown position="right" dropdownItems={actions} />;
+};
+
+const Networks = ({ networks, networkContainerList, onAddNotification, textFilter, showAll }) => {
+    const Dialogs = useDialogs();
+    const [isExpanded, setIsExpanded] = useState(false);
+    const [showPruneModal, setShowPruneModal] = useState(false);
+
+    const usedBy = network => networkContainerList?.[network.Id];
+
+    const unusedNetworks = [];
+    if (networks !== null && networkContainerList !== null) {
+        Object.values(networks).forEach(network => {
+            if (!usedBy(network) && !client.isPredefinedNetwork(network))
+                unusedNetworks.push(network);
+        });
+    }
+
+    const renderRow = network => {
+        const containers = usedBy(network);
+        const usedByText = containers
+            ? cockpit.format(cockpit.ngettext("$0 container", "$0 containers", containers.length), containers.length)
+            : _("unused");
+
+        const columns = [
+            { title: network.Name, header: true, props: { modifier: "breakWord" } },
+            { title: network.Driver },
+            { title: ipam_values(network, "Subnet").join(", "), props: { modifier: "breakWord" } },
+            { title: ipam_values(network, "Gateway").join(", "), props: { modifier: "breakWord" } },
+            { title: <span className={containers ? "" : "ct-grey-text"}>{usedByText}</span>, props: { className: "ignore-pixels", modifier: "nowrap" } },
+            {
+                title: <NetworkActions network={network} containers={containers} onAddNotification={onAddNotification} />,
+                props: { className: 'pf-v5-c-table__action content-action' }
+            },
+        ];
+
+        const tabs = [{
+            name: _("Details"),
+            renderer: NetworkDetails,
+            data: {
+                network,
+                containers: networkContainerList !== null ? containers : null,
+                showAll,
+            }
+        }];
+
+        return {
+            expandedContent: <ListingPanel colSpan='6' tabRenderers={tabs} />,
+            columns,
+            props: {
+                key: network.Id,
+                "data-row-id": network.Name,
+            },
+        };
+    };
+
+    const columnTitles = [
+        { title: _("Network"), transforms: [cellWidth(25)] },
+        { title: _("Driver") },
+        { title: _("Subnet") },
+        { title: _("Gateway") },
+        { title: _("Used by"), props: { className: "ignore-pixels" } },
+    ];
+
+    let emptyCaption = _("No networks");
+    if (networks === null)
+        emptyCaption = _("Loading...");
+    else if (textFilter.length > 0)
+        emptyCaption = _("No networks that match the current filter");
+
+    const filtered = Object.values(networks ?? {})
+            .filter(network => textFilter.length === 0 || network.Name.toLowerCase().includes(textFilter.toLowerCase()))
+            .sort((a, b) => a.Name.localeCompare(b.Name));
+
+    const table = (
+        <ListingTable aria-label={_("Networks")}
+                      variant='compact'
+                      emptyCaption={emptyCaption}
+                      columns={columnTitles}
+                      rows={filtered.map(renderRow)} />
+    );
+
+    const total = Object.keys(networks ?? {}).length;
+
+    return (
+        <Card id="containers-networks" key="networks" className="containers-networks">
+            <CardHeader>
+                <Flex flexWrap={{ default: 'nowrap' }} className="pf-v5-u-w-100">
+                    <FlexItem grow={{ default: 'grow' }}>
+                        <Flex>
+                            <CardTitle>
+                                <Text component={TextVariants.h2} className="containers-networks-title">{_("Networks")}</Text>
+                            </CardTitle>
+                            <Flex className="ignore-pixels" style={{ rowGap: "var(--pf-v5-global--spacer--xs)" }}>
+                                <Text component={TextVariants.h5}>
+                                    {cockpit.format(cockpit.ngettext("$0 network total", "$0 networks total", total), total)}
+                                </Text>
+                                {unusedNetworks.length !== 0 &&
+                                <Text component={TextVariants.h5}>
+                                    {cockpit.format(cockpit.ngettext("$0 unused network", "$0 unused networks", unusedNetworks.length), unusedNetworks.length)}
+                                </Text>}
+                            </Flex>
+                        </Flex>
+                    </FlexItem>
+                    <FlexItem>
+                        <NetworkOverActions handleCreateNetwork={() => Dialogs.show(<NetworkCreateModal />)}
+                                            handlePruneUnusedNetworks={() => setShowPruneModal(true)}
+                                            unusedNetworks={unusedNetworks} />
+                    </FlexItem>
+                </Flex>
+            </CardHeader>
+            <CardBody>
+                {total
+                    ? <ExpandableSection toggleText={isExpanded ? _("Hide networks") : _("Show networks")}
+                                         onToggle={() => setIsExpanded(!isExpanded)}
+                                         isExpanded={isExpanded}>
+                        {table}
+                    </ExpandableSection>
+                    : table}
+            </CardBody>
+            {showPruneModal &&
+            <PruneUnusedNetworksModal close={() => setShowPruneModal(false)}
+                                      unusedNetworks={unusedNetworks}
+                                      onAddNotification={onAddNotification} />}
+        </Card>
+    );
+};
+
+export default Networks;
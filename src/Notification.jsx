@@ -21,8 +21,30 @@ import { Alert, AlertActionCloseButton } from "@patternfly/react-core/dist/esm/c
 
 import cockpit from 'cockpit';
 
+import { DockerApiError } from './rest.js';
+
 const _ = cockpit.gettext;
 
+const statusHints = {
+    304: _("Nothing to do, it is already in the requested state."),
+    404: _("It does not exist. It might have been removed outside of this page."),
+    409: _("This conflicts with its current state, for example the name is already in use or the container is running."),
+    500: _("The Docker daemon failed to handle the request."),
+};
+
+/*
+ * Turn a rejected client call into the detail text of a notification,
+ * explaining the common HTTP statuses before docker's own message.
+ */
+export function dockerErrorDetail(ex) {
+    if (!ex)
+        return "";
+
+    const hint = ex instanceof DockerApiError ? statusHints[ex.status] : undefined;
+    const message = ex.message || String(ex);
+    return hint ? cockpit.format("$0 ($1)", hint, message) : message;
+}
+
 let last_error = "";
 
 function log_error_if_changed(error) {
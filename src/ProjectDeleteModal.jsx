@@ -0,0 +1,41 @@
+import React from 'react';
+import { Button } from "@patternfly/react-core/dist/esm/components/Button";
+import { List, ListItem } from "@patternfly/react-core/dist/esm/components/List";
+import { Modal } from "@patternfly/react-core/dist/esm/components/Modal";
+import { Stack, StackItem } from "@patternfly/react-core/dist/esm/layouts/Stack";
+import { useDialogs } from "dialogs.jsx";
+import cockpit from 'cockpit';
+
+const _ = cockpit.gettext;
+
+const ProjectDeleteModal = ({ project, containers, handleDelete }) => {
+    const Dialogs = useDialogs();
+
+    return (
+        <Modal isOpen
+               position="top" variant="medium"
+               titleIconVariant="warning"
+               onClose={Dialogs.close}
+               title={cockpit.format(_("Delete project $0?"), project)}
+               footer={<>
+                   <Button variant="danger" className="btn-project-delete"
+                           onClick={() => { Dialogs.close(); handleDelete() }}>
+                       {_("Delete")}
+                   </Button>{' '}
+                   <Button variant="link" onClick={Dialogs.close}>{_("Cancel")}</Button>
+               </>}
+        >
+            <Stack hasGutter>
+                <StackItem>{_("These containers will be stopped and deleted, with all data in them:")}</StackItem>
+                <StackItem>
+                    <List>
+                        {containers.map(container => <ListItem key={container.Id}>{container.Name}</ListItem>)}
+                    </List>
+                </StackItem>
+                <StackItem>{_("Networks and volumes of the project are kept.")}</StackItem>
+            </Stack>
+        </Modal>
+    );
+};
+
+export default ProjectDeleteModal;
@@ -6,6 +6,7 @@ import cockpit from 'cockpit';
 import { ListingTable } from 'cockpit-components-table.jsx';
 
 import * as client from './client.js';
+import { dockerErrorDetail } from './Notification.jsx';
 import * as utils from './util.js';
 
 const _ = cockpit.gettext;
@@ -44,7 +45,7 @@ const PruneUnusedContainersModal = ({ close, unusedContainers, onAddNotification
         Promise.all(actions).then(close)
                 .catch(ex => {
                     const error = _("Failed to prune unused containers");
-                    onAddNotification({ type: 'danger', error, errorDetail: ex.message });
+                    onAddNotification({ type: 'danger', error, errorDetail: dockerErrorDetail(ex) });
                     close();
                 });
     };
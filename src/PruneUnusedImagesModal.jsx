@@ -7,6 +7,7 @@ import { Modal } from "@patternfly/react-core/dist/esm/components/Modal";
 import cockpit from 'cockpit';
 
 import * as client from './client.js';
+import { dockerErrorDetail } from './Notification.jsx';
 import * as utils from './util.js';
 
 import "@patternfly/patternfly/utilities/Spacing/spacing.css";
@@ -63,7 +64,7 @@ const PruneUnusedImagesModal = ({ close, unusedImages, onAddNotification }) => {
         client.pruneUnusedImages().then(close)
                 .catch(ex => {
                     const error = _("Failed to prune unused images");
-                    onAddNotification({ type: 'danger', error, errorDetail: ex.message });
+                    onAddNotification({ type: 'danger', error, errorDetail: dockerErrorDetail(ex) });
                     close();
                 });
     };
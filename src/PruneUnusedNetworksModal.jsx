@@ -0,0 +1,64 @@
+import React, { useState } from 'react';
+import { Button } from "@patternfly/react-core/dist/esm/components/Button";
+import { List, ListItem } from "@patternfly/react-core/dist/esm/components/List";
+import { Modal } from "@patternfly/react-core/dist/esm/components/Modal";
+import { Stack, StackItem } from "@patternfly/react-core/dist/esm/layouts/Stack";
+import cockpit from 'cockpit';
+
+import * as client from './client.js';
+import { dockerErrorDetail } from './Notification.jsx';
+
+const _ = cockpit.gettext;
+
+const PruneUnusedNetworksModal = ({ close, unusedNetworks, onAddNotification }) => {
+    const [isPruning, setPruning] = useState(false);
+    const [isExpanded, setExpanded] = useState(false);
+
+    const handlePruneUnusedNetworks = () => {
+        setPruning(true);
+
+        client.pruneUnusedNetworks()
+                .then(close)
+                .catch(ex => {
+                    const error = _("Failed to prune unused networks");
+                    onAddNotification({ type: 'danger', error, errorDetail: dockerErrorDetail(ex) });
+                    close();
+                });
+    };
+
+    const shownNetworks = isExpanded ? unusedNetworks : unusedNetworks.slice(0, 5);
+
+    return (
+        <Modal isOpen
+               onClose={close}
+               position="top" variant="medium"
+               titleIconVariant="warning"
+               title={_("Prune unused networks")}
+               footer={<>
+                   <Button id="btn-networks-prune" variant="danger"
+                           spinnerAriaValueText={isPruning ? _("Pruning networks") : undefined}
+                           isLoading={isPruning}
+                           isDisabled={isPruning || unusedNetworks.length === 0}
+                           onClick={handlePruneUnusedNetworks}>
+                       {isPruning ? _("Pruning networks") : _("Prune")}
+                   </Button>
+                   <Button variant="link" onClick={() => close()}>{_("Cancel")}</Button>
+               </>}
+        >
+            <Stack hasGutter>
+                <StackItem>{_("These networks are not used by any container and will be removed:")}</StackItem>
+                <StackItem>
+                    <List id="list-prune-networks">
+                        {shownNetworks.map(network => <ListItem key={network.Id}>{network.Name}</ListItem>)}
+                        {!isExpanded && unusedNetworks.length > 5 &&
+                        <Button onClick={() => setExpanded(true)} variant="link" isInline>
+                            {_("Show more")}
+                        </Button>}
+                    </List>
+                </StackItem>
+            </Stack>
+        </Modal>
+    );
+};
+
+export default PruneUnusedNetworksModal;
@@ -0,0 +1,66 @@
+import React, { useState } from 'react';
+import { Button } from "@patternfly/react-core/dist/esm/components/Button";
+import { List, ListItem } from "@patternfly/react-core/dist/esm/components/List";
+import { Modal } from "@patternfly/react-core/dist/esm/components/Modal";
+import { Stack, StackItem } from "@patternfly/react-core/dist/esm/layouts/Stack";
+import cockpit from 'cockpit';
+
+import * as client from './client.js';
+import { dockerErrorDetail } from './Notification.jsx';
+import * as utils from './util.js';
+
+const _ = cockpit.gettext;
+
+const PruneUnusedVolumesModal = ({ close, unusedVolumes, onAddNotification }) => {
+    const [isPruning, setPruning] = useState(false);
+    const [isExpanded, setExpanded] = useState(false);
+    const { capabilities } = utils.useDockerInfo();
+
+    const handlePruneUnusedVolumes = () => {
+        setPruning(true);
+
+        client.pruneUnusedVolumes(capabilities)
+                .then(close)
+                .catch(ex => {
+                    const error = _("Failed to prune unused volumes");
+                    onAddNotification({ type: 'danger', error, errorDetail: dockerErrorDetail(ex) });
+                    close();
+                });
+    };
+
+    const shownVolumes = isExpanded ? unusedVolumes : unusedVolumes.slice(0, 5);
+
+    return (
+        <Modal isOpen
+               onClose={close}
+               position="top" variant="medium"
+               titleIconVariant="warning"
+               title={_("Prune unused volumes")}
+               footer={<>
+                   <Button id="btn-volumes-prune" variant="danger"
+                           spinnerAriaValueText={isPruning ? _("Pruning volumes") : undefined}
+                           isLoading={isPruning}
+                           isDisabled={isPruning || unusedVolumes.length === 0}
+                           onClick={handlePruneUnusedVolumes}>
+                       {isPruning ? _("Pruning volumes") : _("Prune")}
+                   </Button>
+                   <Button variant="link" onClick={() => close()}>{_("Cancel")}</Button>
+               </>}
+        >
+            <Stack hasGutter>
+                <StackItem>{_("These volumes are not used by any container. Pruning them erases all their data:")}</StackItem>
+                <StackItem>
+                    <List id="list-prune-volumes">
+                        {shownVolumes.map(volume => <ListItem key={volume.Name}>{volume.Name}</ListItem>)}
+                        {!isExpanded && unusedVolumes.length > 5 &&
+                        <Button onClick={() => setExpanded(true)} variant="link" isInline>
+                            {_("Show more")}
+                        </Button>}
+                    </List>
+                </StackItem>
+            </Stack>
+        </Modal>
+    );
+};
+
+export default PruneUnusedVolumesModal;
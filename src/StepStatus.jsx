@@ -0,0 +1,25 @@
+import React from 'react';
+import { Spinner } from "@patternfly/react-core/dist/esm/components/Spinner";
+import { CheckCircleIcon, ErrorCircleOIcon } from "@patternfly/react-icons";
+import cockpit from 'cockpit';
+
+const _ = cockpit.gettext;
+
+/* Status of one step of a longer operation, as { status, detail } with status "running", "done", "skipped" or "failed" */
+const StepStatus = ({ progress }) => {
+    if (!progress)
+        return <span className="ct-grey-text">{_("Pending")}</span>;
+
+    switch (progress.status) {
+    case "running":
+        return <><Spinner size="sm" isInline /> {progress.detail || _("In progress")}</>;
+    case "done":
+        return <><CheckCircleIcon className="green" /> {progress.detail || _("Done")}</>;
+    case "skipped":
+        return <span className="ct-grey-text">{progress.detail}</span>;
+    default:
+        return <><ErrorCircleOIcon className="red" /> {progress.detail}</>;
+    }
+};
+
+export default StepStatus;
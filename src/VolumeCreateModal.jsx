@@ -0,0 +1,250 @@
+import React, { useEffect, useState } from 'react';
+import { Button } from "@patternfly/react-core/dist/esm/components/Button";
+import { Form, FormGroup } from "@patternfly/react-core/dist/esm/components/Form";
+import { FormSelect, FormSelectOption } from "@patternfly/react-core/dist/esm/components/FormSelect";
+import { Modal } from "@patternfly/react-core/dist/esm/components/Modal";
+import { TextInput } from "@patternfly/react-core/dist/esm/components/TextInput";
+import cockpit from 'cockpit';
+
+import { FormHelper } from 'cockpit-components-form-helper.jsx';
+import { FileAutoComplete } from 'cockpit-components-file-autocomplete.jsx';
+import { useDialogs } from "dialogs.jsx";
+import { DynamicListForm } from './cockpit-components-dynamic-list.jsx';
+import { EnvVar } from './Env.jsx';
+import * as client from './client.js';
+import { ErrorNotification, dockerErrorDetail } from './Notification.jsx';
+import * as utils from './util.js';
+
+const _ = cockpit.gettext;
+
+/* Block devices with a file system, which the local driver can mount as a volume */
+function listBlockDevices() {
+    return cockpit.spawn(["lsblk", "--json", "--paths", "--output", "NAME,SIZE,FSTYPE,MOUNTPOINT"], { err: "message" })
+            .then(out => {
+                const devices = [];
+                const collect = list => (list || []).forEach(dev => {
+                    if (dev.fstype && dev.fstype !== "swap" && !dev.mountpoint)
+                        devices.push(dev);
+                    collect(dev.children);
+                });
+                collect(JSON.parse(out).blockdevices);
+                return devices;
+            });
+}
+
+// DynamicListForm rows of EnvVar items → { key: value }
+const listToObject = list => Object.fromEntries(list.filter(item => item?.envKey).map(item => [item.envKey, item.envValue ?? ""]));
+
+const VolumeCreateModal = ({ onAddNotification }) => {
+    const Dialogs = useDialogs();
+
+    const [name, setName] = useState("");
+    const [driver, setDriver] = useState("local");
+    // local driver: "default" (docker's storage area), "bind" (host directory) or "device"
+    const [storage, setStorage] = useState("default");
+    const [bindPath, setBindPath] = useState("");
+    const [device, setDevice] = useState("");
+    const [fsType, setFsType] = useState("");
+    const [mountOptions, setMountOptions] = useState("");
+    const [driverOpts, setDriverOpts] = useState([]);
+    const [labels, setLabels] = useState([]);
+    const [blockDevices, setBlockDevices] = useState(null);
+
+    const [validationFailed, setValidationFailed] = useState({});
+    const [dialogError, setDialogError] = useState("");
+    const [dialogErrorDetail, setDialogErrorDetail] = useState("");
+    const [inProgress, setInProgress] = useState(false);
+
+    useEffect(() => {
+        if (storage === "device" && blockDevices === null) {
+            listBlockDevices()
+                    .then(setBlockDevices)
+                    .catch(ex => {
+                        console.warn("Failed to list block devices:", ex.message);
+                        setBlockDevices([]);
+                    });
+        }
+    }, [storage, blockDevices]);
+
+    const isLocal = driver === "local";
+
+    const validate = () => {
+        const errors = {};
+        if (name && !utils.is_valid_container_name(name))
+            errors.name = _("Invalid characters. Name can only contain letters, numbers, and certain punctuation (_ . -).");
+        if (!driver)
+            errors.driver = _("Driver must not be empty");
+        if (isLocal && storage === "bind" && !bindPath.startsWith("/"))
+            errors.bindPath = _("An absolute path of a directory is required");
+        if (isLocal && storage === "device" && !device)
+            errors.device = _("A device is required");
+        if (isLocal && storage === "device" && !fsType)
+            errors.fsType = _("A file system type is required");
+
+        setValidationFailed(errors);
+        return Object.keys(errors).length === 0;
+    };
+
+    const getCreateConfig = () => {
+        let opts = {};
+        if (!isLocal)
+            opts = listToObject(driverOpts);
+        else if (storage === "bind")
+            opts = { type: "none", o: "bind", device: bindPath };
+        else if (storage === "device")
+            opts = { type: fsType, device, ...(mountOptions ? { o: mountOptions } : {}) };
+
+        const config = { Driver: driver, DriverOpts: opts, Labels: listToObject(labels) };
+        if (name)
+            config.Name = name;
+        return config;
+    };
+
+    const handleCreate = () => {
+        if (!validate())
+            return;
+
+        setInProgress(true);
+        setDialogError("");
+        client.createVolume(getCreateConfig())
+                .then(() => Dialogs.close())
+                .catch(ex => {
+                    setDialogError(name ? cockpit.format(_("Failed to create volume $0"), name) : _("Failed to create volume"));
+                    setDialogErrorDetail(dockerErrorDetail(ex));
+                    setInProgress(false);
+                });
+    };
+
+    const onDeviceChanged = path => {
+        setDevice(path);
+        const dev = blockDevices?.find(d => d.name === path);
+        if (dev)
+            setFsType(dev.fstype);
+    };
+
+    const content = (
+        <Form isHorizontal>
+            {dialogError && <ErrorNotification errorMessage={dialogError} errorDetail={dialogErrorDetail} onDismiss={() => setDialogError("")} />}
+            <FormGroup fieldId="create-volume-dialog-name" label={_("Name")}>
+                <TextInput id="create-volume-dialog-name"
+                           placeholder={_("Generated if empty")}
+                           value={name}
+                           validated={validationFailed.name ? "error" : "default"}
+                           onChange={(_event, value) => setName(value)} />
+                <FormHelper fieldId="create-volume-dialog-name" helperTextInvalid={validationFailed.name} />
+            </FormGroup>
+
+            <FormGroup fieldId="create-volume-dialog-driver" label={_("Driver")}>
+                <TextInput id="create-volume-dialog-driver"
+                           value={driver}
+                           validated={validationFailed.driver ? "error" : "default"}
+                           onChange={(_event, value) => setDriver(value)} />
+                <FormHelper fieldId="create-volume-dialog-driver" helperTextInvalid={validationFailed.driver} />
+            </FormGroup>
+
+            {isLocal &&
+            <FormGroup fieldId="create-volume-dialog-storage" label={_("Storage")}>
+                <FormSelect id="create-volume-dialog-storage"
+                            value={storage}
+                            onChange={(_event, value) => setStorage(value)}>
+                    <FormSelectOption value="default" label={_("Docker storage area")} />
+                    <FormSelectOption value="bind" label={_("Directory on the host")} />
+                    <FormSelectOption value="device" label={_("Disk or partition")} />
+                </FormSelect>
+            </FormGroup>}
+
+            {isLocal && storage === "bind" &&
+            <FormGroup fieldId="create-volume-dialog-bind-path" label={_("Directory")}>
+                <FileAutoComplete id="create-volume-dialog-bind-path"
+                                  value={bindPath}
+                                  onChange={value => setBindPath(value)} />
+                <FormHelper fieldId="create-volume-dialog-bind-path"
+                            helperText={_("The directory has to exist already.")}
+                            helperTextInvalid={validationFailed.bindPath} />
+            </FormGroup>}
+
+            {isLocal && storage === "device" && <>
+                <FormGroup fieldId="create-volume-dialog-device" label={_("Device")}>
+                    {blockDevices?.length
+                        ? <FormSelect id="create-volume-dialog-device"
+                                      value={device}
+                                      validated={validationFailed.device ? "error" : "default"}
+                                      onChange={(_event, value) => onDeviceChanged(value)}>
+                            <FormSelectOption value="" label={_("Select a device")} isPlaceholder />
+                            {blockDevices.map(dev =>
+                                <FormSelectOption key={dev.name} value={dev.name}
+                                                  label={cockpit.format("$0 ($1, $2)", dev.name, dev.size, dev.fstype)} />
+                            )}
+                        </FormSelect>
+                        : <TextInput id="create-volume-dialog-device"
+                                     placeholder="/dev/sdb1" // Do not translate
+                                     value={device}
+                                     validated={validationFailed.device ? "error" : "default"}
+                                     onChange={(_event, value) => setDevice(value)} />}
+                    <FormHelper fieldId="create-volume-dialog-device" helperTextInvalid={validationFailed.device} />
+                </FormGroup>
+                <FormGroup fieldId="create-volume-dialog-fstype" label={_("File system type")}>
+                    <TextInput id="create-volume-dialog-fstype"
+                               placeholder="ext4" // Do not translate
+                               value={fsType}
+                               validated={validationFailed.fsType ? "error" : "default"}
+                               onChange={(_event, value) => setFsType(value)} />
+                    <FormHelper fieldId="create-volume-dialog-fstype" helperTextInvalid={validationFailed.fsType} />
+                </FormGroup>
+                <FormGroup fieldId="create-volume-dialog-mount-options" label={_("Mount options")}>
+                    <TextInput id="create-volume-dialog-mount-options"
+                               placeholder="noatime" // Do not translate
+                               value={mountOptions}
+                               onChange={(_event, value) => setMountOptions(value)} />
+                </FormGroup>
+            </>}
+
+            {!isLocal &&
+            <DynamicListForm id="create-volume-dialog-driver-opts"
+                             emptyStateString={_("No driver options specified")}
+                             formclass="volume-driver-opts-form"
+                             label={_("Driver options")}
+                             actionLabel={_("Add option")}
+                             onChange={setDriverOpts}
+                             value={driverOpts}
+                             default={{ envKey: null, envValue: null }}
+                             itemcomponent={EnvVar} />}
+
+            <DynamicListForm id="create-volume-dialog-labels"
+                             emptyStateString={_("No labels specified")}
+                             formclass="volume-labels-form"
+                             label={_("Labels")}
+                             actionLabel={_("Add label")}
+                             onChange={setLabels}
+                             value={labels}
+                             default={{ envKey: null, envValue: null }}
+                             itemcomponent={EnvVar} />
+        </Form>
+    );
+
+    return (
+        <Modal isOpen
+               position="top" variant="medium"
+               onClose={Dialogs.close}
+               title={_("Create volume")}
+               footer={<>
+                   <Button variant="primary"
+                           id="create-volume-create-btn"
+                           isLoading={inProgress}
+                           isDisabled={inProgress}
+                           onClick={handleCreate}>
+                       {_("Create")}
+                   </Button>
+                   <Button variant="link"
+                           isDisabled={inProgress}
+                           onClick={Dialogs.close}>
+                       {_("Cancel")}
+                   </Button>
+               </>}
+        >
+            {content}
+        </Modal>
+    );
+};
+
+export default VolumeCreateModal;
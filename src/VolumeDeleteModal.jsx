@@ -0,0 +1,55 @@
+import React from 'react';
+import { Button } from "@patternfly/react-core/dist/esm/components/Button";
+import { List, ListItem } from "@patternfly/react-core/dist/esm/components/List";
+import { Modal } from "@patternfly/react-core/dist/esm/components/Modal";
+import { Stack, StackItem } from "@patternfly/react-core/dist/esm/layouts/Stack";
+import { useDialogs } from "dialogs.jsx";
+import cockpit from 'cockpit';
+
+import * as client from './client.js';
+import { dockerErrorDetail } from './Notification.jsx';
+
+const _ = cockpit.gettext;
+
+const VolumeDeleteModal = ({ volume, containers, onAddNotification }) => {
+    const Dialogs = useDialogs();
+
+    const handleRemoveVolume = () => {
+        Dialogs.close();
+        client.delVolume(volume.Name, false)
+                .catch(ex => {
+                    const error = cockpit.format(_("Failed to remove volume $0"), volume.Name);
+                    onAddNotification({ type: 'danger', error, errorDetail: dockerErrorDetail(ex) });
+                });
+    };
+
+    return (
+        <Modal isOpen
+               position="top" variant="medium"
+               titleIconVariant="warning"
+               onClose={Dialogs.close}
+               title={cockpit.format(_("Delete volume $0?"), volume.Name)}
+               footer={<>
+                   <Button variant="danger" className="btn-volume-delete"
+                           isDisabled={!!containers}
+                           onClick={handleRemoveVolume}>
+                       {_("Delete")}
+                   </Button>{' '}
+                   <Button variant="link" onClick={Dialogs.close}>{_("Cancel")}</Button>
+               </>}
+        >
+            {containers
+                ? <Stack hasGutter>
+                    <StackItem>{_("The volume is in use. Delete these containers first:")}</StackItem>
+                    <StackItem>
+                        <List>
+                            {containers.map(c => <ListItem key={c.container.Id}>{c.container.Name}</ListItem>)}
+                        </List>
+                    </StackItem>
+                </Stack>
+                : _("Deleting a volume will erase all data in it.")}
+        </Modal>
+    );
+};
+
+export default VolumeDeleteModal;
@@ -0,0 +1,57 @@
+import React from 'react';
+import cockpit from 'cockpit';
+
+import { DescriptionList, DescriptionListDescription, DescriptionListGroup, DescriptionListTerm } from "@patternfly/react-core/dist/esm/components/DescriptionList";
+import { List, ListItem } from "@patternfly/react-core/dist/esm/components/List";
+
+import ImageUsedBy from './ImageUsedBy.jsx';
+const _ = cockpit.gettext;
+
+const KeyValueList = ({ items }) => (
+    <List isPlain>
+        {Object.entries(items).map(([key, value]) =>
+            <ListItem key={key}>{value !== "" ? key + "=" + value : key}</ListItem>
+        )}
+    </List>
+);
+
+const VolumeDetails = ({ volume, containers, showAll }) => {
+    return (
+        <DescriptionList className='volume-details' isAutoFit>
+            <DescriptionListGroup>
+                <DescriptionListTerm>{_("Name")}</DescriptionListTerm>
+                <DescriptionListDescription>{volume.Name}</DescriptionListDescription>
+            </DescriptionListGroup>
+            <DescriptionListGroup>
+                <DescriptionListTerm>{_("Mount point")}</DescriptionListTerm>
+                <DescriptionListDescription>{volume.Mountpoint}</DescriptionListDescription>
+            </DescriptionListGroup>
+            {volume.Scope &&
+            <DescriptionListGroup>
+                <DescriptionListTerm>{_("Scope")}</DescriptionListTerm>
+                <DescriptionListDescription>{volume.Scope}</DescriptionListDescription>
+            </DescriptionListGroup>
+            }
+            {volume.Options && Object.keys(volume.Options).length !== 0 &&
+            <DescriptionListGroup>
+                <DescriptionListTerm>{_("Driver options")}</DescriptionListTerm>
+                <DescriptionListDescription><KeyValueList items={volume.Options} /></DescriptionListDescription>
+            </DescriptionListGroup>
+            }
+            {volume.Labels && Object.keys(volume.Labels).length !== 0 &&
+            <DescriptionListGroup>
+                <DescriptionListTerm>{_("Labels")}</DescriptionListTerm>
+                <DescriptionListDescription><KeyValueList items={volume.Labels} /></DescriptionListDescription>
+            </DescriptionListGroup>
+            }
+            <DescriptionListGroup>
+                <DescriptionListTerm>{_("Used by")}</DescriptionListTerm>
+                <DescriptionListDescription>
+                    <ImageUsedBy containers={containers} showAll={showAll} emptyText={_("No containers are using this volume")} />
+                </DescriptionListDescription>
+            </DescriptionListGroup>
+        </DescriptionList>
+    );
+};
+
+export default VolumeDetails;
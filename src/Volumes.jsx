@@ -0,0 +1,205 @@
+import React, { useState } from 'react';
+import { Card, CardBody, CardHeader, CardTitle } from "@patternfly/react-core/dist/esm/components/Card";
+import { DropdownItem } from '@patternfly/react-core/dist/esm/components/Dropdown/index.js';
+import { ExpandableSection } from "@patternfly/react-core/dist/esm/components/ExpandableSection";
+import { Flex, FlexItem } from "@patternfly/react-core/dist/esm/layouts/Flex";
+import { Text, TextVariants } from "@patternfly/react-core/dist/esm/components/Text";
+import { cellWidth } from '@patternfly/react-table';
+
+import cockpit from 'cockpit';
+import { ListingTable } from "cockpit-components-table.jsx";
+import { ListingPanel } from 'cockpit-components-listing-panel.jsx';
+import { KebabDropdown } from "cockpit-components-dropdown.jsx";
+import { useDialogs } from "dialogs.jsx";
+
+import VolumeDetails from './VolumeDetails.jsx';
+import VolumeCreateModal from './VolumeCreateModal.jsx';
+import VolumeDeleteModal from './VolumeDeleteModal.jsx';
+import PruneUnusedVolumesModal from './PruneUnusedVolumesModal.jsx';
+import * as utils from './util.js';
+
+import './Volumes.css';
+
+const _ = cockpit.gettext;
+
+// Sizes are only computed for volumes of the local driver, others report -1
+const volume_size = volume => volume.UsageData?.Size >= 0 ? volume.UsageData.Size : null;
+
+// Anonymous volumes are named by a random 64 character hex string
+const volume_name = volume => /^[0-9a-f]{64}$/.test(volume.Name) ? utils.truncate_id(volume.Name) : volume.Name;
+
+const VolumeOverActions = ({ handleCreateVolume, handlePruneUnusedVolumes, unusedVolumes }) => {
+    const actions = [
+        <DropdownItem key="create-volume"
+                      id="create-volume-button"
+                      component="button"
+                      onClick={() => handleCreateVolume()}>
+            {_("Create volume")}
+        </DropdownItem>,
+        <DropdownItem key="prune-unused-volumes"
+                      id="prune-unused-volumes-button"
+                      component="button"
+                      className="pf-m-danger btn-delete"
+                      onClick={() => handlePruneUnusedVolumes()}
+                      isDisabled={unusedVolumes.length === 0}
+                      isAriaDisabled={unusedVolumes.length === 0}>
+            {_("Prune unused volumes")}
+        </DropdownItem>
+    ];
+
+    return (
+        <KebabDropdown toggleButtonId="volume-actions-dropdown"
+                       position="right"
+                       dropdownItems={actions} />
+    );
+};
+
+const VolumeActions = ({ volume, containers, onAddNotification }) => {
+    const Dialogs = useDialogs();
+
+    const actions = [
+        <DropdownItem key="delete"
+                      className="pf-m-danger btn-delete"
+                      onClick={() => Dialogs.show(<VolumeDeleteModal volume={volume}
+                                                                     containers={containers}
+                                                                     onAddNotification={onAddNotification} />)}>
+            {_("Delete")}
+        </DropdownItem>
+    ];
+
+    return <KebabDropdown position="right" dropdownItems={actions} />;
+};
+
+const Volumes = ({ volumes, volumeContainerList, onAddNotification, textFilter, showAll }) => {
+    const Dialogs = useDialogs();
+    const [isExpanded, setIsExpanded] = useState(false);
+    const [showPruneModal, setShowPruneModal] = useState(false);
+
+    const usedBy = volume => volumeContainerList?.[volume.Name];
+
+    const unusedVolumes = [];
+    const stats = { total: 0, size: 0, unusedTotal: 0, unusedSize: 0 };
+    if (volumes !== null && volumeContainerList !== null) {
+        Object.values(volumes).forEach(volume => {
+            stats.total += 1;
+            stats.size += volume_size(volume) ?? 0;
+            if (!usedBy(volume)) {
+                stats.unusedTotal += 1;
+                stats.unusedSize += volume_size(volume) ?? 0;
+                unusedVolumes.push(volume);
+            }
+        });
+    }
+
+    const renderRow = volume => {
+        const containers = usedBy(volume);
+        const size = volume_size(volume);
+        const usedByText = containers
+            ? cockpit.format(cockpit.ngettext("$0 container", "$0 containers", containers.length), containers.length)
+            : _("unused");
+
+        const columns = [
+            { title: volume_name(volume), header: true, props: { modifier: "breakWord" } },
+            { title: volume.Driver },
+            { title: utils.localize_time(Date.parse(volume.CreatedAt) / 1000), props: { className: "ignore-pixels" } },
+            { title: size !== null ? cockpit.format_bytes(size) : "", props: { className: "ignore-pixels", modifier: "nowrap" } },
+            { title: <span className={containers ? "" : "ct-grey-text"}>{usedByText}</span>, props: { className: "ignore-pixels", modifier: "nowrap" } },
+            {
+                title: <VolumeActions volume={volume} containers={containers} onAddNotification={onAddNotification} />,
+                props: { className: 'pf-v5-c-table__action content-action' }
+            },
+        ];
+
+        const tabs = [{
+            name: _("Details"),
+            renderer: VolumeDetails,
+            data: {
+                volume,
+                containers: volumeContainerList !== null ? containers : null,
+                showAll,
+            }
+        }];
+
+        return {
+            expandedContent: <ListingPanel colSpan='6' tabRenderers={tabs} />,
+            columns,
+            props: {
+                key: volume.Name,
+                "data-row-id": volume.Name,
+            },
+        };
+    };
+
+    const columnTitles = [
+        { title: _("Volume"), transforms: [cellWidth(25)] },
+        { title: _("Driver") },
+        { title: _("Created"), props: { className: "ignore-pixels", width: 15 } },
+        { title: _("Disk space"), props: { className: "ignore-pixels" } },
+        { title: _("Used by"), props: { className: "ignore-pixels" } },
+    ];
+
+    let emptyCaption = _("No volumes");
+    if (volumes === null)
+        emptyCaption = _("Loading...");
+    else if (textFilter.length > 0)
+        emptyCaption = _("No volumes that match the current filter");
+
+    const filtered = Object.values(volumes ?? {})
+            .filter(volume => textFilter.length === 0 || volume.Name.toLowerCase().includes(textFilter.toLowerCase()))
+            .sort((a, b) => a.Name.localeCompare(b.Name));
+
+    const table = (
+        <ListingTable aria-label={_("Volumes")}
+                      variant='compact'
+                      emptyCaption={emptyCaption}
+                      columns={columnTitles}
+                      rows={filtered.map(renderRow)} />
+    );
+
+    return (
+        <Card id="containers-volumes" key="volumes" className="containers-volumes">
+            <CardHeader>
+                <Flex flexWrap={{ default: 'nowrap' }} className="pf-v5-u-w-100">
+                    <FlexItem grow={{ default: 'grow' }}>
+                        <Flex>
+                            <CardTitle>
+                                <Text component={TextVariants.h2} className="containers-volumes-title">{_("Volumes")}</Text>
+                            </CardTitle>
+                            <Flex className="ignore-pixels" style={{ rowGap: "var(--pf-v5-global--spacer--xs)" }}>
+                                <Text component={TextVariants.h5}>
+                                    {cockpit.format(cockpit.ngettext("$0 volume total, $1", "$0 volumes total, $1", stats.total), stats.total, cockpit.format_bytes(stats.size))}
+                                </Text>
+                                {stats.unusedTotal !== 0 &&
+                                <Text component={TextVariants.h5}>
+                                    {cockpit.format(cockpit.ngettext("$0 unused volume, $1", "$0 unused volumes, $1", stats.unusedTotal), stats.unusedTotal, cockpit.format_bytes(stats.unusedSize))}
+                                </Text>}
+                            </Flex>
+                        </Flex>
+                    </FlexItem>
+                    <FlexItem>
+                        <VolumeOverActions handleCreateVolume={() => Dialogs.show(<VolumeCreateModal onAddNotification={onAddNotification} />)}
+                                           handlePruneUnusedVolumes={() => setShowPruneModal(true)}
+                                           unusedVolumes={unusedVolumes} />
+                    </FlexItem>
+                </Flex>
+            </CardHeader>
+            <CardBody>
+                {volumes && Object.keys(volumes).length
+                    ? <ExpandableSection toggleText={isExpanded ? _("Hide volumes") : _("Show volumes")}
+                                         onToggle={() => setIsExpanded(!isExpanded)}
+                                         isExpanded={isExpanded}>
+                        {table}
+                    </ExpandableSection>
+                    : table}
+            </CardBody>
+            {/* Like for images, the prune dialog has to follow the list of unused volumes
+              * while it is open, so it is part of the DOM instead of using Dialogs.show */}
+            {showPruneModal &&
+            <PruneUnusedVolumesModal close={() => setShowPruneModal(false)}
+                                     unusedVolumes={unusedVolumes}
+                                     onAddNotification={onAddNotification} />}
+        </Card>
+    );
+};
+
+export default Volumes;
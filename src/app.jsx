@@ -33,11 +33,19 @@ import { superuser } from "superuser";
 import ContainerHeader from './ContainerHeader.jsx';
 import Containers from './Containers.jsx';
 import Images from './Images.jsx';
+import Volumes from './Volumes.jsx';
+import Networks from './Networks.jsx';
 import * as client from './client.js';
+import * as imageUpdates from './imageUpdates.js';
+import { createStatsHistory } from './statsHistory.js';
 import { WithDockerInfo } from './util.js';
 
 const _ = cockpit.gettext;
 
+// reconnect attempts to the event stream before declaring the service down, waiting 0.5, 1, 2, 4 seconds
+const RECONNECT_ATTEMPTS = 4;
+const RECONNECT_DELAY = 500;
+
 class Application extends React.Component {
     constructor(props) {
         super(props);
@@ -49,19 +57,29 @@ class Application extends React.Component {
             containers: null,
             containersFilter: "all",
             containersStats: {},
+            containersPrevStats: {},
             containersLoaded: null,
+            volumes: null,
+            networks: null,
+            imageUpdates: {},
+            checkingImageUpdates: false,
             textFilter: "",
             ownerFilter: "all",
             dropDownValue: 'Everything',
             notifications: [],
             showStartService: true,
             version: '1.3.0',
+            apiVersion: null,
+            capabilities: {},
             selinuxAvailable: false,
             dockerRestartAvailable: false,
             currentUser: _("User"),
             privileged: false,
             hasDockerGroup: false,
             location: {},
+            endpoints: client.getEndpoints(),
+            endpoint: client.getEndpoint().id,
+            reconnecting: false,
         };
         this.onAddNotification = this.onAddNotification.bind(this);
         this.onDismissNotification = this.onDismissNotification.bind(this);
@@ -71,8 +89,15 @@ class Application extends React.Component {
         this.startService = this.startService.bind(this);
         this.goToServicePage = this.goToServicePage.bind(this);
         this.onNavigate = this.onNavigate.bind(this);
+        this.onEndpointChanged = this.onEndpointChanged.bind(this);
+        this.checkImageUpdates = this.checkImageUpdates.bind(this);
 
         this.pendingUpdateContainer = {}; // id → promise
+        this.statsControllers = {}; // id → AbortController of the stats stream
+        this.statsHistory = createStatsHistory();
+        this.statsStreams = 0; // tells the samples of a restarted stats stream apart
+        // bumped on every endpoint switch, so that streams of the previous endpoint get ignored
+        this.endpointGeneration = 0;
     }
 
     onAddNotification(notification) {
@@ -137,18 +162,41 @@ class Application extends React.Component {
     }
 
     updateContainerStats(id) {
+        const generation = this.endpointGeneration;
+        // restart the stream if there already is one, e.g. after reconnecting
+        this.statsControllers[id]?.abort();
+        const controller = new AbortController();
+        this.statsControllers[id] = controller;
+        const stream = ++this.statsStreams;
+
         client.streamContainerStats(id, reply => {
+            if (generation !== this.endpointGeneration)
+                return;
             if (reply.Error != null) // executed when container stop
                 console.warn("Failed to update container stats:", JSON.stringify(reply.message));
             else {
-                this.updateState("containersStats", id, reply);
+                this.statsHistory.add(id, reply, stream);
+                // the I/O rates come from the difference to the previous sample
+                this.setState(prevState => ({
+                    containersStats: { ...prevState.containersStats, [id]: reply },
+                    containersPrevStats: { ...prevState.containersPrevStats, [id]: prevState.containersStats[id] },
+                }));
             }
-        }).catch(ex => {
-            if (ex.cause == "no support for CGroups V1 in rootless environments" || ex.cause == "Container stats resource only available for cgroup v2") {
-                console.log("This OS does not support CgroupsV2. Some information may be missing.");
-            } else
-                console.warn("Failed to update container stats:", JSON.stringify(ex.message));
-        });
+        }, { signal: controller.signal })
+                .catch(ex => {
+                    // 404: the container was removed while its stats stream was starting up
+                    if (ex.status !== 404 && !ex.cancelled)
+                        console.warn("Failed to update container stats:", JSON.stringify(ex.message));
+                })
+                .finally(() => {
+                    if (this.statsControllers[id] === controller)
+                        delete this.statsControllers[id];
+                });
+    }
+
+    stopContainersStats() {
+        Object.values(this.statsControllers).forEach(controller => controller.abort());
+        this.statsControllers = {};
     }
 
     initContainers() {
@@ -158,7 +206,14 @@ class Application extends React.Component {
                 ))
                 .then(containerDetails => {
                     this.setState(prevState => {
-                        const copyContainers = prevState.containers || {};
+                        const copyContainers = { ...prevState.containers };
+                        // drop containers which went away unnoticed, e.g. while reconnecting
+                        const present = new Set(containerDetails.map(detail => detail.Id));
+                        for (const id of Object.keys(copyContainers)) {
+                            if (!present.has(id))
+                                delete copyContainers[id];
+                        }
+
                         for (const detail of containerDetails) {
                             copyContainers[detail.Id] = detail;
                             this.updateContainerStats(detail.Id);
@@ -176,18 +231,66 @@ class Application extends React.Component {
     updateImages() {
         client.getImages()
                 .then(reply => {
+                    const firstLoad = !this.state.imagesLoaded;
                     this.setState(prevState => {
                         return {
                             images: reply,
                             imagesLoaded: true
                         };
-                    });
+                    }, () => this.checkImageUpdates(!firstLoad));
                 })
                 .catch(ex => {
                     console.warn("Failed to do Update Images:", JSON.stringify(ex));
                 });
     }
 
+    /*
+     * Ask the registries whether there are newer images for the local tags. With "changedOnly",
+     * only recheck tags which moved to another image since their last check, e.g. after a pull.
+     */
+    checkImageUpdates(changedOnly = false) {
+        if (!this.state.images)
+            return;
+
+        let images = Object.values(this.state.images);
+        if (changedOnly) {
+            const known = this.state.imageUpdates;
+            images = images.filter(image => (image.RepoTags || []).some(tag => known[tag] && known[tag].imageId !== image.Id));
+            if (images.length === 0)
+                return;
+        }
+
+        const generation = this.endpointGeneration;
+        this.setState({ checkingImageUpdates: true });
+        imageUpdates.checkImages(images)
+                .then(result => {
+                    if (generation !== this.endpointGeneration)
+                        return;
+                    this.setState(prevState => ({
+                        imageUpdates: changedOnly ? { ...prevState.imageUpdates, ...result } : result,
+                    }));
+                })
+                .finally(() => this.setState({ checkingImageUpdates: false }));
+    }
+
+    updateVolumes(capabilities = this.state.capabilities) {
+        client.getVolumes(capabilities)
+                .then(volumes => this.setState({ volumes }))
+                .catch(ex => {
+                    console.warn("Failed to update volumes:", ex.message);
+                    this.setState(prevState => ({ volumes: prevState.volumes ?? {} }));
+                });
+    }
+
+    updateNetworks() {
+        client.getNetworks()
+                .then(networks => this.setState({ networks }))
+                .catch(ex => {
+                    console.warn("Failed to update networks:", ex.message);
+                    this.setState(prevState => ({ networks: prevState.networks ?? {} }));
+                });
+    }
+
     updateContainer(id, event) {
         /* when firing off multiple calls in parallel, docker can return them in a random order.
          * This messes up the state. So we need to serialize them for a particular container. */
@@ -278,11 +381,14 @@ class Application extends React.Component {
         case 'pause':
         case 'stop':
         case 'unpause':
-        case 'rename': // rename event is available starting podman v4.1; until then the container does not get refreshed after renaming
+        case 'rename':
+        case 'update':
             this.updateContainer(id, event);
             break;
 
         case 'destroy':
+            this.statsControllers[id]?.abort();
+            this.statsHistory.remove(id);
             this.setState(prevState => {
                 const containers = { ...prevState.containers };
                 delete containers[id];
@@ -300,6 +406,56 @@ class Application extends React.Component {
         }
     }
 
+    handleNetworkEvent(event) {
+        switch (event.Action) {
+        // the container's NetworkSettings changed
+        case 'connect':
+        case 'disconnect':
+            if (event.Actor.Attributes?.container)
+                this.updateContainer(event.Actor.Attributes.container);
+            break;
+        case 'create':
+        case 'prune':
+            this.updateNetworks();
+            break;
+        case 'destroy':
+        case 'remove':
+            this.setState(prevState => {
+                const networks = { ...prevState.networks };
+                delete networks[event.Actor.ID];
+
+                return { networks };
+            });
+            break;
+        default:
+            console.warn('Unhandled event type ', event.Type, event.Action);
+        }
+    }
+
+    handleVolumeEvent(event) {
+        switch (event.Action) {
+        // the list has the sizes, which inspecting a single volume does not give
+        case 'create':
+        case 'prune':
+            this.updateVolumes();
+            break;
+        case 'destroy':
+            this.setState(prevState => {
+                const volumes = { ...prevState.volumes };
+                delete volumes[event.Actor.ID];
+
+                return { volumes };
+            });
+            break;
+        // the users of a volume come from the containers' mounts
+        case 'mount':
+        case 'unmount':
+            break;
+        default:
+            console.warn('Unhandled event type ', event.Type, event.Action);
+        }
+    }
+
     handleEvent(event) {
         switch (event.Type) {
         case 'container':
@@ -308,6 +464,12 @@ class Application extends React.Component {
         case 'image':
             this.handleImageEvent(event);
             break;
+        case 'network':
+            this.handleNetworkEvent(event);
+            break;
+        case 'volume':
+            this.handleVolumeEvent(event);
+            break;
         default:
             console.warn('Unhandled event type ', event.Type);
         }
@@ -327,38 +489,38 @@ class Application extends React.Component {
     }
 
     init() {
-        client.getInfo()
-                .then(reply => {
+        const generation = this.endpointGeneration;
+        const stale = () => generation !== this.endpointGeneration;
+
+        client.negotiateApiVersion()
+                .then(version => client.getInfo().then(reply => {
+                    if (stale())
+                        return;
+                    const capabilities = client.getCapabilities(version.ApiVersion);
                     this.setState({
                         serviceAvailable: true,
                         version: reply.ServerVersion,
+                        apiVersion: version.ApiVersion,
+                        capabilities,
                         registries: reply.RegistryConfig.IndexConfigs,
                         cgroupVersion: reply.CgroupVersion,
                     });
+                    // daemon time, so that replaying events after a reconnect does not depend on our clock
+                    this.lastEventTime = Math.floor(Date.parse(reply.SystemTime) / 1000) || undefined;
                     this.updateImages();
                     this.initContainers();
-                    client.streamEvents(message => this.handleEvent(message))
-                            .then(() => {
-                                this.setState({ serviceAvailable: false });
-                                this.cleanupAfterService();
-                            })
-                            .catch(e => {
-                                console.log(e);
-                                this.setState({ serviceAvailable: false });
-                                this.cleanupAfterService();
-                            });
-
-                    // Listen if docker is still running
-                    const ch = cockpit.channel({ payload: "stream", unix: client.getAddress() });
-                    ch.addEventListener("close", () => {
-                        this.setState({ serviceAvailable: false });
-                        this.cleanupAfterService();
-                    });
-
-                    ch.send("GET " + client.VERSION + "/events HTTP/1.0\r\nContent-Length: 0\r\n\r\n");
-                })
+                    this.updateVolumes(capabilities);
+                    this.updateNetworks();
+                    this.watchEvents(generation);
+                    window.clearInterval(this.imageUpdatesTimer);
+                    this.imageUpdatesTimer = window.setInterval(() => this.checkImageUpdates(), imageUpdates.CHECK_INTERVAL * 3600 * 1000);
+                }))
                 .catch((r) => {
+                    if (stale())
+                        return;
                     console.log("Failed to get info from docker", r);
+                    if (r.problem === "unsupported-api-version")
+                        this.onAddNotification({ type: 'danger', error: _("Unsupported Docker version"), errorDetail: r.message });
                     this.setState({
                         serviceAvailable: false,
                         containersLoaded: true,
@@ -367,12 +529,115 @@ class Application extends React.Component {
                 });
     }
 
+    /*
+     * Follow the daemon's events. When the stream breaks (e.g. docker got restarted),
+     * reconnect with backoff and replay the events missed in the meantime.
+     */
+    watchEvents(generation) {
+        const stale = () => generation !== this.endpointGeneration;
+        this.eventsController?.abort();
+        const controller = new AbortController();
+        this.eventsController = controller;
+
+        client.streamEvents(event => {
+            if (stale())
+                return;
+            this.lastEventTime = event.time;
+            this.handleEvent(event);
+        }, this.lastEventTime, { signal: controller.signal })
+                .then(() => {
+                    if (!stale())
+                        this.reconnectEvents(generation, 0);
+                })
+                .catch(ex => {
+                    if (stale() || ex.cancelled)
+                        return;
+                    console.log("Docker event stream failed:", ex.message);
+                    this.reconnectEvents(generation, 0);
+                });
+    }
+
+    reconnectEvents(generation, attempt) {
+        const stale = () => generation !== this.endpointGeneration;
+
+        if (attempt >= RECONNECT_ATTEMPTS) {
+            this.setState({ reconnecting: false, serviceAvailable: false });
+            this.cleanupAfterService();
+            return;
+        }
+
+        this.setState({ reconnecting: true });
+        this.reconnectTimer = window.setTimeout(() => {
+            client.getInfo()
+                    .then(() => {
+                        if (stale())
+                            return;
+                        this.setState({ reconnecting: false });
+                        this.watchEvents(generation);
+                        // a restarted daemon forgot the events it had, and stats streams ended with it
+                        this.initContainers();
+                        this.updateImages();
+                        this.updateVolumes();
+                        this.updateNetworks();
+                    })
+                    .catch(() => {
+                        if (!stale())
+                            this.reconnectEvents(generation, attempt + 1);
+                    });
+        }, RECONNECT_DELAY * 2 ** attempt);
+    }
+
+    stopEvents() {
+        window.clearTimeout(this.reconnectTimer);
+        window.clearInterval(this.imageUpdatesTimer);
+        this.eventsController?.abort();
+        this.eventsController = null;
+        this.stopContainersStats();
+    }
+
+    onEndpointChanged(id) {
+        if (id === this.state.endpoint)
+            return;
+
+        client.setEndpoint(id);
+        this.endpointGeneration++;
+        this.stopEvents();
+        this.statsHistory.clear();
+        this.lastEventTime = undefined;
+
+        this.setState({
+            endpoint: id,
+            serviceAvailable: null,
+            reconnecting: false,
+            images: null,
+            imagesLoaded: false,
+            containers: null,
+            containersStats: {},
+            containersPrevStats: {},
+            containersLoaded: null,
+            volumes: null,
+            networks: null,
+            imageUpdates: {},
+            apiVersion: null,
+            capabilities: {},
+        });
+
+        if (this.state.hasDockerGroup || client.getEndpoint().rootless)
+            this.init();
+    }
+
     componentDidMount() {
+        const endpointsDetected = client.detectEndpoints()
+                .then(endpoints => this.setState({ endpoints, endpoint: client.getEndpoint().id }))
+                .catch(e => console.log("Could not detect docker endpoints: ", e.message));
+
         cockpit.script("[ `id -u` -eq 0 ] || [ `id -nG | grep -qw docker; echo $?` -eq 0 ]; echo $?")
-                .done(result => {
+                .then(async result => {
                     const hasDockerGroup = result.trim() === "0";
+                    await endpointsDetected;
                     this.setState({ hasDockerGroup });
-                    if (hasDockerGroup) {
+                    // the user's own rootless daemon does not need docker group membership
+                    if (hasDockerGroup || client.getEndpoint().rootless) {
                         this.init();
                     }
                 })
@@ -393,6 +658,8 @@ class Application extends React.Component {
 
     componentWillUnmount() {
         cockpit.removeEventListener("locationchanged", this.onNavigate);
+        this.endpointGeneration++;
+        this.stopEvents();
     }
 
     onNavigate() {
@@ -440,9 +707,28 @@ class Application extends React.Component {
     }
 
     render() {
-        if (!this.state.hasDockerGroup) {
+        const header = (
+            <ContainerHeader
+              handleFilterChanged={this.onFilterChanged}
+              ownerFilter={this.state.ownerFilter}
+              textFilter={this.state.textFilter}
+              endpoints={this.state.endpoints}
+              endpoint={this.state.endpoint}
+              handleEndpointChanged={this.onEndpointChanged}
+            />
+        );
+        // keep the endpoint switcher reachable when the current endpoint is unusable
+        const endpointHeader = this.state.endpoints.length > 1 && (
+            <PageSection className="content-filter" padding={{ default: 'noPadding' }}
+              variant={PageSectionVariants.light}>
+                {header}
+            </PageSection>
+        );
+
+        if (!this.state.hasDockerGroup && !client.getEndpoint().rootless) {
             return (
                 <Page>
+                    {endpointHeader}
                     <PageSection variant={PageSectionVariants.light}>
                         <EmptyState variant={EmptyStateVariant.full}>
                             <EmptyStateHeader titleText={_("You are not a member of the docker group")} icon={<EmptyStateIcon icon={ExclamationCircleIcon} />} headingLevel="h2" />
@@ -460,6 +746,7 @@ class Application extends React.Component {
         if (this.state.serviceAvailable === null) // not detected yet
             return (
                 <Page>
+                    {endpointHeader}
                     <PageSection variant={PageSectionVariants.light}>
                         <EmptyState variant={EmptyStateVariant.full}>
                             {/* loading spinner */}
@@ -473,6 +760,7 @@ class Application extends React.Component {
         if (!this.state.serviceAvailable) {
             return (
                 <Page>
+                    {endpointHeader}
                     <PageSection variant={PageSectionVariants.light}>
                         <EmptyState variant={EmptyStateVariant.full}>
                             <EmptyStateHeader titleText={_("Docker service is not active")} icon={<EmptyStateIcon icon={ExclamationCircleIcon} />} headingLevel="h2" />
@@ -518,6 +806,30 @@ class Application extends React.Component {
         } else
             imageContainerList = null;
 
+        // volume name → containers mounting it, like imageContainerList
+        let volumeContainerList = null;
+        if (this.state.containers !== null) {
+            volumeContainerList = {};
+            Object.values(this.state.containers).forEach(container => {
+                (container.Mounts || []).filter(mount => mount.Type === "volume").forEach(mount => {
+                    volumeContainerList[mount.Name] = volumeContainerList[mount.Name] || [];
+                    volumeContainerList[mount.Name].push({ container, stats: this.state.containersStats[container.Id] });
+                });
+            });
+        }
+
+        // network ID → containers connected to it
+        let networkContainerList = null;
+        if (this.state.containers !== null) {
+            networkContainerList = {};
+            Object.values(this.state.containers).forEach(container => {
+                Object.values(container.NetworkSettings?.Networks || {}).forEach(endpoint => {
+                    networkContainerList[endpoint.NetworkID] = networkContainerList[endpoint.NetworkID] || [];
+                    networkContainerList[endpoint.NetworkID].push({ container, stats: this.state.containersStats[container.Id] });
+                });
+            });
+        }
+
         let startService = "";
         const action = (
             <>
@@ -541,6 +853,9 @@ class Application extends React.Component {
                 onAddNotification={this.onAddNotification}
                 textFilter={this.state.textFilter}
                 ownerFilter={this.state.ownerFilter}
+                imageUpdates={this.state.imageUpdates}
+                checkingImageUpdates={this.state.checkingImageUpdates}
+                onCheckImageUpdates={this.checkImageUpdates}
                 showAll={ () => this.setState({ containersFilter: "all" }) }
                 user={this.state.currentUser}
                 serviceAvailable={this.state.serviceAvailable}
@@ -553,10 +868,13 @@ class Application extends React.Component {
                 images={this.state.imagesLoaded ? this.state.images : null}
                 containers={this.state.containersLoaded ? this.state.containers : null}
                 containersStats={this.state.containersStats}
+                containersPrevStats={this.state.containersPrevStats}
+                statsHistory={this.statsHistory}
                 filter={this.state.containersFilter}
                 handleFilterChange={this.onContainerFilterChanged}
                 textFilter={this.state.textFilter}
                 ownerFilter={this.state.ownerFilter}
+                imageUpdates={this.state.imageUpdates}
                 user={this.state.currentUser}
                 onAddNotification={this.onAddNotification}
                 serviceAvailable={this.state.serviceAvailable}
@@ -565,6 +883,28 @@ class Application extends React.Component {
             />
         );
 
+        const volumeList = (
+            <Volumes
+                key="volumeList"
+                volumes={this.state.volumes}
+                volumeContainerList={volumeContainerList}
+                onAddNotification={this.onAddNotification}
+                textFilter={this.state.textFilter}
+                showAll={ () => this.setState({ containersFilter: "all" }) }
+            />
+        );
+
+        const networkList = (
+            <Networks
+                key="networkList"
+                networks={this.state.networks}
+                networkContainerList={networkContainerList}
+                onAddNotification={this.onAddNotification}
+                textFilter={this.state.textFilter}
+                showAll={ () => this.setState({ containersFilter: "all" }) }
+            />
+        );
+
         const notificationList = (
             <AlertGroup isToast>
                 {this.state.notifications.map((notification, index) => {
@@ -585,6 +925,8 @@ class Application extends React.Component {
             selinuxAvailable: this.state.selinuxAvailable,
             dockerRestartAvailable: this.state.dockerRestartAvailable,
             version: this.state.version,
+            apiVersion: this.state.apiVersion,
+            capabilities: this.state.capabilities,
         };
 
         return (
@@ -594,17 +936,19 @@ class Application extends React.Component {
                         {notificationList}
                         <PageSection className="content-filter" padding={{ default: 'noPadding' }}
                           variant={PageSectionVariants.light}>
-                            <ContainerHeader
-                              handleFilterChanged={this.onFilterChanged}
-                              ownerFilter={this.state.ownerFilter}
-                              textFilter={this.state.textFilter}
-                            />
+                            {header}
                         </PageSection>
                         <PageSection className='ct-pagesection-mobile'>
                             <Stack hasGutter>
+                                {this.state.reconnecting &&
+                                <Alert variant="warning" isInline id="reconnecting"
+                                       customIcon={<Spinner size="md" />}
+                                       title={_("Lost connection to Docker, reconnecting…")} />}
                                 { this.state.showStartService ? startService : null }
                                 {imageList}
                                 {containerList}
+                                {volumeList}
+                                {networkList}
                             </Stack>
                         </PageSection>
                     </Page>
@@ -1,55 +1,196 @@
 // client.js
-import rest from './rest.js';
+import cockpit from 'cockpit';
+import rest, { DockerApiError } from './rest.js';
+import { createScheduler } from './scheduler.js';
 
-const DOCKER_ADDRESS = "/var/run/docker.sock";
-export const VERSION = "/v1.43";
+export { DockerApiError };
+
+const _ = cockpit.gettext;
+
+export const SYSTEM_ADDRESS = "/var/run/docker.sock";
+
+// Range of Docker Engine API versions this UI is written against; the version
+// actually used is negotiated with the daemon by negotiateApiVersion()
+export const MIN_API_VERSION = "1.40";
+export const MAX_API_VERSION = "1.45";
+
+// Path prefix of all API calls, e.g. "/v1.43"
+export let VERSION = "/v" + MAX_API_VERSION;
+
+// Extra endpoints (socket proxies, TCP+TLS daemons) can be listed in this file as
+// [{ "id": "...", "label": "...", "unix": "/path.sock" }] or
+// [{ "id": "...", "label": "...", "address": "host", "port": 2376, "tls": { ... } }]
+// where "tls" takes the cockpit channel TLS options (authority/certificate/key).
+export const ENDPOINTS_CONFIG = "/etc/versanode/docker-endpoints.json";
+const ENDPOINT_STORAGE_KEY = "docker-endpoint";
+
+// inspect and list requests share this limit of parallel requests
+const inspectScheduler = createScheduler(4);
+
+// parsed inspect data of images by image ID; IDs are content hashes, so entries never go stale
+const imageInfoCache = new Map();
+
+const systemEndpoint = { id: "system", label: _("System"), unix: SYSTEM_ADDRESS };
+
+let endpoints = [systemEndpoint];
+let currentEndpoint = systemEndpoint;
+
+function socketExists(path) {
+    return cockpit.spawn(["test", "-S", path], { err: "ignore" })
+            .then(() => true, () => false);
+}
+
+function readConfiguredEndpoints() {
+    return cockpit.file(ENDPOINTS_CONFIG, { syntax: JSON }).read()
+            .then(content => {
+                if (!Array.isArray(content))
+                    return [];
+                return content.filter(ep => ep && ep.id && (ep.unix || ep.address))
+                        .map(ep => ({ ...ep, label: ep.label || ep.id }));
+            })
+            .catch(ex => {
+                console.warn("Failed to read", ENDPOINTS_CONFIG, ex.message);
+                return [];
+            });
+}
+
+/*
+ * Find the docker endpoints available to this session: the system socket, the
+ * rootless socket of the logged in user and any configured in ENDPOINTS_CONFIG.
+ * The previously chosen endpoint is restored if it is still available.
+ */
+export async function detectEndpoints() {
+    const found = [systemEndpoint];
+
+    const user = await cockpit.user();
+    const rootlessAddress = `/run/user/${user.id}/docker.sock`;
+    if (user.id !== 0 && await socketExists(rootlessAddress))
+        found.push({ id: "rootless", label: cockpit.format(_("Rootless ($0)"), user.name), unix: rootlessAddress, rootless: true });
+
+    for (const ep of await readConfiguredEndpoints()) {
+        if (!found.some(f => f.id === ep.id))
+            found.push(ep);
+    }
+
+    endpoints = found;
+    const saved = window.localStorage.getItem(ENDPOINT_STORAGE_KEY);
+    currentEndpoint = endpoints.find(ep => ep.id === saved) ?? systemEndpoint;
+
+    return endpoints;
+}
+
+export const getEndpoints = () => endpoints;
+
+export const getEndpoint = () => currentEndpoint;
+
+export function setEndpoint(id) {
+    const endpoint = endpoints.find(ep => ep.id === id);
+    if (!endpoint)
+        throw new Error("Unknown docker endpoint " + id);
+
+    currentEndpoint = endpoint;
+    imageInfoCache.clear();
+    window.localStorage.setItem(ENDPOINT_STORAGE_KEY, id);
+    return endpoint;
+}
+
+/* Channel options for cockpit.channel()/cockpit.http() connecting to the current endpoint */
+export function getAddress() {
+    const { unix, address, port, tls } = currentEndpoint;
+    if (unix)
+        return { unix };
+    return { address, port, tls };
+}
 
 export function listNetworks(filtersObj = null) {
-  const params = {};
-  if (filtersObj) params.filters = JSON.stringify(filtersObj);
-  return dockerJson("/networks", "GET", params);
+    const params = {};
+    if (filtersObj)
+        params.filters = JSON.stringify(filtersObj);
+    return dockerJson("/networks", "GET", params);
 }
 
 export function inspectNetwork(nameOrId) {
-  return dockerJson("/networks/" + encodeURIComponent(nameOrId), "GET", {});
+    return dockerJson("/networks/" + encodeURIComponent(nameOrId), "GET", {});
 }
 
-export function createNetwork(name, driver = "bridge") {
-  const body = {
-    Name: name,
-    Driver: driver,
-    CheckDuplicate: true,
-    Internal: false,
-    Attachable: true,
-  };
-  return dockerJson("/networks/create", "POST", {}, JSON.stringify(body));
+/*
+ * "options" can have "subnet", "gateway" and "ipRange" of the IPv4 pool, "ipv6" with an optional
+ * "ipv6Subnet" and "ipv6Gateway", "internal" to cut the network off from the outside, and "labels".
+ * Without a subnet docker picks one from its default address pools.
+ */
+export function createNetwork(name, driver = "bridge", options = {}) {
+    const { subnet, gateway, ipRange, ipv6 = false, ipv6Subnet, ipv6Gateway, internal = false, labels = {} } = options;
+    const ipamConfig = [];
+    if (subnet)
+        ipamConfig.push({ Subnet: subnet, ...(gateway ? { Gateway: gateway } : {}), ...(ipRange ? { IPRange: ipRange } : {}) });
+    if (ipv6 && ipv6Subnet)
+        ipamConfig.push({ Subnet: ipv6Subnet, ...(ipv6Gateway ? { Gateway: ipv6Gateway } : {}) });
+
+    const body = {
+        Name: name,
+        Driver: driver,
+        CheckDuplicate: true,
+        Internal: internal,
+        Attachable: true,
+        EnableIPv6: ipv6,
+        Labels: labels,
+    };
+    if (ipamConfig.length > 0)
+        body.IPAM = { Driver: "default", Config: ipamConfig };
+    return dockerJson("/networks/create", "POST", {}, JSON.stringify(body));
 }
 
 export async function ensureNetwork(name) {
-  try {
-    await inspectNetwork(name);
-    return; // exists
-  } catch (e) {
-    // If it's a 404-style error, create it; otherwise rethrow
-    // (Docker socket proxy sometimes returns text; be forgiving)
-    const msg = (e && (e.message || e.reason)) ? String(e.message || e.reason) : "";
-    const isNotFound = /404|not\s*found/i.test(msg);
-    if (!isNotFound) throw e;
-  }
-  await createNetwork(name, "bridge");
+    try {
+        await inspectNetwork(name);
+        return; // exists
+    } catch (e) {
+        // If it's missing, create it; otherwise rethrow
+        if (e.status !== 404)
+            throw e;
+    }
+    await createNetwork(name, "bridge");
 }
 
+/* All networks by ID; the list does not have the attached containers, these come from the containers */
+export const getNetworks = () => listNetworks().then(list => Object.fromEntries(list.map(network => [network.Id, network])));
 
-export function getAddress() {
-    return DOCKER_ADDRESS;
+export const delNetwork = (id) => dockerCall("/networks/" + encodeURIComponent(id), "DELETE", {});
+
+export const pruneUnusedNetworks = () => dockerJson("/networks/prune", "POST", {});
+
+/*
+ * "options" can have "aliases", a static "ipv4Address" and "ipv6Address", and a "macAddress",
+ * which docker only accepts from API 1.44 on
+ */
+export function connectNetwork(network, container, options = {}) {
+    const { aliases = [], ipv4Address, ipv6Address, macAddress } = options;
+    const endpointConfig = { Aliases: aliases };
+    if (ipv4Address || ipv6Address)
+        endpointConfig.IPAMConfig = { IPv4Address: ipv4Address || undefined, IPv6Address: ipv6Address || undefined };
+    if (macAddress)
+        endpointConfig.MacAddress = macAddress;
+
+    const body = { Container: container, EndpointConfig: endpointConfig };
+    return dockerCall("/networks/" + encodeURIComponent(network) + "/connect", "POST", {}, JSON.stringify(body));
+}
+
+export function disconnectNetwork(network, container, force = false) {
+    const body = { Container: container, Force: force };
+    return dockerCall("/networks/" + encodeURIComponent(network) + "/disconnect", "POST", {}, JSON.stringify(body));
 }
 
-function dockerCall(name, method, args, body) {
+// The networks which always exist and which docker refuses to remove
+export const isPredefinedNetwork = network => ["bridge", "host", "none"].includes(network.Name);
+
+// "requestOptions" can carry a "signal" and "timeout" for the request, see rest.connect()
+function dockerCall(name, method, args, body, requestOptions) {
     const options = {
         method,
         path: VERSION + name,
         body: body || "",
         params: args,
+        ...requestOptions,
     };
 
     if (method === "POST" && body)
@@ -60,57 +201,172 @@ function dockerCall(name, method, args, body) {
     return rest.call(getAddress(), options);
 }
 
-const dockerJson = (name, method, args, body) =>
-    dockerCall(name, method, args, body).then(reply => JSON.parse(reply));
+const dockerJson = (name, method, args, body, requestOptions) =>
+    dockerCall(name, method, args, body, requestOptions).then(reply => JSON.parse(reply));
 
-function dockerMonitor(name, method, args, callback) {
+// Pass a "signal" in requestOptions to be able to abort the stream. With "raw", the
+// callback gets the data as it comes instead of parsed JSON lines.
+function dockerMonitor(name, method, args, callback, requestOptions, raw) {
     const options = {
         method,
         path: VERSION + name,
         body: "",
         params: args,
+        ...requestOptions,
     };
 
     // console.log("dockerMonitor", options);
 
     const connection = rest.connect(getAddress());
-    return connection.monitor(options, callback);
+    return connection.monitor(options, callback, raw)
+            .finally(() => connection.close());
 }
 
-export const streamEvents = (callback) => dockerMonitor("/events", "GET", {}, callback);
-
-export function getInfo() {
-    return new Promise((resolve, reject) => {
-        const timeout = setTimeout(() => reject(new Error("timeout")), 15000);
-        dockerJson("/info", "GET", {})
-            .then(reply => resolve(reply))
-            .catch(reject)
-            .finally(() => clearTimeout(timeout));
+// "since" (seconds since the epoch) replays the events the daemon still has from that time on
+export const streamEvents = (callback, since, requestOptions) =>
+    dockerMonitor("/events", "GET", since ? { since } : {}, callback, requestOptions);
+
+// how long to wait for the daemon to answer the startup requests
+const STARTUP_TIMEOUT = 15000;
+
+export const getInfo = () => dockerJson("/info", "GET", {}, "", { timeout: STARTUP_TIMEOUT });
+
+export const compareApiVersions = (a, b) => a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+
+/*
+ * Ask the daemon which API versions it speaks (/version is not versioned) and
+ * switch VERSION to the highest one both sides support. Resolves to the
+ * /version reply with the chosen "ApiVersion".
+ */
+export function negotiateApiVersion() {
+    const endpoint = currentEndpoint;
+    return rest.call(getAddress(), { method: "GET", path: "/version", body: "", timeout: STARTUP_TIMEOUT }).then(data => {
+        const reply = JSON.parse(data);
+        const serverMax = reply.ApiVersion;
+        const serverMin = reply.MinAPIVersion || serverMax;
+
+        const apiVersion = compareApiVersions(serverMax, MAX_API_VERSION) < 0 ? serverMax : MAX_API_VERSION;
+        if (compareApiVersions(apiVersion, MIN_API_VERSION) < 0 || compareApiVersions(apiVersion, serverMin) < 0) {
+            throw new DockerApiError({
+                problem: "unsupported-api-version",
+                message: cockpit.format(_("Docker API version $0 is not supported, at least $1 is required"), serverMax, MIN_API_VERSION),
+                method: "GET",
+                path: "/version",
+                body: reply,
+            });
+        }
+
+        // the endpoint might have been switched in the meantime
+        if (endpoint === currentEndpoint)
+            VERSION = "/v" + apiVersion;
+        return { ...reply, ApiVersion: apiVersion };
     });
 }
 
+/*
+ * Features that depend on the negotiated API version, for gating UI on what
+ * the daemon actually supports.
+ */
+export function getCapabilities(apiVersion) {
+    const atLeast = version => compareApiVersions(apiVersion, version) >= 0;
+
+    return {
+        // "type" parameter of /system/df to only compute some of the usage data
+        systemDfType: atLeast("1.42"),
+        // "all" filter of /volumes/prune; from 1.42 on prune only removes anonymous volumes without it
+        volumePruneAll: atLeast("1.42"),
+        // MacAddress in EndpointSettings of /containers/create and /networks/{id}/connect
+        networkMacAddress: atLeast("1.44"),
+    };
+}
+
 export const getContainers = () => dockerJson("/containers/json", "GET", { all: true });
 
-export const streamContainerStats = (id, callback) =>
-    dockerMonitor("/containers/" + id + "/stats", "GET", { stream: true }, callback);
+export const streamContainerStats = (id, callback, requestOptions) =>
+    dockerMonitor("/containers/" + id + "/stats", "GET", { stream: true }, callback, requestOptions);
 
-export function inspectContainer(id) {
+// "size" adds SizeRw and SizeRootFs, which docker has to compute first
+export function inspectContainer(id, size = false) {
     const options = {
-        size: false // set true to display filesystem usage
+        size
     };
-    return dockerJson("/containers/" + id + "/json", "GET", options);
+    return inspectScheduler.run(() => dockerJson("/containers/" + id + "/json", "GET", options), "container:" + id + (size ? ":size" : ""));
 }
 
 /** NEW: Inspect an image by ID or reference (e.g. repo:tag). */
-export function inspectImage(ref) {
-    return dockerJson("/images/" + encodeURIComponent(ref) + "/json", "GET", {});
+export function inspectImage(ref, requestOptions) {
+    return dockerJson("/images/" + encodeURIComponent(ref) + "/json", "GET", {}, "", requestOptions);
 }
 
+export const searchImages = (term, requestOptions) => dockerJson("/images/search", "GET", { term }, "", requestOptions);
+
 export const delContainer = (id, force) => dockerCall("/containers/" + id, "DELETE", { force });
 
 export const renameContainer = (id, config) => dockerCall("/containers/" + id + "/rename", "POST", config);
 
-export const createContainer = (config) => dockerJson("/containers/create", "POST", {}, JSON.stringify(config));
+export const createContainer = (config, name) => dockerJson("/containers/create", "POST", name ? { name } : {}, JSON.stringify(config));
+
+// paths the container added, modified or deleted compared to its image
+export const containerChanges = id => dockerJson("/containers/" + id + "/changes", "GET", {});
+
+// the whole file system of the container as tar, in chunks of bytes to "onChunk"
+export const exportContainer = (id, onChunk, requestOptions) =>
+    dockerMonitor("/containers/" + id + "/export", "GET", {}, onChunk, { binary: true, ...requestOptions }, true);
+
+/*
+ * A URL for the browser to download the reply of GET "name" as "fileName". The reply streams
+ * through a cockpit channel straight into the file, so it need not fit into the page's memory.
+ */
+export function downloadUrl(name, args, fileName, contentType) {
+    const query = new URLSearchParams(args).toString();
+    const options = {
+        payload: "http-stream2",
+        ...getAddress(),
+        method: "GET",
+        path: VERSION + name + (query ? "?" + query : ""),
+        binary: "raw",
+        external: {
+            "content-disposition": 'attachment; filename="' + fileName + '"',
+            "content-type": contentType,
+        },
+    };
+    const prefix = new URL(cockpit.transport.uri("channel/" + cockpit.transport.csrf_token)).pathname;
+    return prefix + "?" + window.btoa(JSON.stringify(options));
+}
+
+export const exportUrl = (id, fileName) => downloadUrl("/containers/" + id + "/export", {}, fileName, "application/x-tar");
+
+// the logs as they are stored, in chunks of bytes to "onChunk"; see logStream.js for their format
+export const containerLogs = (id, params, onChunk, requestOptions) =>
+    dockerMonitor("/containers/" + id + "/logs", "GET", params, onChunk, { binary: true, ...requestOptions }, true);
+
+/*
+ * Files in containers, also stopped ones. getArchive() streams a tar of "path" in
+ * chunks of bytes to "onChunk", putArchive() unpacks a tar into the directory "path".
+ */
+export const getArchive = (id, path, onChunk, requestOptions) =>
+    dockerMonitor("/containers/" + id + "/archive", "GET", { path }, onChunk, { binary: true, ...requestOptions }, true);
+
+/* A URL which serves the tar of "path" as a download named "fileName", see downloadUrl() */
+export const archiveUrl = (id, path, fileName) =>
+    downloadUrl("/containers/" + id + "/archive", { path }, fileName, "application/x-tar");
+
+export const putArchive = (id, path, tar) =>
+    dockerCall("/containers/" + id + "/archive", "PUT", { path }, tar, { binary: true, headers: { "Content-Type": "application/x-tar" } });
+
+/* { name, size, mode, mtime, linkTarget } of "path", with "mode" as Go's os.FileMode */
+export function statContainerPath(id, path) {
+    let stat = null;
+    const onResponse = (status, headers) => {
+        const header = Object.keys(headers).find(key => key.toLowerCase() === "x-docker-container-path-stat");
+        if (header)
+            stat = JSON.parse(new TextDecoder().decode(Uint8Array.from(atob(headers[header]), c => c.charCodeAt(0))));
+    };
+    return dockerCall("/containers/" + id + "/archive", "HEAD", { path }, "", { onResponse }).then(() => stat);
+}
+
+// resources and restart policy, changed without recreating the container
+export const updateContainer = (id, config) => dockerJson("/containers/" + id + "/update", "POST", {}, JSON.stringify(config));
 
 export const commitContainer = (commitData) => dockerCall("/commit", "POST", commitData);
 
@@ -128,6 +384,24 @@ export function execContainer(id) {
     return dockerJson("/containers/" + id + "/exec", "POST", {}, JSON.stringify(args));
 }
 
+/* Run "cmd" in the container, and resolve to its { exitCode, output } */
+export async function runInContainer(id, cmd) {
+    const args = {
+        AttachStdout: true,
+        AttachStderr: true,
+        // without a terminal, the output would come in frames
+        Tty: true,
+        Cmd: cmd,
+    };
+    const exec = await dockerJson("/containers/" + id + "/exec", "POST", {}, JSON.stringify(args));
+    const output = await dockerCall("/exec/" + exec.Id + "/start", "POST", {}, JSON.stringify({ Detach: false, Tty: true }));
+    const { ExitCode } = await dockerJson("/exec/" + exec.Id + "/json", "GET", {});
+    return { exitCode: ExitCode, output };
+}
+
+// the processes of a running container, as docker runs "ps" with "psArgs" on the host
+export const containerTop = (id, psArgs) => dockerJson("/containers/" + id + "/top", "GET", psArgs ? { ps_args: psArgs } : {});
+
 export function resizeContainersTTY(id, exec, width, height) {
     const args = {
         h: height,
@@ -167,54 +441,75 @@ function parseImageInfo(info) {
     return image;
 }
 
+function getImageInfo(id) {
+    let info = imageInfoCache.get(id);
+    if (!info) {
+        info = inspectScheduler.run(() => dockerJson("/images/" + id + "/json", "GET", {}))
+                .then(parseImageInfo);
+        info.catch(() => {
+            if (imageInfoCache.get(id) === info)
+                imageInfoCache.delete(id);
+        });
+        imageInfoCache.set(id, info);
+    }
+    return info;
+}
+
+/*
+ * List images together with their inspect data. Only images not seen before
+ * get inspected, and bursts of full listings (e.g. after several pull events)
+ * are merged while waiting for their turn.
+ */
 export function getImages(id) {
     const options = {};
     if (id)
         options.filters = JSON.stringify({ id: [id] });
 
-    return dockerJson("/images/json", "GET", options)
-        .then(reply => {
-            const images = {};
-            const promises = [];
-
-            for (const image of reply) {
-                images[image.Id] = image;
-                promises.push(dockerJson("/images/" + image.Id + "/json", "GET", {}));
-            }
-
-            return Promise.all(promises)
-                .then(replies => {
-                    for (const info of replies) {
-                        images[info.Id] = Object.assign(images[info.Id], parseImageInfo(info));
+    return inspectScheduler.run(() => dockerJson("/images/json", "GET", options), id ? undefined : "images")
+            .then(reply => {
+                if (!id) {
+                    const present = new Set(reply.map(image => image.Id));
+                    for (const cached of imageInfoCache.keys()) {
+                        if (!present.has(cached))
+                            imageInfoCache.delete(cached);
                     }
-                    return images;
-                });
-        });
+                }
+
+                return Promise.all(reply.map(image => getImageInfo(image.Id)
+                        .then(info => [image.Id, Object.assign(image, info)])));
+            })
+            .then(Object.fromEntries);
 }
 
 export const delImage = (id, force) => dockerJson("/images/" + id, "DELETE", { force });
 
+/* The registry's descriptor of the image "reference" points to, as the daemon reaches the registry */
+export const distributionInspect = (reference, requestOptions) =>
+    dockerJson("/distribution/" + reference + "/json", "GET", {}, "", requestOptions);
+
 export const untagImage = (id, repo, tag) => dockerCall("/images/" + id + "/untag", "POST", { repo, tag });
 
-export function pullImage(reference) {
+/*
+ * Pull an image, calling onProgress for every message of the progress stream
+ * (see ImagePullProgress.jsx). requestOptions.signal cancels the pull, and
+ * requestOptions.timeout gives up after that many milliseconds of the whole
+ * pull; either way this rejects with a DockerApiError, see rest.connect().
+ */
+export function pullImage(reference, onProgress, requestOptions) {
     return new Promise((resolve, reject) => {
         const options = {
             fromImage: reference,
         };
-        dockerCall("/images/create", "POST", options)
-            .then(r => {
-                // Need to check the last response if it contains error
-                const responses = r.trim().split("\n");
-                const response = JSON.parse(responses[responses.length - 1]);
-                if (response.error) {
-                    response.message = response.error;
-                    reject(response);
-                } else if (response.cause) // present for 400 and 500 errors
-                    reject(response);
-                else
-                    resolve();
-            })
-            .catch(reject);
+        let error = null;
+        dockerMonitor("/images/create", "POST", options, message => {
+            // errors are reported in-band, with a 200 response
+            if (message.error)
+                error = new DockerApiError({ message: message.error, method: "POST", path: "/images/create", body: message });
+            else if (onProgress)
+                onProgress(message);
+        }, requestOptions)
+                .then(() => error ? reject(error) : resolve())
+                .catch(reject);
     });
 }
 
@@ -225,3 +520,39 @@ export const imageHistory = (id) => dockerJson(`/images/${id}/history`, "GET", {
 export const imageExists = (id) => dockerCall("/images/" + id + "/json", "GET", {});
 
 export const containerExists = (id) => dockerCall("/containers/" + id + "/json", "GET", {});
+
+/*
+ * List volumes with their disk usage ("UsageData" with Size and RefCount),
+ * which only /system/df computes.
+ */
+export function getVolumes(capabilities) {
+    const dfArgs = capabilities?.systemDfType ? { type: "volume" } : {};
+
+    return Promise.all([
+        dockerJson("/volumes", "GET", {}),
+        dockerJson("/system/df", "GET", dfArgs),
+    ]).then(([list, df]) => {
+        const usage = {};
+        for (const volume of df.Volumes || [])
+            usage[volume.Name] = volume.UsageData;
+
+        const volumes = {};
+        for (const volume of list.Volumes || [])
+            volumes[volume.Name] = { ...volume, UsageData: usage[volume.Name] ?? volume.UsageData };
+        return volumes;
+    });
+}
+
+export const inspectVolume = (name) => dockerJson("/volumes/" + encodeURIComponent(name), "GET", {});
+
+export const createVolume = (config) => dockerJson("/volumes/create", "POST", {}, JSON.stringify(config));
+
+export const delVolume = (name, force) => dockerCall("/volumes/" + encodeURIComponent(name), "DELETE", { force });
+
+export function pruneUnusedVolumes(capabilities) {
+    const args = {};
+    // also prune named volumes, like the list of unused volumes shows
+    if (capabilities?.volumePruneAll)
+        args.filters = JSON.stringify({ all: ["true"] });
+    return dockerJson("/volumes/prune", "POST", args);
+}
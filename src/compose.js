@@ -0,0 +1,587 @@
+/*
+ * Deploy compose files ("docker-compose.yml") without docker compose:
+ * parseCompose() turns the file into the networks, volumes and containers of a project,
+ * planDeployment() checks what already exists, and deploy() creates the rest.
+ * Everything created gets the labels docker compose uses, so both see the same project.
+ */
+
+import cockpit from 'cockpit';
+import { load as loadYaml } from 'js-yaml';
+
+import * as client from './client.js';
+import { unquote_cmdline, withDefaultTag } from './util.js';
+
+const _ = cockpit.gettext;
+
+export const PROJECT_LABEL = "com.docker.compose.project";
+export const SERVICE_LABEL = "com.docker.compose.service";
+
+// give up waiting for a "service_healthy" or "service_completed_successfully" dependency
+const CONDITION_TIMEOUT = 300;
+
+const NS = 1000000000;
+
+// The keys of a service which are translated, others are reported as ignored
+const SERVICE_KEYS = [
+    "image", "container_name", "command", "entrypoint", "environment", "labels", "ports", "expose",
+    "volumes", "restart", "networks", "network_mode", "depends_on", "hostname", "domainname", "user",
+    "working_dir", "tty", "stdin_open", "privileged", "init", "cap_add", "cap_drop", "dns",
+    "extra_hosts", "mem_limit", "cpus", "stop_signal", "stop_grace_period", "healthcheck",
+];
+
+export const normalizeProjectName = name => (name || "").toLowerCase().replace(/[^a-z0-9_-]/g, "");
+
+export const isValidProjectName = name => /^[a-z0-9][a-z0-9_-]*$/.test(name);
+
+// "a=b" lists or { a: b } maps, like "environment" and "labels"
+function toKeyValues(value) {
+    if (!value)
+        return {};
+    if (Array.isArray(value)) {
+        // YAML makes numbers of entries like "- 8080"
+        return Object.fromEntries(value.map(String).map(item => {
+            const idx = item.indexOf("=");
+            return idx < 0 ? [item, null] : [item.slice(0, idx), item.slice(idx + 1)];
+        }));
+    }
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, v === null ? null : String(v)]));
+}
+
+const toCommand = value => typeof value === "string" ? unquote_cmdline(value) : value.map(String);
+
+// "1m30s", "500ms" or plain seconds → nanoseconds
+export function parseDuration(value) {
+    if (typeof value === "number")
+        return value * NS;
+    const units = { h: 3600 * NS, m: 60 * NS, s: NS, ms: NS / 1000, us: 1000, ns: 1 };
+    const parts = String(value).match(/(\d+(?:\.\d+)?)(h|ms|m|s|us|ns)/g);
+    if (!parts || parts.join("") !== String(value))
+        throw new Error(cockpit.format(_("Invalid duration $0"), value));
+    return parts.reduce((total, part) => {
+        const [, number, unit] = part.match(/(\d+(?:\.\d+)?)(\w+)/);
+        return total + Math.round(parseFloat(number) * units[unit]);
+    }, 0);
+}
+
+// "512m", "1g" or plain bytes
+export function parseBytes(value) {
+    if (typeof value === "number")
+        return value;
+    const match = String(value).toLowerCase()
+            .match(/^(\d+(?:\.\d+)?)\s*([kmgt]?)b?$/);
+    if (!match)
+        throw new Error(cockpit.format(_("Invalid size $0"), value));
+    return Math.round(parseFloat(match[1]) * 1024 ** " kmgt".indexOf(match[2] || " "));
+}
+
+// "8080:80", "127.0.0.1:8080:80/udp", "80", or { target, published, host_ip, protocol }
+function parsePort(port) {
+    if (typeof port === "object") {
+        return {
+            containerPort: String(port.target),
+            hostPort: port.published !== undefined ? String(port.published) : "",
+            hostIp: port.host_ip || "",
+            protocol: port.protocol || "tcp",
+        };
+    }
+
+    let [spec, protocol = "tcp"] = String(port).split("/");
+    // IPv6 host addresses are in brackets
+    let hostIp = "";
+    const ipv6 = spec.match(/^\[([^\]]+)\]:(.*)$/);
+    if (ipv6)
+        [, hostIp, spec] = ipv6;
+    const parts = spec.split(":");
+    if (parts.length > 3 || parts.some(part => part.includes("-")))
+        throw new Error(cockpit.format(_("Unsupported port $0"), port));
+    const containerPort = parts.pop();
+    const hostPort = parts.pop() || "";
+    hostIp = parts.pop() || hostIp;
+    return { containerPort, hostPort, hostIp, protocol };
+}
+
+// "volume:/path:ro", "/host/path:/path", "/path", or { type, source, target, read_only }
+function parseMount(spec, service) {
+    let type, source, target, readOnly;
+    if (typeof spec === "object") {
+        ({ type, source, target } = spec);
+        readOnly = !!spec.read_only;
+    } else {
+        const parts = String(spec).split(":");
+        if (parts.length === 1) {
+            [target] = parts;
+        } else {
+            [source, target] = parts;
+            readOnly = parts[2]?.split(",").includes("ro");
+        }
+        if (!source)
+            type = "volume";
+        else
+            type = source.startsWith("/") || source.startsWith(".") || source.startsWith("~") ? "bind" : "volume";
+    }
+
+    if (!["bind", "volume", "tmpfs"].includes(type))
+        throw new Error(cockpit.format(_("Service $0: unsupported mount type $1"), service, type));
+    if (type === "bind" && !source.startsWith("/"))
+        throw new Error(cockpit.format(_("Service $0: the host path $1 has to be absolute"), service, source));
+    return { type, source, target, readOnly };
+}
+
+function parseDependsOn(value) {
+    if (!value)
+        return {};
+    if (Array.isArray(value))
+        return Object.fromEntries(value.map(name => [name, "service_started"]));
+    return Object.fromEntries(Object.entries(value).map(([name, dep]) => [name, dep?.condition || "service_started"]));
+}
+
+/* Order services so that everything comes after what it depends on, keeping the file's order otherwise */
+function sortServices(services) {
+    const sorted = [];
+    const state = {};
+    const visit = (service, path) => {
+        if (state[service.name] === "done")
+            return;
+        if (state[service.name] === "visiting")
+            throw new Error(cockpit.format(_("Circular dependency between services: $0"), [...path, service.name].join(" → ")));
+        state[service.name] = "visiting";
+        for (const dep of Object.keys(service.dependsOn)) {
+            const target = services.find(s => s.name === dep);
+            if (!target)
+                throw new Error(cockpit.format(_("Service $0 depends on the unknown service $1"), service.name, dep));
+            visit(target, [...path, service.name]);
+        }
+        state[service.name] = "done";
+        sorted.push(service);
+    };
+    services.forEach(service => visit(service, []));
+    return sorted;
+}
+
+function parseService(project, name, def, resources, warnings) {
+    if (!def || typeof def !== "object")
+        throw new Error(cockpit.format(_("Service $0 has no definition"), name));
+    if (!def.image)
+        throw new Error(def.build
+            ? cockpit.format(_("Service $0 has to be built, which is not supported. Build and tag the image first, and refer to it with \"image\"."), name)
+            : cockpit.format(_("Service $0 has no image"), name));
+
+    // "x-" keys are extensions for YAML anchors, which compose itself ignores
+    Object.keys(def).filter(key => !SERVICE_KEYS.includes(key) && !key.startsWith("x-"))
+            .forEach(key => warnings.push(cockpit.format(_("Service $0: \"$1\" is not supported and ignored"), name, key)));
+
+    const labels = {
+        ...Object.fromEntries(Object.entries(toKeyValues(def.labels)).map(([k, v]) => [k, v ?? ""])),
+        [PROJECT_LABEL]: project,
+        [SERVICE_LABEL]: name,
+        "com.docker.compose.container-number": "1",
+        "com.docker.compose.oneoff": "False",
+    };
+
+    const config = { Image: def.image, Labels: labels, HostConfig: {} };
+    const hostConfig = config.HostConfig;
+
+    if (def.command)
+        config.Cmd = toCommand(def.command);
+    if (def.entrypoint)
+        config.Entrypoint = toCommand(def.entrypoint);
+    const env = toKeyValues(def.environment);
+    if (Object.keys(env).length > 0)
+        config.Env = Object.entries(env)
+                .filter(([, v]) => v !== null)
+                .map(([k, v]) => k + "=" + v);
+    if (def.hostname)
+        config.Hostname = def.hostname;
+    if (def.domainname)
+        config.Domainname = def.domainname;
+    if (def.user !== undefined)
+        config.User = String(def.user);
+    if (def.working_dir)
+        config.WorkingDir = def.working_dir;
+    if (def.tty)
+        config.Tty = true;
+    if (def.stdin_open)
+        config.OpenStdin = true;
+    if (def.stop_signal)
+        config.StopSignal = def.stop_signal;
+    if (def.stop_grace_period)
+        config.StopTimeout = Math.round(parseDuration(def.stop_grace_period) / NS);
+
+    if (def.healthcheck?.disable) {
+        config.Healthcheck = { Test: ["NONE"] };
+    } else if (def.healthcheck) {
+        const hc = def.healthcheck;
+        config.Healthcheck = {
+            Test: typeof hc.test === "string" ? ["CMD-SHELL", hc.test] : hc.test,
+            ...hc.interval && { Interval: parseDuration(hc.interval) },
+            ...hc.timeout && { Timeout: parseDuration(hc.timeout) },
+            ...hc.start_period && { StartPeriod: parseDuration(hc.start_period) },
+            ...hc.retries !== undefined && { Retries: hc.retries },
+        };
+    }
+
+    const exposed = {};
+    const bindings = {};
+    (def.expose || []).forEach(port => { exposed[String(port).includes("/") ? port : port + "/tcp"] = {} });
+    (def.ports || []).forEach(spec => {
+        const port = parsePort(spec);
+        const key = port.containerPort + "/" + port.protocol;
+        exposed[key] = {};
+        bindings[key] = bindings[key] || [];
+        bindings[key].push({ HostIp: port.hostIp, HostPort: port.hostPort });
+    });
+    if (Object.keys(exposed).length > 0)
+        config.ExposedPorts = exposed;
+    if (Object.keys(bindings).length > 0)
+        hostConfig.PortBindings = bindings;
+
+    const volumes = [];
+    const mounts = (def.volumes || []).map(spec => {
+        const mount = parseMount(spec, name);
+        if (mount.type === "volume" && mount.source) {
+            const volume = resources.volumes.find(v => v.key === mount.source);
+            if (!volume)
+                throw new Error(cockpit.format(_("Service $0 uses the volume $1, which is not declared in the top-level volumes"), name, mount.source));
+            volumes.push(volume.name);
+            return { Type: "volume", Source: volume.name, Target: mount.target, ReadOnly: mount.readOnly };
+        }
+        return { Type: mount.type, ...mount.source && { Source: mount.source }, Target: mount.target, ReadOnly: mount.readOnly };
+    });
+    if (mounts.length > 0)
+        hostConfig.Mounts = mounts;
+
+    if (def.restart) {
+        const [policy, count] = String(def.restart).split(":");
+        if (!["no", "always", "unless-stopped", "on-failure"].includes(policy))
+            throw new Error(cockpit.format(_("Service $0: unknown restart policy $1"), name, def.restart));
+        hostConfig.RestartPolicy = { Name: policy, ...count && { MaximumRetryCount: parseInt(count) } };
+    }
+    if (def.privileged)
+        hostConfig.Privileged = true;
+    if (def.init)
+        hostConfig.Init = true;
+    if (def.cap_add)
+        hostConfig.CapAdd = def.cap_add;
+    if (def.cap_drop)
+        hostConfig.CapDrop = def.cap_drop;
+    if (def.dns)
+        hostConfig.Dns = Array.isArray(def.dns) ? def.dns : [def.dns];
+    if (def.extra_hosts) {
+        hostConfig.ExtraHosts = Array.isArray(def.extra_hosts)
+            ? def.extra_hosts.map(String)
+            : Object.entries(def.extra_hosts).map(([host, ip]) => host + ":" + ip);
+    }
+    if (def.mem_limit)
+        hostConfig.Memory = parseBytes(def.mem_limit);
+    if (def.cpus)
+        hostConfig.NanoCpus = Math.round(parseFloat(def.cpus) * NS);
+
+    const dependsOn = parseDependsOn(def.depends_on);
+    const containerName = def.container_name || `${project}-${name}-1`;
+
+    // the endpoints of the container; the first one is given at creation, the rest connected afterwards
+    const endpoints = [];
+    if (def.network_mode) {
+        if (def.networks)
+            throw new Error(cockpit.format(_("Service $0 has both \"network_mode\" and \"networks\""), name));
+        let mode = def.network_mode;
+        // share the network stack of another service's container
+        if (mode.startsWith("service:")) {
+            const other = mode.slice("service:".length);
+            dependsOn[other] = dependsOn[other] || "service_started";
+            mode = "container:" + (resources.services[other]?.container_name || `${project}-${other}-1`);
+        }
+        hostConfig.NetworkMode = mode;
+    } else {
+        const serviceNetworks = Array.isArray(def.networks)
+            ? Object.fromEntries(def.networks.map(n => [n, null]))
+            : def.networks || { default: null };
+        for (const [key, options] of Object.entries(serviceNetworks)) {
+            const network = resources.networks.find(n => n.key === key);
+            if (!network)
+                throw new Error(cockpit.format(_("Service $0 uses the network $1, which is not declared in the top-level networks"), name, key));
+            endpoints.push({
+                network: network.name,
+                aliases: [name, ...(options?.aliases || [])],
+                ipv4Address: options?.ipv4_address,
+                ipv6Address: options?.ipv6_address,
+            });
+        }
+        if (endpoints.length > 0) {
+            const first = endpoints[0];
+            hostConfig.NetworkMode = first.network;
+            config.NetworkingConfig = {
+                EndpointsConfig: {
+                    [first.network]: {
+                        Aliases: first.aliases,
+                        ...(first.ipv4Address || first.ipv6Address) && {
+                            IPAMConfig: { IPv4Address: first.ipv4Address, IPv6Address: first.ipv6Address }
+                        },
+                    },
+                },
+            };
+        }
+    }
+
+    return {
+        name,
+        containerName,
+        image: def.image,
+        dependsOn,
+        config,
+        extraEndpoints: endpoints.slice(1),
+        networks: endpoints.map(e => e.network),
+        volumes,
+    };
+}
+
+function parseResources(project, section, kind, used) {
+    return Object.entries(section || {})
+            .filter(([key]) => used.has(key))
+            .map(([key, def]) => {
+                def = def || {};
+                const external = def.external === true || !!def.external?.name;
+                const name = def.external?.name || def.name || (external ? key : `${project}_${key}`);
+                const labels = { ...toKeyValues(def.labels), [PROJECT_LABEL]: project, ["com.docker.compose." + kind]: key };
+                Object.keys(labels).forEach(k => { labels[k] = labels[k] ?? "" });
+                return { key, name, external, def, labels };
+            });
+}
+
+/*
+ * Parse the text of a compose file into
+ *   { project, networks, volumes, services, warnings }
+ * with the services ordered by their dependencies. Throws an Error with a
+ * translated message when the file cannot be deployed.
+ */
+export function parseCompose(text, projectName) {
+    let doc;
+    try {
+        doc = loadYaml(text);
+    } catch (ex) {
+        throw new Error(cockpit.format(_("The file is not valid YAML: $0"), ex.message));
+    }
+    if (!doc || typeof doc !== "object" || !doc.services || typeof doc.services !== "object")
+        throw new Error(_("The file has no services"));
+
+    const project = normalizeProjectName(projectName || doc.name);
+    if (!isValidProjectName(project))
+        throw new Error(_("A project name is required. It can only contain lowercase letters, numbers, \"_\" and \"-\"."));
+
+    const warnings = [];
+    Object.keys(doc).filter(key => !["version", "name", "services", "networks", "volumes"].includes(key) && !key.startsWith("x-"))
+            .forEach(key => warnings.push(cockpit.format(_("\"$0\" is not supported and ignored"), key)));
+
+    // like docker compose, only create the networks and volumes which are used, and "default" if needed
+    const usedNetworks = new Set();
+    const usedVolumes = new Set();
+    for (const def of Object.values(doc.services)) {
+        if (!def?.network_mode) {
+            const networks = Array.isArray(def?.networks) ? def.networks : Object.keys(def?.networks || { default: null });
+            networks.forEach(n => usedNetworks.add(n));
+        }
+        (def?.volumes || []).forEach(spec => {
+            if (typeof spec === "object") {
+                if (spec.type === "volume" && spec.source)
+                    usedVolumes.add(spec.source);
+            } else if (String(spec).includes(":") && !/^[/.~]/.test(spec)) {
+                usedVolumes.add(String(spec).split(":")[0]);
+            }
+        });
+    }
+
+    const networkDefs = { default: null, ...doc.networks };
+    const resources = {
+        services: doc.services,
+        networks: parseResources(project, networkDefs, "network", usedNetworks),
+        volumes: parseResources(project, doc.volumes, "volume", usedVolumes),
+    };
+    resources.networks.forEach(network => {
+        const def = network.def;
+        network.options = {
+            internal: !!def.internal,
+            ipv6: !!def.enable_ipv6,
+            labels: network.labels,
+        };
+        network.driver = def.driver || "bridge";
+        // only the first pool of each family, which is what the network dialog offers
+        (def.ipam?.config || []).forEach(pool => {
+            const isV6 = pool.subnet?.includes(":");
+            if (isV6 && !network.options.ipv6Subnet) {
+                network.options.ipv6Subnet = pool.subnet;
+                network.options.ipv6Gateway = pool.gateway;
+            } else if (!isV6 && !network.options.subnet) {
+                network.options.subnet = pool.subnet;
+                network.options.gateway = pool.gateway;
+                network.options.ipRange = pool.ip_range;
+            }
+        });
+    });
+    resources.volumes.forEach(volume => {
+        volume.config = {
+            Name: volume.name,
+            Driver: volume.def.driver || "local",
+            DriverOpts: volume.def.driver_opts || {},
+            Labels: volume.labels,
+        };
+    });
+
+    const services = sortServices(Object.entries(doc.services).map(([name, def]) => parseService(project, name, def, resources, warnings)));
+
+    return { project, networks: resources.networks, volumes: resources.volumes, services, warnings };
+}
+
+const notFound = ex => ex.status === 404;
+
+// resolves to true if the object exists, false if docker does not know it
+const exists = promise => promise.then(() => true, ex => { if (notFound(ex)) return false; throw ex });
+
+/*
+ * Find out which parts of a parsed project already exist. Every network, volume and
+ * service gets an "action": "create", "exists", or "missing" for external ones that
+ * do not exist; services also get "pull" when their image is not available locally.
+ */
+export async function planDeployment(model) {
+    const networks = await Promise.all(model.networks.map(async network => {
+        const found = await exists(client.inspectNetwork(network.name));
+        return { ...network, action: found ? "exists" : network.external ? "missing" : "create" };
+    }));
+    const volumes = await Promise.all(model.volumes.map(async volume => {
+        const found = await exists(client.inspectVolume(volume.name));
+        return { ...volume, action: found ? "exists" : volume.external ? "missing" : "create" };
+    }));
+    const services = await Promise.all(model.services.map(async service => {
+        // the image that gets checked, pulled and run has to be the same
+        const image = withDefaultTag(service.image);
+        const [found, haveImage] = await Promise.all([
+            exists(client.inspectContainer(service.containerName)),
+            exists(client.inspectImage(image)),
+        ]);
+        return {
+            ...service,
+            image,
+            config: { ...service.config, Image: image },
+            action: found ? "exists" : "create",
+            pull: !found && !haveImage,
+        };
+    }));
+
+    const problems = [
+        ...networks.filter(n => n.action === "missing").map(n => cockpit.format(_("The external network $0 does not exist"), n.name)),
+        ...volumes.filter(v => v.action === "missing").map(v => cockpit.format(_("The external volume $0 does not exist"), v.name)),
+    ];
+
+    return { ...model, networks, volumes, services, problems };
+}
+
+async function waitForCondition(id, condition) {
+    const deadline = Date.now() + CONDITION_TIMEOUT * 1000;
+    while (Date.now() < deadline) {
+        const state = (await client.inspectContainer(id)).State;
+        if (condition === "service_healthy") {
+            if (!state.Health)
+                throw new Error(_("The container has no health check"));
+            if (state.Health.Status === "healthy")
+                return;
+            if (state.Health.Status === "unhealthy")
+                throw new Error(_("The container is unhealthy"));
+        } else if (condition === "service_completed_successfully") {
+            if (state.Status === "exited" || state.Status === "dead") {
+                if (state.ExitCode === 0)
+                    return;
+                throw new Error(cockpit.format(_("The container exited with code $0"), state.ExitCode));
+            }
+        } else {
+            return;
+        }
+        await new Promise(resolve => window.setTimeout(resolve, 1000));
+    }
+    throw new Error(_("Timed out waiting for the container"));
+}
+
+/*
+ * Create what planDeployment() found missing. "onProgress(kind, name, status, detail)" follows
+ * every step, with "status" one of "running", "done", "failed" or "skipped".
+ * Resolves to the list of { service, error } of all services which failed or got skipped.
+ */
+export async function deploy(plan, onProgress) {
+    const failedResources = new Set();
+
+    for (const network of plan.networks.filter(n => n.action === "create")) {
+        onProgress("network", network.name, "running");
+        try {
+            await client.createNetwork(network.name, network.driver, network.options);
+            onProgress("network", network.name, "done");
+        } catch (ex) {
+            failedResources.add(network.name);
+            onProgress("network", network.name, "failed", ex.message);
+        }
+    }
+
+    for (const volume of plan.volumes.filter(v => v.action === "create")) {
+        onProgress("volume", volume.name, "running");
+        try {
+            await client.createVolume(volume.config);
+            onProgress("volume", volume.name, "done");
+        } catch (ex) {
+            failedResources.add(volume.name);
+            onProgress("volume", volume.name, "failed", ex.message);
+        }
+    }
+
+    const failures = [];
+    const containerIds = {};
+    for (const service of plan.services) {
+        const fail = (error, status = "failed") => {
+            failures.push({ service: service.name, error });
+            onProgress("service", service.name, status, error.message);
+        };
+
+        const blockedBy = Object.keys(service.dependsOn).find(dep => !containerIds[dep]);
+        if (blockedBy) {
+            fail(new Error(cockpit.format(_("Skipped, as the service $0 failed"), blockedBy)), "skipped");
+            continue;
+        }
+        const missing = [...service.networks, ...service.volumes].find(name => failedResources.has(name));
+        if (missing) {
+            fail(new Error(cockpit.format(_("Skipped, as creating $0 failed"), missing)), "skipped");
+            continue;
+        }
+
+        onProgress("service", service.name, "running");
+        try {
+            for (const [dep, condition] of Object.entries(service.dependsOn)) {
+                if (condition !== "service_started") {
+                    onProgress("service", service.name, "running", cockpit.format(_("Waiting for $0"), dep));
+                    await waitForCondition(containerIds[dep], condition);
+                }
+            }
+
+            if (service.action === "exists") {
+                const container = await client.inspectContainer(service.containerName);
+                if (container.State.Status !== "running")
+                    await client.postContainer("start", container.Id, {});
+                containerIds[service.name] = container.Id;
+                onProgress("service", service.name, "done", _("Already exists"));
+                continue;
+            }
+
+            if (service.pull) {
+                onProgress("service", service.name, "running", cockpit.format(_("Pulling $0"), service.image));
+                await client.pullImage(service.image);
+            }
+
+            onProgress("service", service.name, "running", _("Creating"));
+            const reply = await client.createContainer(service.config, service.containerName);
+            for (const endpoint of service.extraEndpoints)
+                await client.connectNetwork(endpoint.network, reply.Id, endpoint);
+            await client.postContainer("start", reply.Id, {});
+            containerIds[service.name] = reply.Id;
+            onProgress("service", service.name, "done");
+        } catch (ex) {
+            fail(ex);
+        }
+    }
+
+    return failures;
+}
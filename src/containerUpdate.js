@@ -0,0 +1,264 @@
+/*
+ * Update a container to a newer image: pull, stop and rename the old container,
+ * create a new one with the same configuration, and only remove the old one once
+ * the new one is up. Any failure on the way restores the old container.
+ */
+import cockpit from 'cockpit';
+
+import * as client from './client.js';
+import { withDefaultTag } from './util.js';
+
+const _ = cockpit.gettext;
+
+// seconds a container without health check has to stay up to count as started
+const STARTUP_GRACE = 3;
+// seconds to wait for a health check to become "healthy"
+const HEALTH_TIMEOUT = 300;
+
+export const STEPS = ["pull", "stop", "create", "start", "check", "remove"];
+
+export const stepLabels = {
+    pull: _("Pull the image"),
+    stop: _("Stop the old container"),
+    create: _("Create the new container"),
+    start: _("Start the new container"),
+    check: _("Check the new container"),
+    remove: _("Remove the old container"),
+    rollback: _("Restore the old container"),
+};
+
+const sleep = seconds => new Promise(resolve => window.setTimeout(resolve, seconds * 1000));
+
+const sameJson = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/*
+ * The reference to pull the newer image from. Images referenced by ID or digest cannot get
+ * any newer. Containers docker removes once they stop cannot be updated either, as stopping
+ * them would leave nothing to restore.
+ */
+export function updatableReference(container) {
+    const ref = container.Config?.Image || "";
+    if (!ref || ref.startsWith("sha256:") || ref.includes("@") || container.Image?.startsWith("sha256:" + ref))
+        return null;
+    if (container.HostConfig?.AutoRemove)
+        return null;
+    return withDefaultTag(ref);
+}
+
+/*
+ * Drop what the container only got from its old image, so that the new image's
+ * defaults apply. What was set on creation stays, even if it differs from them.
+ */
+function stripImageDefaults(config, imageConfig) {
+    const result = { ...config };
+    const image = imageConfig || {};
+
+    if (result.Env && image.Env)
+        result.Env = result.Env.filter(entry => !image.Env.includes(entry));
+    if (result.Labels && image.Labels) {
+        result.Labels = Object.fromEntries(Object.entries(result.Labels)
+                .filter(([key, value]) => image.Labels[key] !== value));
+    }
+    for (const key of ["ExposedPorts", "Volumes"]) {
+        if (result[key] && image[key]) {
+            result[key] = Object.fromEntries(Object.entries(result[key])
+                    .filter(([name]) => !(name in image[key])));
+        }
+    }
+    for (const key of ["Cmd", "Entrypoint", "WorkingDir", "User", "Healthcheck", "StopSignal", "OnBuild", "Shell"]) {
+        if (sameJson(result[key], image[key]))
+            delete result[key];
+    }
+    return result;
+}
+
+/* Endpoint settings the user can give, without what docker assigned at runtime */
+function endpointConfig(container, network, endpoint) {
+    const config = {};
+    const shortId = container.Id.substring(0, 12);
+    const aliases = (endpoint.Aliases || []).filter(alias => alias !== shortId && alias !== container.Config?.Hostname);
+    // the default bridge does not do aliases
+    if (aliases.length > 0 && network !== "bridge")
+        config.Aliases = aliases;
+    if (endpoint.IPAMConfig)
+        config.IPAMConfig = endpoint.IPAMConfig;
+    if (endpoint.DriverOpts)
+        config.DriverOpts = endpoint.DriverOpts;
+    return config;
+}
+
+/*
+ * The create request for the new container, from the inspected old one and its image.
+ * Like the "networks" of a compose service, all but the first network get connected
+ * after creating, as docker before API 1.44 takes only one.
+ */
+export function recreateConfig(container, oldImage, reference) {
+    const config = stripImageDefaults(container.Config, oldImage?.Config);
+    config.Image = reference;
+
+    // docker sets the host name to the ID, which has to follow it
+    if (config.Hostname === container.Id.substring(0, 12))
+        delete config.Hostname;
+
+    const hostConfig = { ...container.HostConfig };
+    // inspect shows links as "/target:/container/alias", creating wants "target:alias"
+    if (hostConfig.Links) {
+        hostConfig.Links = hostConfig.Links.map(link => {
+            const [target, alias] = link.split(":");
+            return target.replace(/^\//, "") + ":" + alias.split("/").pop();
+        });
+    }
+    // anonymous volumes are not part of the HostConfig, but their data has to move along
+    const explicit = [
+        ...(hostConfig.Binds || []).map(bind => bind.split(":")[1]),
+        ...(hostConfig.Mounts || []).map(mount => mount.Target),
+    ];
+    const anonymous = (container.Mounts || [])
+            .filter(mount => mount.Type === "volume" && !explicit.includes(mount.Destination));
+    if (anonymous.length > 0) {
+        hostConfig.Mounts = [
+            ...hostConfig.Mounts || [],
+            ...anonymous.map(mount => ({ Type: "volume", Source: mount.Name, Target: mount.Destination, ReadOnly: !mount.RW })),
+        ];
+    }
+    config.HostConfig = hostConfig;
+
+    const networkMode = hostConfig.NetworkMode || "";
+    const endpoints = Object.entries(container.NetworkSettings?.Networks || {});
+    const extraEndpoints = [];
+    if (endpoints.length > 0 && !["host", "none"].includes(networkMode) && !networkMode.startsWith("container:")) {
+        // the network given as NetworkMode has to be the one at creation
+        const first = endpoints.find(([name]) => name === networkMode) || endpoints[0];
+        config.NetworkingConfig = { EndpointsConfig: { [first[0]]: endpointConfig(container, first[0], first[1]) } };
+        endpoints.filter(endpoint => endpoint !== first).forEach(([name, endpoint]) => {
+            const settings = endpointConfig(container, name, endpoint);
+            extraEndpoints.push({
+                network: name,
+                aliases: settings.Aliases,
+                ipv4Address: settings.IPAMConfig?.IPv4Address,
+                ipv6Address: settings.IPAMConfig?.IPv6Address,
+            });
+        });
+    }
+
+    return { config, extraEndpoints };
+}
+
+async function waitUntilUp(id) {
+    const container = await client.inspectContainer(id);
+    if (!container.State.Health) {
+        await sleep(STARTUP_GRACE);
+        const state = (await client.inspectContainer(id)).State;
+        if (!state.Running)
+            throw new Error(cockpit.format(_("The new container exited with code $0"), state.ExitCode));
+        return;
+    }
+
+    const deadline = Date.now() + HEALTH_TIMEOUT * 1000;
+    while (Date.now() < deadline) {
+        const state = (await client.inspectContainer(id)).State;
+        if (!state.Running)
+            throw new Error(cockpit.format(_("The new container exited with code $0"), state.ExitCode));
+        if (state.Health.Status === "healthy")
+            return;
+        if (state.Health.Status === "unhealthy")
+            throw new Error(_("The new container is unhealthy"));
+        await sleep(1);
+    }
+    throw new Error(_("Timed out waiting for the new container to become healthy"));
+}
+
+/*
+ * Update "container" (as inspected) to the newest image of its reference. "onProgress(step, status, detail)"
+ * follows the STEPS, and "rollback" if needed, with "status" one of "running", "done", "skipped" or "failed".
+ * Resolves to true if the container was updated, and false if the image was up to date already.
+ * Rejects with the error that made it roll back.
+ */
+export async function updateContainer(container, onProgress) {
+    if (container.HostConfig?.AutoRemove)
+        throw new Error(_("The container gets removed when it stops, so it cannot be replaced by an updated one"));
+    const reference = updatableReference(container);
+    if (!reference)
+        throw new Error(_("The container was created from an image ID or digest, which cannot be updated"));
+
+    const name = container.Name.replace(/^\//, "");
+    const wasRunning = ["running", "paused", "restarting"].includes(container.State.Status);
+    const oldImage = await client.inspectImage(container.Image).catch(() => null);
+
+    let step = "pull";
+    let stopped = false;
+    let renamed = false;
+    let newId = null;
+
+    try {
+        onProgress("pull", "running", reference);
+        await client.pullImage(reference);
+        const newImage = await client.inspectImage(reference);
+        if (newImage.Id === container.Image) {
+            onProgress("pull", "done", _("The image is up to date"));
+            return false;
+        }
+        onProgress("pull", "done");
+
+        step = "stop";
+        onProgress("stop", "running");
+        if (wasRunning) {
+            await client.postContainer("stop", container.Id, {});
+            stopped = true;
+        }
+        await client.renameContainer(container.Id, { name: name + "-old-" + container.Id.substring(0, 12) });
+        renamed = true;
+        onProgress("stop", "done");
+
+        step = "create";
+        onProgress("create", "running");
+        const { config, extraEndpoints } = recreateConfig(container, oldImage, reference);
+        newId = (await client.createContainer(config, name)).Id;
+        for (const endpoint of extraEndpoints)
+            await client.connectNetwork(endpoint.network, newId, endpoint);
+        onProgress("create", "done");
+
+        if (wasRunning) {
+            step = "start";
+            onProgress("start", "running");
+            await client.postContainer("start", newId, {});
+            onProgress("start", "done");
+
+            step = "check";
+            onProgress("check", "running");
+            await waitUntilUp(newId);
+            onProgress("check", "done");
+        } else {
+            // a stopped container stays stopped, and there is nothing to check
+            onProgress("start", "skipped", _("The old container was not running"));
+            onProgress("check", "skipped");
+        }
+    } catch (ex) {
+        onProgress(step, "failed", ex.message);
+        onProgress("rollback", "running");
+        try {
+            if (newId)
+                await client.delContainer(newId, true);
+            if (renamed)
+                await client.renameContainer(container.Id, { name });
+            if (stopped)
+                await client.postContainer("start", container.Id, {});
+            onProgress("rollback", "done");
+        } catch (rollbackEx) {
+            onProgress("rollback", "failed", rollbackEx.message);
+            ex.message = cockpit.format(_("$0. Restoring the old container failed as well: $1"), ex.message, rollbackEx.message);
+        }
+        throw ex;
+    }
+
+    // the new container is in place, so failing to clean up is no reason to roll back
+    onProgress("remove", "running");
+    try {
+        await client.delContainer(container.Id, true);
+        onProgress("remove", "done");
+    } catch (ex) {
+        onProgress("remove", "failed", ex.message);
+        throw new Error(cockpit.format(_("The container was updated, but removing the old one failed: $0"), ex.message));
+    }
+    return true;
+}
@@ -0,0 +1,89 @@
+/*
+ * Find images with a newer version in their registry, by comparing the digests docker
+ * recorded when pulling them ("RepoDigests") with the registry's current manifest digest
+ * of the same tag. The daemon asks the registry, through its mirrors and settings.
+ */
+import * as client from './client.js';
+import { createScheduler } from './scheduler.js';
+
+// registries asked at the same time
+const CHECK_CONCURRENCY = 2;
+
+// hours between two checks in the background
+export const CHECK_INTERVAL = 6;
+
+// milliseconds to wait for the daemon to ask the registry
+const CHECK_TIMEOUT = 30000;
+
+/*
+ * Split an image reference into name and tag, the way docker reads it.
+ * "name" is the reference without the tag, as docker shows it in RepoTags and RepoDigests.
+ * References by digest have no tag to check, and give null.
+ */
+export function parseReference(reference) {
+    if (!reference || reference.includes("@"))
+        return null;
+
+    let name = reference;
+    let tag = "latest";
+    const colon = name.lastIndexOf(":");
+    if (colon > name.lastIndexOf("/")) {
+        tag = name.substring(colon + 1);
+        name = name.substring(0, colon);
+    }
+
+    return { name, tag };
+}
+
+/* The RepoTags entry of a container's image reference, where the check results are kept */
+export function tagOf(reference) {
+    const ref = parseReference(reference);
+    return ref ? ref.name + ":" + ref.tag : null;
+}
+
+/*
+ * Check all tags of the given images, which were pulled from a registry. Resolves to
+ * { tag: { status, imageId, remoteDigest, error } } with "status" being "available",
+ * "current", or "unknown" if the registry could not tell.
+ */
+export function checkImages(images) {
+    const scheduler = createScheduler(CHECK_CONCURRENCY);
+    const checks = [];
+
+    for (const image of images) {
+        for (const tag of image.RepoTags || []) {
+            const ref = parseReference(tag);
+            const digests = (image.RepoDigests || [])
+                    .filter(entry => entry.startsWith(ref?.name + "@"))
+                    .map(entry => entry.substring(entry.indexOf("@") + 1));
+            // built or loaded here, so there is nothing to compare with
+            if (!ref || digests.length === 0)
+                continue;
+
+            checks.push(scheduler.run(() => client.distributionInspect(tag, { timeout: CHECK_TIMEOUT }))
+                    .then(reply => reply.Descriptor.Digest)
+                    .then(remote => [tag, {
+                        status: digests.includes(remote) ? "current" : "available",
+                        imageId: image.Id,
+                        remoteDigest: remote,
+                    }])
+                    .catch(ex => [tag, { status: "unknown", imageId: image.Id, error: ex.message }]));
+        }
+    }
+
+    return Promise.all(checks).then(Object.fromEntries);
+}
+
+/*
+ * A container is out of date when the registry has a newer image for its tag, or when
+ * a newer one got pulled already but the container still runs the old one.
+ */
+export function containerHasUpdate(container, imageUpdates) {
+    const result = imageUpdates[tagOf(container.Config?.Image)];
+    if (!result)
+        return false;
+    return result.status === "available" || result.imageId !== container.Image;
+}
+
+export const imageHasUpdate = (image, imageUpdates) =>
+    (image.RepoTags || []).some(tag => imageUpdates[tag]?.status === "available");
@@ -0,0 +1,128 @@
+/*
+ * Docker multiplexes the stdout and stderr of containers without a terminal into
+ * one stream of frames: an 8 byte header with the stream in the first byte and the
+ * size of the payload in the last four (big endian), followed by the payload. The
+ * chunks of an HTTP response do not keep to the frame boundaries, a chunk can hold
+ * several frames, or only a part of one.
+ * Containers with a terminal have only one stream, which comes as it is.
+ * See "Stream format" on https://docs.docker.com/engine/api/v1.43/#tag/Container/operation/ContainerAttach
+ *
+ * The Logs tab and the logs download share the choice of streams and time here.
+ */
+
+import cockpit from 'cockpit';
+
+import * as client from './client.js';
+import * as utils from './util.js';
+
+const _ = cockpit.gettext;
+
+const HEADER = 8;
+
+// the streams the logs can be limited to
+export const streamFilters = [
+    { id: "all", label: _("All"), params: { stdout: true, stderr: true } },
+    { id: "stdout", label: "stdout", params: { stdout: true, stderr: false } }, // Do not translate
+    { id: "stderr", label: "stderr", params: { stdout: false, stderr: true } }, // Do not translate
+];
+
+const streams = {
+    0: "stdin",
+    1: "stdout",
+    2: "stderr",
+};
+
+/*
+ * Split the chunks given to "write()" into frames, calling "onFrame(stream, payload)"
+ * for each, with "stream" being "stdout" or "stderr" and "payload" a Uint8Array.
+ * With "tty", the chunks get passed on as stdout.
+ */
+export function createLogDemuxer(onFrame, tty) {
+    let pending = new Uint8Array(0);
+
+    return {
+        write(chunk) {
+            if (tty) {
+                onFrame("stdout", chunk);
+                return;
+            }
+
+            let data = chunk;
+            if (pending.length > 0) {
+                data = new Uint8Array(pending.length + chunk.length);
+                data.set(pending);
+                data.set(chunk, pending.length);
+            }
+
+            while (data.length >= HEADER) {
+                const size = new DataView(data.buffer, data.byteOffset + 4, 4).getUint32(0);
+                if (data.length < HEADER + size)
+                    break;
+                onFrame(streams[data[0]] ?? "stdout", data.subarray(HEADER, HEADER + size));
+                data = data.subarray(HEADER + size);
+            }
+            pending = data.slice();
+        },
+    };
+}
+
+// the value of a datetime-local input in seconds since the epoch, which /logs expects
+const toUnixTime = value => Math.floor(new Date(value).getTime() / 1000);
+
+/* The /logs parameters for the streams of "streamFilter", between the datetime-local values "since" and "until" */
+export function logsParams({ streamFilter = "all", since, until, timestamps }) {
+    return {
+        timestamps: !!timestamps,
+        ...since && { since: toUnixTime(since) },
+        ...until && { until: toUnixTime(until) },
+        ...streamFilters.find(filter => filter.id === streamFilter).params,
+    };
+}
+
+// the most of the logs of a container without a terminal that gets downloaded, as they are kept in memory
+export const DOWNLOAD_LIMIT = 50 * 1024 * 1024;
+
+/*
+ * Let the browser download the logs of "container" as "<name>.log", without the frame headers.
+ * The options are those of logsParams(). This does not follow, so it works for stopped containers too.
+ * Logs with a terminal come as they are, so the browser streams them to disk. The frame headers of
+ * the others get dropped here, in memory, which keeps them to DOWNLOAD_LIMIT bytes; this resolves
+ * to true when they got cut off there.
+ */
+export async function downloadLogs(container, options, requestOptions = {}) {
+    const fileName = container.Name.replace(/^\//, "") + ".log";
+    const params = { ...logsParams(options), follow: false };
+
+    if (container.Config?.Tty) {
+        utils.downloadUrl(client.downloadUrl("/containers/" + container.Id + "/logs", params, fileName, "text/plain"), fileName);
+        return false;
+    }
+
+    // stops the request at the limit, and when the caller's signal fires
+    const { signal, ...rest } = requestOptions;
+    const controller = new AbortController();
+    if (signal?.aborted)
+        controller.abort();
+    signal?.addEventListener("abort", () => controller.abort());
+
+    const chunks = [];
+    let size = 0;
+    const demuxer = createLogDemuxer((_stream, payload) => {
+        if (size >= DOWNLOAD_LIMIT)
+            return;
+        const part = payload.subarray(0, DOWNLOAD_LIMIT - size);
+        chunks.push(part);
+        size += part.length;
+        if (size >= DOWNLOAD_LIMIT)
+            controller.abort();
+    }, false);
+
+    try {
+        await client.containerLogs(container.Id, params, demuxer.write, { ...rest, signal: controller.signal });
+    } catch (ex) {
+        if (!ex.cancelled || signal?.aborted || size < DOWNLOAD_LIMIT)
+            throw ex;
+    }
+    utils.downloadBlob(new Blob(chunks, { type: "text/plain" }), fileName);
+    return size >= DOWNLOAD_LIMIT;
+}
@@ -1,32 +1,107 @@
 import cockpit from "cockpit";
 import { debug } from "./util.js";
 
-function manage_error(reject, error, content) {
+/*
+ * Error of a docker API request. "status" is the HTTP status (undefined if the
+ * request did not get that far, then "problem" says why), "message" is docker's
+ * own error message, and "endpoint", "method", "path" and "requestId" identify
+ * the failed request.
+ */
+export class DockerApiError extends Error {
+    constructor({ status, reason, problem, message, endpoint, method, path, requestId, body }) {
+        super(message || reason || problem || "unknown error");
+        this.name = "DockerApiError";
+        this.status = status;
+        this.reason = reason;
+        this.problem = problem;
+        this.endpoint = endpoint;
+        this.method = method;
+        this.path = path;
+        this.requestId = requestId;
+        this.body = body;
+    }
+
+    /* The request was aborted through its signal, see connect() */
+    get cancelled() {
+        return this.problem === "cancelled";
+    }
+}
+
+function describe_address(address) {
+    if (typeof address === "string")
+        return address;
+    return address.unix ?? address.address + ":" + address.port;
+}
+
+function manage_error(reject, error, content, request) {
     let content_o = {};
     if (content) {
+        if (content instanceof Uint8Array)
+            content = new TextDecoder().decode(content);
         try {
             content_o = JSON.parse(content);
         } catch {
             content_o.message = content;
         }
     }
-    const c = { ...error, ...content_o };
-    reject(c);
+    reject(new DockerApiError({
+        ...request,
+        status: error.status,
+        reason: error.reason,
+        problem: error.problem,
+        message: content_o.message || error.message,
+        body: content_o,
+    }));
 }
 
 // calls are async, so keep track of a call counter to associate a result with a call
 let call_id = 0;
 
+/*
+ * Close a running cockpit http request when the AbortSignal fires ("cancelled")
+ * or after "timeout" milliseconds ("timeout"). Returns the cleanup function to
+ * call once the request is done.
+ */
+function watch_request(req, signal, timeout) {
+    const abort = () => req.close("cancelled");
+    const timer = timeout ? window.setTimeout(() => req.close("timeout"), timeout) : null;
+    signal?.addEventListener("abort", abort);
+
+    return () => {
+        window.clearTimeout(timer);
+        signal?.removeEventListener("abort", abort);
+    };
+}
+
+/*
+ * The address is either the path of a unix socket, or a set of cockpit
+ * channel options ({ unix } or { address, port, tls }) describing the endpoint.
+ *
+ * Besides the cockpit.http request options, call() and monitor() accept
+ * "signal", an AbortSignal to cancel the request, and "timeout" in
+ * milliseconds. Both reject with a DockerApiError whose "problem" is
+ * "cancelled" or "timeout". call() also takes "onResponse(status, headers)"
+ * for replies which say more in their headers than in their body.
+ */
 function connect(address) {
     /* This doesn't create a channel until a request */
-    const http = cockpit.http(address, { superuser: null });
+    const http = typeof address === "string"
+        ? cockpit.http(address, { superuser: null })
+        : cockpit.http({ ...address, superuser: null });
     const connection = {};
 
-    connection.monitor = function(options, callback, return_raw) {
+    connection.monitor = function({ signal, timeout, ...options }, callback, return_raw) {
+        const id = call_id++;
+        const request = { endpoint: describe_address(address), method: options.method, path: options.path, requestId: id };
         return new Promise((resolve, reject) => {
+            if (signal?.aborted)
+                return reject(new DockerApiError({ ...request, problem: "cancelled" }));
+
             let buffer = "";
 
-            http.request(options)
+            const req = http.request(options);
+            const done = watch_request(req, signal, timeout);
+            req
                     .stream(data => {
                         if (return_raw)
                             callback(data);
@@ -42,25 +117,38 @@ function connect(address) {
                         }
                     })
                     .catch((error, content) => {
-                        manage_error(reject, error, content);
+                        done();
+                        manage_error(reject, error, content, request);
                     })
-                    .then(resolve);
+                    .then(() => {
+                        done();
+                        resolve();
+                    });
         });
     };
 
-    connection.call = function (options) {
+    connection.call = function ({ signal, timeout, onResponse, ...options } = {}) {
         const id = call_id++;
         debug(`call ${id}:`, JSON.stringify(options));
         return new Promise((resolve, reject) => {
-            options = options || {};
-            http.request(options)
+            const request = { endpoint: describe_address(address), method: options.method, path: options.path, requestId: id };
+            if (signal?.aborted)
+                return reject(new DockerApiError({ ...request, problem: "cancelled" }));
+
+            const req = http.request(options);
+            const done = watch_request(req, signal, timeout);
+            if (onResponse)
+                req.response(onResponse);
+            req
                     .then(result => {
+                        done();
                         debug(`call ${id} result:`, JSON.stringify(result));
                         resolve(result);
                     })
                     .catch((error, content) => {
+                        done();
                         debug(`call ${id} error:`, JSON.stringify(error), "content", JSON.stringify(content));
-                        manage_error(reject, error, content);
+                        manage_error(reject, error, content, request);
                     });
         });
     };
@@ -78,8 +166,12 @@ function connect(address) {
  */
 async function call (address, parameters) {
     const connection = connect(address);
-    const result = await connection.call(parameters);
-    connection.close();
+    let result;
+    try {
+        result = await connection.call(parameters);
+    } finally {
+        connection.close();
+    }
     // if (parameters.method === "GET")
     //     return result;
 
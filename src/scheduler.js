@@ -0,0 +1,51 @@
+/*
+ * Run async tasks with at most "concurrency" of them in flight, so that loading
+ * hundreds of objects at once does not flood the docker socket.
+ *
+ * Tasks can be given a key: a task queued under the same key as one that is
+ * still waiting for its turn is merged into it and shares its result. A task
+ * that already started is never reused, so a result is never older than the
+ * request for it.
+ */
+export function createScheduler(concurrency) {
+    const queue = [];
+    const waiting = new Map(); // key → queued task
+    let running = 0;
+
+    function next() {
+        while (running < concurrency && queue.length > 0) {
+            const task = queue.shift();
+            if (task.key !== undefined)
+                waiting.delete(task.key);
+
+            running++;
+            Promise.resolve()
+                    .then(task.fn)
+                    .then(task.resolve, task.reject)
+                    .finally(() => {
+                        running--;
+                        next();
+                    });
+        }
+    }
+
+    function run(fn, key) {
+        if (key !== undefined && waiting.has(key))
+            return waiting.get(key).promise;
+
+        const task = { fn, key };
+        task.promise = new Promise((resolve, reject) => {
+            task.resolve = resolve;
+            task.reject = reject;
+        });
+
+        queue.push(task);
+        if (key !== undefined)
+            waiting.set(key, task);
+        next();
+
+        return task.promise;
+    }
+
+    return { run };
+}
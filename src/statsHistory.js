@@ -0,0 +1,125 @@
+/*
+ * The samples of the containers' stats streams, kept for the whole session so that
+ * their course can be charted. Only the counters docker sends are kept; the rates get
+ * calculated between neighbouring samples, so that dropping samples in between keeps
+ * the averages right.
+ */
+
+import { block_io_bytes, network_io_bytes } from './util.js';
+
+// samples kept per container before older ones get thinned out
+const MAX_SAMPLES = 3600;
+// the most recent samples never get thinned out, in milliseconds
+const FULL_RESOLUTION = 30 * 60 * 1000;
+
+/* The counters of a reply of the stats stream */
+export function statsSample(stats, stream) {
+    const network = network_io_bytes(stats);
+    const block = block_io_bytes(stats);
+    return {
+        time: Date.parse(stats.read),
+        stream,
+        cpuUsage: stats.cpu_stats?.cpu_usage?.total_usage,
+        systemUsage: stats.cpu_stats?.system_cpu_usage,
+        onlineCpus: stats.cpu_stats?.online_cpus || 1,
+        memory: stats.memory_stats?.usage,
+        memoryLimit: stats.memory_stats?.limit,
+        netRx: network.rx,
+        netTx: network.tx,
+        blockRead: block.read,
+        blockWrite: block.write,
+    };
+}
+
+export function createStatsHistory() {
+    const history = new Map(); // container id → samples, oldest first
+
+    // drop every other sample of those older than FULL_RESOLUTION, keeping the first and last of each stream
+    function thin(samples) {
+        const cutoff = samples[samples.length - 1].time - FULL_RESOLUTION;
+        let odd = false;
+        return samples.filter((sample, idx) => {
+            const prev = samples[idx - 1];
+            const next = samples[idx + 1];
+            if (sample.time >= cutoff || prev?.stream !== sample.stream || next?.stream !== sample.stream)
+                return true;
+            odd = !odd;
+            return odd;
+        });
+    }
+
+    return {
+        add(id, stats, stream) {
+            const sample = statsSample(stats, stream);
+            // stopped containers get a sample with a zero time and no counters
+            if (!(sample.time > 0) || sample.cpuUsage === undefined)
+                return;
+
+            let samples = history.get(id) || [];
+            if (samples.length > 0 && samples[samples.length - 1].time >= sample.time)
+                return;
+            samples.push(sample);
+            if (samples.length > MAX_SAMPLES)
+                samples = thin(samples);
+            history.set(id, samples);
+        },
+
+        get: id => history.get(id) || [],
+
+        remove: id => history.delete(id),
+
+        clear: () => history.clear(),
+    };
+}
+
+/*
+ * The course of the samples since "start": CPU in percent of one core, memory in bytes,
+ * and the I/O in bytes per second. Values which cannot be known, like the rates between
+ * two stats streams of a restarted container, are null, to leave a gap in the charts.
+ */
+export function statsPoints(samples, start = 0) {
+    const points = [];
+    samples.forEach((sample, idx) => {
+        if (sample.time < start)
+            return;
+
+        const prev = samples[idx - 1];
+        const seconds = prev && (sample.time - prev.time) / 1000;
+        const continuous = prev && prev.stream === sample.stream && seconds > 0;
+        const rate = key => (continuous && sample[key] >= prev[key]) ? (sample[key] - prev[key]) / seconds : null;
+
+        let cpu = null;
+        if (continuous && sample.systemUsage > prev.systemUsage && sample.cpuUsage >= prev.cpuUsage)
+            cpu = (sample.cpuUsage - prev.cpuUsage) / (sample.systemUsage - prev.systemUsage) * sample.onlineCpus * 100;
+
+        points.push({
+            time: sample.time,
+            cpu,
+            memory: sample.memory ?? null,
+            memoryLimit: sample.memoryLimit ?? null,
+            netRx: rate("netRx"),
+            netTx: rate("netTx"),
+            blockRead: rate("blockRead"),
+            blockWrite: rate("blockWrite"),
+        });
+    });
+    return points;
+}
+
+const csvColumns = [
+    ["time", point => new Date(point.time).toISOString()],
+    ["cpu_percent", point => point.cpu?.toFixed(2)],
+    ["memory_bytes", point => point.memory],
+    ["memory_limit_bytes", point => point.memoryLimit],
+    ["net_rx_bytes_per_second", point => point.netRx?.toFixed(0)],
+    ["net_tx_bytes_per_second", point => point.netTx?.toFixed(0)],
+    ["block_read_bytes_per_second", point => point.blockRead?.toFixed(0)],
+    ["block_write_bytes_per_second", point => point.blockWrite?.toFixed(0)],
+];
+
+export function statsCsv(points) {
+    const lines = [csvColumns.map(([name]) => name).join(",")];
+    for (const point of points)
+        lines.push(csvColumns.map(([, value]) => value(point) ?? "").join(","));
+    return lines.join("\n") + "\n";
+}
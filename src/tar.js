@@ -0,0 +1,211 @@
+/*
+ * Just enough of the tar format for docker's archive API: reading the entries of
+ * the streams docker sends, and writing archives of plain files to upload.
+ * Long names come as PAX or GNU extensions, which get applied to the next entry.
+ */
+
+const BLOCK = 512;
+
+const types = {
+    0: "file",
+    "\0": "file",
+    1: "hardlink",
+    2: "symlink",
+    3: "char",
+    4: "block",
+    5: "directory",
+    6: "fifo",
+    7: "file",
+};
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+const field = (header, offset, length) => {
+    const bytes = header.subarray(offset, offset + length);
+    const end = bytes.indexOf(0);
+    return decoder.decode(end < 0 ? bytes : bytes.subarray(0, end));
+};
+
+const octal = (header, offset, length) => parseInt(field(header, offset, length).trim() || "0", 8);
+
+// "<length> <key>=<value>\n" records
+function parsePax(data) {
+    const result = {};
+    const text = decoder.decode(data);
+    let pos = 0;
+    while (pos < text.length) {
+        const space = text.indexOf(" ", pos);
+        const length = parseInt(text.substring(pos, space));
+        if (!(length > 0))
+            break;
+        const record = text.substring(space + 1, pos + length - 1);
+        const eq = record.indexOf("=");
+        result[record.substring(0, eq)] = record.substring(eq + 1);
+        pos += length;
+    }
+    return result;
+}
+
+/*
+ * Parse a tar stream given in chunks to "write()". "onEntry(entry)" gets called for each
+ * entry with { name, type, size, mode, mtime, linkTarget }, and with "data" if
+ * "wantData(entry)" asked for the content. Contents nobody asked for are skipped,
+ * so that listing large archives does not keep them in memory.
+ */
+export function createTarReader(onEntry, wantData = () => false) {
+    let pending = new Uint8Array(0);
+    let entry = null; // the entry whose content is being read
+    let remaining = 0; // bytes of content and padding left of it
+    let chunks = null; // the content read so far, if wanted
+    let extended = {}; // PAX or GNU values for the next entry
+    let ended = false;
+
+    const finishEntry = () => {
+        const data = chunks && concat(chunks).subarray(0, entry.size);
+        if (entry.type === "pax") {
+            extended = { ...extended, ...parsePax(data) };
+        } else if (entry.type === "longname") {
+            extended.path = field(data, 0, data.length);
+        } else if (entry.type === "longlink") {
+            extended.linkpath = field(data, 0, data.length);
+        } else {
+            if (data)
+                entry.data = data;
+            onEntry(entry);
+        }
+        entry = null;
+        chunks = null;
+    };
+
+    const readHeader = header => {
+        // two zero blocks end the archive
+        if (header.every(byte => byte === 0)) {
+            ended = true;
+            return;
+        }
+
+        const flag = String.fromCharCode(header[156]);
+        const prefix = field(header, 345, 155);
+        const name = extended.path ?? (prefix ? prefix + "/" : "") + field(header, 0, 100);
+        const size = extended.size !== undefined ? parseInt(extended.size) : octal(header, 124, 12);
+        let type = types[flag] || "other";
+        if (flag === "x" || flag === "g")
+            type = "pax";
+        else if (flag === "L")
+            type = "longname";
+        else if (flag === "K")
+            type = "longlink";
+
+        entry = {
+            name,
+            type,
+            size,
+            mode: octal(header, 100, 8),
+            mtime: extended.mtime !== undefined ? parseFloat(extended.mtime) : octal(header, 136, 12),
+            linkTarget: extended.linkpath ?? field(header, 157, 100),
+        };
+        if (!["pax", "longname", "longlink"].includes(type))
+            extended = {};
+
+        remaining = Math.ceil(size / BLOCK) * BLOCK;
+        if (["pax", "longname", "longlink"].includes(entry.type) || (entry.type === "file" && wantData(entry)))
+            chunks = [];
+        if (remaining === 0)
+            finishEntry();
+    };
+
+    return {
+        write(chunk) {
+            let data = pending.length > 0 ? concat([pending, chunk]) : chunk;
+            // readHeader() notices the end of the archive
+            for (;;) {
+                if (ended)
+                    break;
+                if (entry) {
+                    const take = Math.min(remaining, data.length);
+                    if (chunks)
+                        chunks.push(data.subarray(0, take));
+                    remaining -= take;
+                    data = data.subarray(take);
+                    if (remaining > 0)
+                        break;
+                    finishEntry();
+                } else {
+                    if (data.length < BLOCK)
+                        break;
+                    readHeader(data.subarray(0, BLOCK));
+                    data = data.subarray(BLOCK);
+                }
+            }
+            // only an incomplete header can be left over
+            pending = ended ? new Uint8Array(0) : data.slice();
+        },
+
+        end() {
+            if (entry && !ended)
+                throw new Error("Unexpected end of archive");
+        },
+    };
+}
+
+function concat(arrays) {
+    const result = new Uint8Array(arrays.reduce((total, array) => total + array.length, 0));
+    let offset = 0;
+    for (const array of arrays) {
+        result.set(array, offset);
+        offset += array.length;
+    }
+    return result;
+}
+
+function writeHeader(name, type, size, mode, mtime) {
+    const header = new Uint8Array(BLOCK);
+    const put = (offset, text) => header.set(encoder.encode(text), offset);
+    const putOctal = (offset, length, value) => put(offset, value.toString(8).padStart(length - 1, "0"));
+
+    put(0, name);
+    putOctal(100, 8, mode);
+    putOctal(108, 8, 0);
+    putOctal(116, 8, 0);
+    putOctal(124, 12, size);
+    putOctal(136, 12, mtime);
+    put(148, "        ");
+    put(156, type);
+    put(257, "ustar\x0000");
+    const checksum = header.reduce((sum, byte) => sum + byte, 0);
+    put(148, checksum.toString(8).padStart(6, "0") + "\0 ");
+    return header;
+}
+
+const padding = size => new Uint8Array((BLOCK - size % BLOCK) % BLOCK);
+
+// a PAX record includes the digits of its own length
+function paxRecord(key, value) {
+    const body = " " + key + "=" + value + "\n";
+    const bodyLength = encoder.encode(body).length;
+    let length = bodyLength + String(bodyLength).length;
+    if (String(length).length !== String(bodyLength).length)
+        length = bodyLength + String(length).length;
+    return length + body;
+}
+
+/*
+ * An archive of the given files, [{ name, data (Uint8Array), mode, mtime }], to unpack
+ * in the target directory. Names longer than the header allows go into a PAX header.
+ */
+export function createTar(files) {
+    const parts = [];
+    for (const file of files) {
+        const mtime = Math.floor(file.mtime ?? Date.now() / 1000);
+        let name = file.name;
+        if (encoder.encode(name).length > 100) {
+            const pax = encoder.encode(paxRecord("path", name));
+            parts.push(writeHeader("PaxHeader", "x", pax.length, 0o644, mtime), pax, padding(pax.length));
+            name = name.replace(/[^\x20-\x7e]/g, "_").substring(0, 99);
+        }
+        parts.push(writeHeader(name, "0", file.data.length, file.mode ?? 0o644, mtime), file.data, padding(file.data.length));
+    }
+    parts.push(new Uint8Array(BLOCK * 2));
+    return concat(parts);
+}
@@ -94,6 +94,64 @@ export function format_memory_and_limit(stats) {
     }
 }
 
+// bytes received and sent over all networks of the container
+export function network_io_bytes(stats) {
+    const networks = Object.values(stats?.networks || {});
+    return {
+        rx: networks.reduce((total, network) => total + (network.rx_bytes || 0), 0),
+        tx: networks.reduce((total, network) => total + (network.tx_bytes || 0), 0),
+    };
+}
+
+// bytes read and written on all block devices; cgroup v1 says "Read", v2 "read"
+export function block_io_bytes(stats) {
+    const entries = stats?.blkio_stats?.io_service_bytes_recursive || [];
+    const bytes = op => entries
+            .filter(entry => entry.op?.toLowerCase() === op)
+            .reduce((total, entry) => total + (entry.value || 0), 0);
+    return { read: bytes("read"), write: bytes("write") };
+}
+
+export function format_bytes_rate(bytes_per_second) {
+    return cockpit.format_bytes_per_sec(bytes_per_second);
+}
+
+/*
+ * Docker only sends counters for the I/O, the rates come from two consecutive samples of the
+ * stats stream. They are unknown for the first sample, and after the counters got reset.
+ */
+function io_rates(stats, prev_stats, counters) {
+    const seconds = (Date.parse(stats?.read) - Date.parse(prev_stats?.read)) / 1000;
+    if (!(seconds > 0))
+        return null;
+
+    const current = counters(stats);
+    const previous = counters(prev_stats);
+    const rates = {};
+    for (const key of Object.keys(current)) {
+        if (current[key] < previous[key])
+            return null;
+        rates[key] = (current[key] - previous[key]) / seconds;
+    }
+    return rates;
+}
+
+export function format_network_io(stats, prev_stats) {
+    const rates = io_rates(stats, prev_stats, network_io_bytes);
+    if (!rates)
+        return "";
+
+    return [format_bytes_rate(rates.rx) + " / " + format_bytes_rate(rates.tx), rates.rx + rates.tx];
+}
+
+export function format_block_io(stats, prev_stats) {
+    const rates = io_rates(stats, prev_stats, block_io_bytes);
+    if (!rates)
+        return "";
+
+    return [format_bytes_rate(rates.read) + " / " + format_bytes_rate(rates.write), rates.read + rates.write];
+}
+
 /*
  * The functions quote_cmdline and unquote_cmdline implement
  * a simple shell-like quoting syntax.  They are used when letting the
@@ -190,10 +248,38 @@ export function image_name(image) {
     return image.RepoTags.length > 0 ? image.RepoTags[0] : "<none>:<none>";
 }
 
+/*
+ * "reference" with the tag docker assumes when it has neither a tag nor a digest. Pulling
+ * a reference without a tag would pull every tag of the repository.
+ */
+export function withDefaultTag(reference) {
+    if (reference.includes("@") || reference.lastIndexOf(":") > reference.lastIndexOf("/"))
+        return reference;
+    return reference + ":latest";
+}
+
 export function is_valid_container_name(name) {
     return /^[a-zA-Z0-9][a-zA-Z0-9_\\.-]*$/.test(name);
 }
 
+/* Let the browser save what "url" serves, as a file named "fileName" if given */
+export function downloadUrl(url, fileName) {
+    const link = document.createElement("a");
+    link.href = url;
+    if (fileName)
+        link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+}
+
+/* Let the browser save "blob" as a file named "fileName" */
+export function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    downloadUrl(url, fileName);
+    window.setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 /* Clears a single field in validationFailed object.
  *
  * Arguments: